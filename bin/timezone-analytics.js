@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+// Batch timezone inference from the command line, using the same fetch/analyze pipeline as
+// the API server. Results go to stdout (or --output); progress and warnings go to stderr.
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { hasStrategy, listStrategies, aggregateCohort, typeWeights, EVENT_TYPES, DEFAULT_STRATEGY } = require('../shared/timezoneInference');
+const { parseAddressList } = require('../shared/addressImport');
+const { resultsToCsv } = require('../shared/exporters');
+const { LINK_DEFAULTS, LINK_KINDS } = require('../shared/walletLinks');
+const { createActivityFetcher, normalizeAddress } = require('../server/activity');
+const { createProviders } = require('../server/providers');
+const { createAnalyzer } = require('../server/analyze');
+const { loadConfig } = require('../server/config');
+const { createHistogramStore } = require('../server/histogramStore');
+const { createEnsResolver } = require('../server/ens');
+
+const USAGE = `Usage: timezone-analytics infer [file|-] [options]
+
+Reads addresses (plain list, CSV with a label column, JSON, Etherscan/Dune export) from
+a file or stdin and writes one result per address.
+
+Options:
+  --format <csv|json|jsonl|cohort>  output format (default: jsonl)
+  --output <file>                write to a file instead of stdout
+  --checkpoint <file>            append each finished result to this JSONL file and skip
+                                 addresses already in it, so an interrupted run can resume
+                                 (one written for a different address list is started over)
+  --providers <names>            activity providers in priority order: sim, etherscan,
+                                 rpc, fixture (ACTIVITY_PROVIDERS)
+  --fixture <file>               event file for the fixture provider (FIXTURE_PATH)
+  --chains <ids>                 comma-separated EVM chain IDs (SIM_CHAIN_IDS)
+  --limit <n>                    SIM page size (SIM_ACTIVITY_LIMIT)
+  --max-events <n>               events per address per chain (SIM_MAX_EVENTS)
+  --window-days <n>              only count the last N days (SIM_WINDOW_DAYS)
+  --from <date>                  only score activity from this date (ISO, inclusive)
+  --to <date>                    ... up to this date (ISO, exclusive)
+  --timeline <window[/step]>     add rolling verdicts over the range, e.g. 90/30 for
+                                 90-day windows stepped monthly (step defaults to window)
+  --event-types <types>          only count these event types, e.g. send,call,swap
+  --type-weights <type=w,…>      weight per event type (EVENT_TYPE_WEIGHTS; receives and
+                                 mints count 0.1 by default)
+  --link-wallets                 cluster wallets that transfer to each other or share a
+                                 funder, and score each cluster's pooled activity too
+                                 (clusters cover the addresses analyzed in this run)
+  --min-transfers <n>            direct transfers that link two wallets (default: ${LINK_DEFAULTS.minTransfers})
+  --link-via <kinds>             ${LINK_KINDS.join(', ')} (default: both)
+  --discover <n>                 counterparties outside the list to analyze as candidate
+                                 members (default: ${LINK_DEFAULTS.maxDiscovered})
+  --workers <n>                  concurrent addresses (WORKERS)
+  --strategy <name>              ${listStrategies().join(', ')} (default: ${DEFAULT_STRATEGY})
+  --top <n>                      runners-up per result (default: 3)
+  --inference <iana|fixed>       zone model (default: iana)
+  --no-classify                  attribute bots and exchanges too
+  --store <path|off>             histogram store (HISTOGRAM_STORE_PATH)
+  --quiet                        no progress on stderr
+  -h, --help                     show this help
+
+Exit status: 0 on success, 1 on usage or configuration errors, 2 if any address failed.
+Addresses with a chain that could not be read (fetch_status "partial") are redone on resume.`;
+
+function fail(message) {
+  process.stderr.write(`timezone-analytics: ${message}\n`);
+  process.exit(1);
+}
+
+const positiveInt = (name, value, { allowZero = false } = {}) => {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < (allowZero ? 0 : 1)) fail(`--${name} must be a ${allowZero ? 'non-negative' : 'positive'} integer`);
+  return n;
+};
+
+const parseDate = (name, value) => {
+  if (value === undefined) return null;
+  const t = Date.parse(value);
+  if (!Number.isFinite(t)) fail(`--${name} must be an ISO date`);
+  return t;
+};
+
+function readInput(file) {
+  if (file && file !== '-') return { text: fs.readFileSync(file, 'utf8'), filename: file };
+  if (process.stdin.isTTY) fail('no input: pass a file or pipe addresses on stdin');
+  return { text: fs.readFileSync(0, 'utf8'), filename: '' };
+}
+
+// Results already written by an earlier run, keyed by normalized address
+function readCheckpoint(file) {
+  const done = new Map();
+  if (!file || !fs.existsSync(file)) return done;
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const r = JSON.parse(line);
+      if (r.address && !r.error && r.fetch_status !== 'partial') done.set(normalizeAddress(r.address), r);
+    } catch {
+      // a line cut short by an interrupted run; the address is simply redone
+    }
+  }
+  return done;
+}
+
+function render(format, results, options) {
+  if (format === 'csv') return resultsToCsv(results) + '\n';
+  if (format === 'json') return JSON.stringify(results, null, 2) + '\n';
+  if (format === 'cohort') return JSON.stringify(aggregateCohort(results, options), null, 2) + '\n';
+  return results.map((r) => JSON.stringify(r)).join('\n') + (results.length ? '\n' : '');
+}
+
+async function infer(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: 'jsonl' },
+      output: { type: 'string' },
+      checkpoint: { type: 'string' },
+      providers: { type: 'string' },
+      fixture: { type: 'string' },
+      chains: { type: 'string' },
+      limit: { type: 'string' },
+      'max-events': { type: 'string' },
+      'window-days': { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      timeline: { type: 'string' },
+      'event-types': { type: 'string' },
+      'type-weights': { type: 'string' },
+      'link-wallets': { type: 'boolean', default: false },
+      'min-transfers': { type: 'string' },
+      'link-via': { type: 'string' },
+      discover: { type: 'string' },
+      workers: { type: 'string' },
+      strategy: { type: 'string', default: DEFAULT_STRATEGY },
+      top: { type: 'string', default: '3' },
+      inference: { type: 'string', default: 'iana' },
+      'no-classify': { type: 'boolean', default: false },
+      store: { type: 'string' },
+      quiet: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (positionals.length > 1) fail('expected at most one input file');
+  if (!['csv', 'json', 'jsonl', 'cohort'].includes(values.format)) fail('--format must be csv, json, jsonl or cohort');
+  if (!hasStrategy(values.strategy)) fail(`unknown strategy: ${values.strategy}`);
+  if (!['iana', 'fixed'].includes(values.inference)) fail('--inference must be iana or fixed');
+
+  const config = loadConfig({
+    ...process.env,
+    ...(values.providers !== undefined && { ACTIVITY_PROVIDERS: values.providers }),
+    ...(values.fixture !== undefined && { FIXTURE_PATH: values.fixture }),
+    ...(values.chains !== undefined && { SIM_CHAIN_IDS: values.chains }),
+    ...(values['type-weights'] !== undefined && { EVENT_TYPE_WEIGHTS: values['type-weights'] }),
+  });
+  config.activityLimit = positiveInt('limit', values.limit) ?? config.activityLimit;
+  config.maxEvents = positiveInt('max-events', values['max-events']) ?? config.maxEvents;
+  config.windowDays = positiveInt('window-days', values['window-days'], { allowZero: true }) ?? config.windowDays;
+  config.workers = positiveInt('workers', values.workers) ?? config.workers;
+  if (values.store) config.histogramStorePath = values.store;
+  const top = positiveInt('top', values.top, { allowZero: true });
+  if (top > 26) fail('--top must be at most 26');
+  const from = parseDate('from', values.from);
+  const to = parseDate('to', values.to);
+  if (from !== null && to !== null && from >= to) fail('--from must be before --to');
+  const eventTypes = values['event-types'] ? values['event-types'].split(',').map((t) => t.trim()) : null;
+  if (eventTypes?.some((t) => !EVENT_TYPES.includes(t))) fail(`--event-types must be among ${EVENT_TYPES.join(', ')}`);
+  const via = values['link-via'] ? values['link-via'].split(',').map((k) => k.trim()) : LINK_DEFAULTS.via;
+  if (via.some((k) => !LINK_KINDS.includes(k))) fail(`--link-via must be among ${LINK_KINDS.join(', ')}`);
+  const linkWallets = values['link-wallets']
+    ? {
+      minTransfers: positiveInt('min-transfers', values['min-transfers']) ?? LINK_DEFAULTS.minTransfers,
+      via,
+      maxDiscovered: positiveInt('discover', values.discover, { allowZero: true }) ?? LINK_DEFAULTS.maxDiscovered,
+    }
+    : null;
+  let timeline = null;
+  if (values.timeline !== undefined) {
+    const [windowDays, stepDays = windowDays] = values.timeline.split('/');
+    timeline = { windowDays: positiveInt('timeline', windowDays), stepDays: positiveInt('timeline', stepDays) };
+  }
+  const { providers, errors } = createProviders(config);
+  if (errors.length) fail(errors.join('; '));
+  if (!providers.length) fail('no activity provider configured (set SIM_PROXY_URL, --providers or --fixture)');
+
+  const log = values.quiet ? () => {} : (msg) => process.stderr.write(`${msg}\n`);
+
+  // input -> addresses (+ labels); ENS names resolve when an RPC endpoint is configured
+  const { entries, rejected } = parseAddressList(readInput(positionals[0]).text, { filename: positionals[0] || '' });
+  for (const r of rejected) log(`skipped line ${r.line}: ${r.text} (${r.reason})`);
+  const ens = createEnsResolver({ rpcUrl: config.ensRpcUrl });
+  const names = entries.filter((e) => e.kind === 'ens').map((e) => e.address);
+  const resolved = names.length && ens.enabled ? await ens.resolve(names) : {};
+  const labels = new Map();
+  const addresses = [];
+  for (const e of entries) {
+    const address = e.kind === 'ens' ? resolved[e.address] : e.address;
+    if (!address) {
+      log(`skipped line ${e.line}: ${e.address} (${ens.enabled ? 'ENS name did not resolve' : 'set ENS_RPC_URL to resolve ENS names'})`);
+      continue;
+    }
+    addresses.push(address);
+    if (e.label || e.kind === 'ens') labels.set(address, e.label || e.address);
+  }
+
+  let done = readCheckpoint(values.checkpoint);
+  // a checkpoint holding addresses outside this input belongs to another list: start it over
+  const wanted = new Set(addresses.map(normalizeAddress));
+  const foreign = [...done.keys()].filter((a) => !wanted.has(a)).length;
+  if (foreign) {
+    log(`ignoring ${values.checkpoint}: ${foreign} of its addresses are not in this input`);
+    done = new Map();
+  }
+  const todo = addresses.filter((a) => !done.has(normalizeAddress(a)));
+  if (done.size) log(`resuming: ${addresses.length - todo.length} of ${addresses.length} already in ${values.checkpoint}`);
+
+  const store = config.histogramStorePath === 'off' ? null : createHistogramStore(config.histogramStorePath);
+  // keep fetched histograms on Ctrl-C; the checkpoint already holds finished results
+  process.once('SIGINT', () => {
+    store?.flush();
+    process.exit(130);
+  });
+  const fetcher = createActivityFetcher({
+    providers,
+    pageSize: config.activityLimit,
+    maxEvents: config.maxEvents,
+    windowDays: config.windowDays,
+    workers: config.workers,
+    store,
+    rpcUrls: config.evmRpcUrls,
+    upstream: config.upstream,
+  });
+  const { analyzeAll } = createAnalyzer({ fetcher, workers: config.workers });
+  const options = {
+    strategy: values.strategy,
+    top,
+    maxEvents: config.maxEvents,
+    windowDays: config.windowDays,
+    inference: values.inference,
+    classify: !values['no-classify'],
+    from,
+    to,
+    timeline,
+    typeWeights: typeWeights({ types: eventTypes, defaults: config.typeWeights }),
+    linkWallets,
+  };
+
+  const checkpoint = values.checkpoint ? fs.openSync(values.checkpoint, foreign ? 'w' : 'a') : null;
+  let completed = 0;
+  const fresh = await analyzeAll(todo, options, (result) => {
+    if (labels.has(result.address)) result.label = labels.get(result.address);
+    if (checkpoint !== null) fs.writeSync(checkpoint, `${JSON.stringify(result)}\n`);
+    completed++;
+    const partial = result.fetch_status === 'partial' ? ' (partial: some chains failed)' : '';
+    const moves = result.timeline_segments?.length > 1 ? ` (${result.timeline_segments.map((s) => s.utc_label).join(' -> ')})` : '';
+    log(`[${completed}/${todo.length}] ${result.address} ${result.error || result.utc_label || result.classification}${moves}${partial}`);
+  });
+  if (checkpoint !== null) fs.closeSync(checkpoint);
+  store?.flush();
+  // clusters are attached once every address is in, after the rows above were written:
+  // rewrite the checkpoint so a resumed run keeps them
+  if (checkpoint !== null && linkWallets) {
+    const tmp = `${values.checkpoint}.tmp`;
+    fs.writeFileSync(tmp, [...done.values(), ...fresh].map((r) => `${JSON.stringify(r)}\n`).join(''));
+    fs.renameSync(tmp, values.checkpoint);
+  }
+  const clusters = new Map(fresh.filter((r) => r.cluster).map((r) => [r.cluster.id, r.cluster]));
+  for (const c of [...clusters.values()].sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }))) {
+    const discovered = c.members.filter((m) => m.discovered).length;
+    log(`${c.id}: ${c.members.length} wallets${discovered ? ` (${discovered} discovered)` : ''} ${c.verdict.utc_label || 'no verdict'}`);
+  }
+
+  // input order, earlier runs' results included
+  const byAddress = new Map([...done, ...fresh.map((r) => [normalizeAddress(r.address), r])]);
+  const results = addresses.map((a) => byAddress.get(normalizeAddress(a))).filter(Boolean);
+  const out = render(values.format, results, { strategy: values.strategy, top });
+  if (values.output) fs.writeFileSync(values.output, out);
+  else process.stdout.write(out);
+  return results.some((r) => r.error) ? 2 : 0;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (!command || command === '-h' || command === '--help') return process.stdout.write(`${USAGE}\n`);
+  if (command !== 'infer') fail(`unknown command: ${command}\n\n${USAGE}`);
+  try {
+    process.exitCode = (await infer(rest)) || 0;
+  } catch (err) {
+    fail(err.message || String(err));
+  }
+}
+
+main();
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+// Builds the bundled timezone geometry served by GET /api/geo/timezones.
+//
+//   npm run build:geo                       # download the pinned TzBB release
+//   npm run build:geo -- --release 2025b    # another release
+//   npm run build:geo -- --input timezones-with-oceans.geojson.zip   # local file, no network
+//   npm run build:geo -- --geo-tz node_modules/geo-tz   # TzBB data as packaged by geo-tz (npm)
+//
+// Reads a Timezone Boundary Builder release (zipped or plain GeoJSON), keeps only `tzid`,
+// simplifies it to each level of detail and writes TopoJSON plus a manifest into geo/.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const axios = require('axios');
+const geobuf = require('geobuf');
+const mapshaper = require('mapshaper');
+const Pbf = require('pbf');
+
+const DEFAULT_RELEASE = '2025b';
+const OUT_DIR = path.join(__dirname, '..', 'geo');
+
+// Share of vertices kept and TopoJSON quantization per level of detail
+const LEVELS = {
+  low: { simplify: '0.5%', quantization: 1e4 },
+  medium: { simplify: '3%', quantization: 1e5 },
+  high: { simplify: '12%', quantization: 1e6 },
+};
+
+const releaseUrl = (release) =>
+  `https://github.com/evansiroky/timezone-boundary-builder/releases/download/${release}/timezones-with-oceans.geojson.zip`;
+
+// geo-tz (https://www.npmjs.com/package/geo-tz) ships TzBB's timezones.geojson cut into a
+// quadtree: leaves either lie wholly inside zones (their indices) or point at geobuf-encoded
+// clips in geo.dat. Reassembling the pieces per tzid gives the land zones back; the ocean
+// zones (Etc/GMT±n, 15° bands) are the bands minus land, as in timezones-with-oceans.
+const GEO_TZ_BOUNDS = { top: 89.9999, bottom: -89.9999, left: -179.9999, right: 179.9999 };
+
+async function readGeoTz(dir) {
+  const { version } = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+  const index = JSON.parse(fs.readFileSync(path.join(dir, 'data', 'timezones.geojson.index.json'), 'utf8'));
+  const fd = fs.openSync(path.join(dir, 'data', 'timezones.geojson.geo.dat'), 'r');
+  const pieces = [];
+  const piece = (tzid, geometry) => pieces.push(JSON.stringify({ type: 'Feature', properties: { tzid }, geometry }));
+  // quadrants a (NE), b (NW), c (SW), d (SE), split at the middle like geo-tz's lookup
+  (function walk(node, q) {
+    if (node?.pos >= 0 && node.len) {
+      const buf = Buffer.alloc(node.len);
+      fs.readSync(fd, buf, 0, node.len, node.pos);
+      for (const f of geobuf.decode(new Pbf(buf)).features) piece(f.properties.tzid, f.geometry);
+    } else if (Array.isArray(node)) {
+      const ring = [[q.left, q.bottom], [q.right, q.bottom], [q.right, q.top], [q.left, q.top], [q.left, q.bottom]];
+      for (const i of node) piece(index.timezones[i], { type: 'Polygon', coordinates: [ring] });
+    } else if (node && typeof node === 'object') {
+      const midLat = (q.top + q.bottom) / 2;
+      const midLon = (q.left + q.right) / 2;
+      if (node.a) walk(node.a, { ...q, bottom: midLat, left: midLon });
+      if (node.b) walk(node.b, { ...q, bottom: midLat, right: midLon });
+      if (node.c) walk(node.c, { ...q, top: midLat, right: midLon });
+      if (node.d) walk(node.d, { ...q, top: midLat, left: midLon });
+    }
+  })(index.lookup, GEO_TZ_BOUNDS);
+  fs.closeSync(fd);
+  console.log(`geo-tz ${version}: ${pieces.length} pieces of ${index.timezones.length} zones`);
+
+  const bands = [];
+  for (let h = -12; h <= 12; h++) {
+    const [left, right] = [Math.max(-180, h * 15 - 7.5), Math.min(180, h * 15 + 7.5)];
+    const tzid = h === 0 ? 'Etc/GMT' : `Etc/GMT${h > 0 ? '-' : '+'}${Math.abs(h)}`; // POSIX signs
+    bands.push({ type: 'Feature', properties: { tzid }, geometry: { type: 'Polygon', coordinates: [[[left, -90], [right, -90], [right, 90], [left, 90], [left, -90]]] } });
+  }
+  const land = (await mapshaper.applyCommands('-i pieces.json snap -dissolve2 tzid -o land.json', {
+    'pieces.json': `{"type":"FeatureCollection","features":[${pieces.join(',')}]}`,
+  }))['land.json'];
+  const oceans = (await mapshaper.applyCommands('-i bands.json -erase land.json -o oceans.json', {
+    'bands.json': JSON.stringify({ type: 'FeatureCollection', features: bands }),
+    'land.json': land,
+  }))['oceans.json'];
+  const features = [land, oceans].flatMap((json) => JSON.parse(json).features);
+  return {
+    name: 'timezones-with-oceans.geojson',
+    data: Buffer.from(JSON.stringify({ type: 'FeatureCollection', features })),
+    release: `geo-tz@${version}`,
+  };
+}
+
+async function readSource({ input, release, 'geo-tz': geoTz }) {
+  if (geoTz) return readGeoTz(geoTz);
+  if (input) return { name: path.basename(input), data: fs.readFileSync(input) };
+  const url = releaseUrl(release);
+  console.log(`downloading ${url}`);
+  const r = await axios.get(url, { responseType: 'arraybuffer', timeout: 300_000, maxContentLength: Infinity });
+  return { name: path.basename(url), data: Buffer.from(r.data) };
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      release: { type: 'string', default: DEFAULT_RELEASE },
+      input: { type: 'string' },
+      'geo-tz': { type: 'string' },
+    },
+  });
+  const { name, data, release = values.release } = await readSource(values);
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  const manifest = {
+    source: 'timezone-boundary-builder',
+    release,
+    input: name,
+    built_at: new Date().toISOString(),
+    levels: {},
+  };
+  for (const [lod, { simplify, quantization }] of Object.entries(LEVELS)) {
+    const file = `timezones-${lod}.topo.json`;
+    const out = await mapshaper.applyCommands(
+      `-i "${name}" name=timezones -filter-fields tzid -simplify ${simplify} keep-shapes ` +
+        `-o format=topojson quantization=${quantization} "${file}"`,
+      { [name]: data }
+    );
+    const topo = out[file];
+    fs.writeFileSync(path.join(OUT_DIR, file), topo);
+    const features = JSON.parse(topo).objects.timezones.geometries.length;
+    manifest.levels[lod] = { file, simplify, quantization, bytes: Buffer.byteLength(topo), features };
+    console.log(`${lod}: ${features} zones, ${(Buffer.byteLength(topo) / 1e6).toFixed(1)} MB`);
+  }
+  fs.writeFileSync(path.join(OUT_DIR, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`wrote ${path.relative(process.cwd(), OUT_DIR)}/manifest.json (${manifest.source} ${manifest.release})`);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
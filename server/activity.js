@@ -0,0 +1,340 @@
+const axios = require('axios');
+const { addSlot } = require('../shared/timezoneInference');
+const { addCounterparty, mergeCounterparties, pruneCounterparties } = require('../shared/walletLinks');
+const { createUpstream } = require('../shared/upstream');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ----------------- chain families -----------------
+const isEvm = (s) => /^(0x)[0-9a-fA-F]{40}$/.test(s);
+const isSol = (s) => /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(s); // rough base58
+
+function chainFamilyOf(address) {
+  const s = String(address || '').trim();
+  if (isEvm(s)) return 'evm';
+  if (isSol(s)) return 'svm';
+  return null;
+}
+
+// EVM addresses are case-insensitive; base58 (Solana) addresses are not
+function normalizeAddress(address) {
+  const s = String(address || '').trim();
+  return chainFamilyOf(s) === 'evm' ? s.toLowerCase() : s;
+}
+
+// SIM reports EVM block_time as ISO strings and SVM block_time as epoch microseconds
+function parseBlockTime(value) {
+  if (typeof value === 'number') {
+    if (value > 1e14) return Math.floor(value / 1000);
+    if (value > 1e11) return value;
+    return value * 1000;
+  }
+  return Date.parse(value);
+}
+
+// Turn an activity page into 15-minute UTC slots per event type ({ type: { slot: count } }).
+// Slots keep enough precision for DST-aware and half-hour zone scoring; types let each
+// request weigh owner-signed actions above receives (see weighTypedSlots). Events that carry
+// a `counterparty` (direct transfers) are tallied into `parties` when given, for linking wallets.
+function accumulateHoursFromActivity(typed, activity, filterAddrLower, parties = null) {
+  for (const ev of activity || []) {
+    try {
+      const ts = parseBlockTime(ev.block_time);
+      if (!Number.isFinite(ts)) continue;
+      if (filterAddrLower && ev.wallet_address && ev.wallet_address.toLowerCase() !== filterAddrLower) continue;
+      const type = ev.type || 'unknown';
+      addSlot((typed[type] = typed[type] || {}), ts);
+      if (parties && ev.counterparty) addCounterparty(parties, ev.counterparty, type === 'receive' ? 'received' : 'sent', ts);
+    } catch {}
+  }
+  return typed;
+}
+
+function mergeSlots(into, from) {
+  for (const [slot, n] of Object.entries(from || {})) into[slot] = (into[slot] || 0) + n;
+  return into;
+}
+
+// mergeSlots for per-type slot maps; copies rather than sharing the type maps of `from`
+function mergeTypedSlots(into, from) {
+  for (const [type, slots] of Object.entries(from || {})) into[type] = mergeSlots({ ...into[type] }, slots);
+  return into;
+}
+
+// The newest `maxEvents` events of a per-type slot map (slots are the finest time there is;
+// the oldest slot kept may be cut part way)
+function newestTypedSlots(typed, maxEvents) {
+  const cells = [];
+  for (const [type, slots] of Object.entries(typed)) for (const [slot, n] of Object.entries(slots)) cells.push([Number(slot), type, n]);
+  cells.sort((a, b) => b[0] - a[0] || a[1].localeCompare(b[1]));
+  const out = {};
+  let left = maxEvents;
+  for (const [slot, type, n] of cells) {
+    if (left <= 0) break;
+    (out[type] = out[type] || {})[slot] = Math.min(n, left);
+    left -= n;
+  }
+  return out;
+}
+
+// Address-level status from its per-chain stats (see fetchChain)
+function fetchStatusOf(chains) {
+  const statuses = Object.values(chains).map((c) => c.status || 'ok');
+  if (statuses.every((s) => s === 'ok')) return 'ok';
+  return statuses.every((s) => s === 'failed') ? 'failed' : 'partial';
+}
+
+// ----------------- fetchers -----------------
+// `config`: { providers, pageSize, maxEvents, windowDays, workers, store?, rpcUrls?, upstream?, onUpstreamCall? }
+// Pages and contract-code requests go through shared/upstream (`upstream` holds its retry,
+// concurrency and circuit-breaker settings); `onUpstreamCall(provider)` runs before every
+// attempt (usage accounting). Sources of local providers (the fixture file) bypass it.
+// `providers` come from ./providers, highest priority first; each chain is read from the
+// first provider that covers it. With a histogram store, full-history requests only fetch
+// activity newer than the last block time recorded for each address/source and merge it
+// into the stored slots.
+function createActivityFetcher(config) {
+  const { providers, pageSize, workers, store, rpcUrls = {}, onUpstreamCall = () => {} } = config;
+  const upstream = createUpstream({ ...config.upstream, onAttempt: onUpstreamCall });
+
+  // Page through one source newest-first until the history, the event cap, the time window
+  // (`since`) or already-stored activity (`until`) runs out. `cursor` resumes an earlier walk;
+  // events newer than `before` (its oldest) are skipped, in case the source's cursors moved.
+  // `stats` is filled in as pages arrive, so a failure halfway still reports what was
+  // scanned, and `stats.next_cursor` is where to carry on. Each page is retried on its own;
+  // the error that outlasts the retries ends the walk.
+  async function paginate(source, typed, parties, stats, { maxEvents, since, until, cursor = null, before = null }) {
+    while (true) {
+      const limit = Math.min(pageSize, maxEvents - stats.events_scanned);
+      const fetchPage = () => source.fetchPage(limit, cursor);
+      const page = source.local
+        ? await fetchPage()
+        : await upstream.request(source.provider, fetchPage, { onRetry: () => stats.retries++ });
+      const events = before ? page.events.filter((ev) => parseBlockTime(ev.block_time) <= before) : page.events;
+      const fresh = events.filter((ev) => {
+        const ts = parseBlockTime(ev.block_time);
+        return (!since || ts >= since) && (!until || ts > until);
+      });
+      accumulateHoursFromActivity(typed, fresh, null, parties);
+      for (const ev of fresh) {
+        const ts = parseBlockTime(ev.block_time);
+        if (!Number.isFinite(ts)) continue;
+        if (stats.last_block_time === null || ts > stats.last_block_time) stats.last_block_time = ts;
+        if (stats.oldest_block_time === null || ts < stats.oldest_block_time) stats.oldest_block_time = ts;
+      }
+      stats.events_scanned += fresh.length;
+      stats.pages++;
+
+      cursor = page.next ?? null;
+      stats.next_cursor = cursor;
+      if (cursor === null || fresh.length < events.length) {
+        stats.complete = true;
+        stats.next_cursor = null;
+        break;
+      }
+      if (stats.events_scanned >= maxEvents) break;
+    }
+  }
+
+  const newStats = () => ({
+    events_scanned: 0,
+    pages: 0,
+    retries: 0,
+    complete: false,
+    last_block_time: null,
+    oldest_block_time: null,
+    next_cursor: null,
+  });
+
+  // The sources for each chain the address can have activity on, in provider order: the
+  // first is read, the rest are fallbacks for when it fails
+  function sourcesFor(address, family) {
+    const byChain = new Map();
+    for (const provider of providers) {
+      for (const source of provider.sources(address, family)) {
+        if (!byChain.has(source.chain)) byChain.set(source.chain, []);
+        byChain.get(source.chain).push({ ...source, provider: provider.name, local: !!provider.local });
+      }
+    }
+    return [...byChain.values()];
+  }
+
+  const STATUS_RANK = { ok: 2, partial: 1, failed: 0 };
+
+  // Read a chain from its first source, falling through to the next provider that covers it
+  // while the read errors (including an open circuit). The best outcome is kept, earlier
+  // providers winning ties; the providers given up on are listed in `stats.fallbacks`.
+  async function fetchChainFrom(address, [source, ...rest], options) {
+    let result = await fetchChain(address, source, options);
+    const fallbacks = [];
+    for (const next of rest) {
+      if (result.stats.status === 'ok') break;
+      const retry = await fetchChain(address, next, options);
+      const [kept, dropped] = STATUS_RANK[retry.stats.status] > STATUS_RANK[result.stats.status] ? [retry, result] : [result, retry];
+      fallbacks.push({ provider: dropped.stats.provider, status: dropped.stats.status, error: dropped.stats.error || null });
+      result = kept;
+    }
+    if (fallbacks.length) result.stats.fallbacks = fallbacks;
+    return result;
+  }
+
+  // Fetch one chain, topping up the stored histogram when there is one. A record capped
+  // below what the request asks for is backfilled from where its paging stopped; one holding
+  // more is trimmed to the newest `maxEvents` (the store keeps everything).
+  async function fetchChain(address, source, { maxEvents, since }) {
+    const types = {};
+    const parties = {};
+    const stats = newStats();
+    // stored histograms cover full history only, so windowed requests always refetch
+    const useStore = store && !since && source.cacheable !== false;
+    let rec = useStore ? store.get(address, source.storeKey) : null;
+    // a capped record without a place to resume from is refetched when more is asked for
+    if (rec && !rec.complete && rec.events_scanned < maxEvents && !rec.next_cursor) rec = null;
+    let error = null;
+    try {
+      await paginate(source, types, parties, stats, { maxEvents, since, until: rec?.last_block_time });
+    } catch (e) {
+      // the other chains still count; the failure is reported in this chain's stats
+      error = e;
+    }
+    const failed = !!error;
+
+    // Hitting the cap before reaching stored activity leaves a gap, so the fresh pages
+    // replace the record instead of being merged into it
+    const gap = !!rec && !failed && !stats.complete;
+    const fresh = {
+      types,
+      counterparties: parties,
+      events_scanned: stats.events_scanned,
+      complete: stats.complete,
+      last_block_time: stats.last_block_time,
+      oldest_block_time: stats.oldest_block_time,
+      next_cursor: stats.next_cursor,
+    };
+    const merged = !rec || gap
+      ? fresh
+      : {
+        types: mergeTypedSlots({ ...rec.types }, types),
+        counterparties: mergeCounterparties({ ...rec.counterparties }, parties),
+        events_scanned: rec.events_scanned + stats.events_scanned,
+        complete: rec.complete,
+        last_block_time: Math.max(rec.last_block_time || 0, stats.last_block_time || 0) || null,
+        oldest_block_time: rec.oldest_block_time ?? stats.oldest_block_time,
+        next_cursor: rec.next_cursor || null,
+      };
+
+    // Older activity the record never reached, from where its paging stopped
+    let backfilled = 0;
+    if (useStore && !failed && !merged.complete && merged.next_cursor && merged.events_scanned < maxEvents) {
+      const older = newStats();
+      const olderTypes = {};
+      const olderParties = {};
+      try {
+        await paginate(source, olderTypes, olderParties, older, {
+          maxEvents: maxEvents - merged.events_scanned,
+          cursor: merged.next_cursor,
+          before: merged.oldest_block_time,
+        });
+      } catch (e) {
+        error = e;
+      }
+      // pages read before a failure are kept; next_cursor still points past them
+      backfilled = older.events_scanned;
+      Object.assign(merged, {
+        types: mergeTypedSlots({ ...merged.types }, olderTypes),
+        counterparties: mergeCounterparties({ ...merged.counterparties }, olderParties),
+        events_scanned: merged.events_scanned + older.events_scanned,
+        complete: older.complete,
+        oldest_block_time: older.oldest_block_time ?? merged.oldest_block_time,
+        next_cursor: older.pages ? older.next_cursor : merged.next_cursor,
+      });
+      stats.pages += older.pages;
+      stats.retries += older.retries;
+    }
+
+    if (useStore && !failed) store.put(address, source.storeKey, { ...merged, counterparties: pruneCounterparties(merged.counterparties) });
+
+    const over = merged.events_scanned > maxEvents;
+    const provider = source.provider;
+    // "partial": some activity came back (fresh pages or the stored record) before the error
+    const outcome = {
+      status: !error ? 'ok' : stats.pages > 0 || rec ? 'partial' : 'failed',
+      retries: stats.retries,
+      ...(error && { error: error.message, error_code: error.code || null }),
+    };
+    return {
+      types: over ? newestTypedSlots(merged.types, maxEvents) : merged.types,
+      counterparties: merged.counterparties,
+      stats: {
+        provider,
+        events_scanned: Math.min(merged.events_scanned, maxEvents),
+        events_new: stats.events_scanned,
+        ...(backfilled && { events_backfilled: backfilled }),
+        pages: stats.pages,
+        complete: merged.complete && !over && !error,
+        last_block_time: merged.last_block_time,
+        cached: !!rec && !gap,
+        ...outcome,
+      },
+    };
+  }
+
+  // Fetch one address from its chain family's sources; returns its 15-minute UTC slots per
+  // event type (`types`, weighed into one histogram by the caller) and `fetch_status`: "ok"
+  // when every chain was read, "failed" when none returned anything because of errors, else
+  // "partial". `from` (epoch ms) stops the walk at that date, like `windowDays`; the later
+  // of the two wins. `counterparties` tallies direct transfers across chains (see walletLinks).
+  async function fetchAddressHistogram(address, { maxEvents = config.maxEvents, windowDays = config.windowDays, from = null } = {}) {
+    const addr = String(address).trim();
+    const chain_family = chainFamilyOf(addr);
+    const types = {};
+    const counterparties = {};
+    const chains = {};
+    if (!chain_family) return { chain_family, types, counterparties, chains, events_scanned: 0, fetch_status: 'ok' };
+
+    const since = Math.max(windowDays > 0 ? Date.now() - windowDays * DAY_MS : 0, from || 0) || null;
+    const queue = sourcesFor(addr, chain_family);
+    const pool = Array.from({ length: workers }, async () => {
+      while (queue.length) {
+        const sources = queue.pop();
+        const result = await fetchChainFrom(normalizeAddress(addr), sources, { maxEvents, since });
+        chains[sources[0].chain] = result.stats;
+        mergeTypedSlots(types, result.types);
+        mergeCounterparties(counterparties, result.counterparties);
+      }
+    });
+    await Promise.all(pool);
+    const events_scanned = Object.values(chains).reduce((a, c) => a + c.events_scanned, 0);
+    return { chain_family, types, counterparties, chains, events_scanned, fetch_status: fetchStatusOf(chains) };
+  }
+
+  // eth_getCode on every configured JSON-RPC endpoint: true if any chain has bytecode,
+  // false if none does, null when no endpoint is configured or none answered
+  async function hasContractCode(address) {
+    const urls = Object.values(rpcUrls);
+    if (chainFamilyOf(address) !== 'evm' || !urls.length) return null;
+    const answers = await Promise.all(urls.map(async (url) => {
+      try {
+        const r = await upstream.request('rpc', () => axios.post(url, {
+          jsonrpc: '2.0', id: 1, method: 'eth_getCode', params: [address.toLowerCase(), 'latest'],
+        }, { timeout: 10_000 }));
+        const code = r.data?.result;
+        return typeof code === 'string' ? code !== '0x' && code !== '0x0' : null;
+      } catch (e) {
+        return null;
+      }
+    }));
+    if (answers.includes(true)) return true;
+    return answers.includes(false) ? false : null;
+  }
+
+  return { fetchAddressHistogram, hasContractCode, upstreamStatus: upstream.status, ready: providers.length > 0 };
+}
+
+module.exports = {
+  chainFamilyOf,
+  normalizeAddress,
+  parseBlockTime,
+  accumulateHoursFromActivity,
+  createActivityFetcher,
+};
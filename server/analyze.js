@@ -0,0 +1,185 @@
+const {
+  inferTimezone,
+  inferZone,
+  weekMatrixFromSlots,
+  weekendStats,
+  classifyActivity,
+  unattributed,
+  sliceSlots,
+  countsFromSlots,
+  weighTypedSlots,
+  DEFAULT_TYPE_WEIGHTS,
+  inferTimeline,
+  timelineSegments,
+  WEEKDAYS,
+} = require('../shared/timezoneInference');
+const { findLinks, discoverCandidates, sharedFunders, recipientCount, buildClusters, LINK_DEFAULTS } = require('../shared/walletLinks');
+const { chainFamilyOf, normalizeAddress } = require('./activity');
+
+// Fetch + score pipeline shared by the API server and the CLI.
+// `fetcher` is a createActivityFetcher() instance.
+function createAnalyzer({ fetcher, workers }) {
+  const { fetchAddressHistogram, hasContractCode } = fetcher;
+
+  // Fetch and score one address. "iana" scores candidate zones with their real offset at each
+  // event (DST, half-hour zones); "fixed" scores integer offsets only. Both keep the 27-offset
+  // `scores` vector. With `classify`, bots, exchanges and thin histories get a
+  // `classification` other than "human" and no zone. `fetch_status` says whether every chain
+  // was read ("ok"), some were not ("partial", see `chains`), or none ("failed": no verdict,
+  // since missing activity would look like a quiet wallet).
+  // `from`/`to` (epoch ms, `to` exclusive) limit the verdict to a date range, reported back
+  // as `range`. `timeline` ({ windowDays, stepDays }) adds one verdict per rolling window
+  // over that range and the runs of windows that agree (`timeline_segments`).
+  // `typeWeights` ({ type: weight }, see typeWeights in the shared module) decides how much
+  // each event type counts; `event_types` reports what went into the histogram.
+  // `profiles` ({ address: profile }, see analyzeAll) collects the weighted slots and
+  // counterparties of attributable wallets for linking.
+  async function analyzeAddress(address, { strategy, top, maxEvents, windowDays, inference, classify, from = null, to = null, timeline = null, typeWeights = DEFAULT_TYPE_WEIGHTS, profiles = null }) {
+    if (!chainFamilyOf(address)) return { address, chain_family: null, error: 'unrecognized address format' };
+    const fetched = await fetchAddressHistogram(address, { maxEvents, windowDays, from });
+    const { chain_family, chains, events_scanned, fetch_status } = fetched;
+    if (fetch_status === 'failed') {
+      const reasons = [...new Set(Object.values(chains).map((c) => c.error))].join('; ');
+      return { address, chain_family, error: `activity fetch failed: ${reasons}`, fetch_status, chains, analyzed_at: new Date().toISOString() };
+    }
+    const ranged = from !== null || to !== null;
+    const typed = ranged ? sliceTyped(fetched.types, { from, to }) : fetched.types;
+    // weights shape the score; classification thresholds count real events
+    const { slots, unweighted, event_types } = weighTypedSlots(typed, typeWeights);
+    const counts = countsFromSlots(slots);
+    const fixed = inferTimezone(counts, { strategy, top });
+    const verdict = inference === 'fixed' ? fixed : { ...inferZone(slots, { strategy, top }), scores: fixed.scores };
+    // day-of-week x hour activity in the inferred zone's local time
+    const week = weekMatrixFromSlots(slots, verdict.tzid || verdict.utc_offset_hours);
+    const classification = classify ? classifyActivity(unweighted, { isContract: await hasContractCode(address) }) : null;
+    const attributable = !classification || classification.classification === 'human';
+    if (profiles && attributable && events_scanned > 0) profiles[normalizeAddress(address)] = { slots, counterparties: fetched.counterparties };
+    return {
+      address,
+      chain_family,
+      ...(attributable ? verdict : unattributed(verdict)),
+      ...classification,
+      ...weekendStats(week),
+      utc_histogram: counts, // weighted 24-bucket UTC counts the verdict was scored from
+      event_types,
+      week_matrix: { tz: verdict.tzid || verdict.utc_label, days: WEEKDAYS, counts: week },
+      events_scanned,
+      ...(ranged && { range: rangeOf(from, to, unweighted, counts) }),
+      ...(timeline && withTimeline(weighTypedSlots(fetched.types, typeWeights), { ...timeline, from, to, strategy, inference })),
+      fetch_status,
+      chains,
+      analyzed_at: new Date().toISOString(),
+    };
+  }
+
+  const sliceTyped = (typed, range) => Object.fromEntries(Object.entries(typed).map(([type, slots]) => [type, sliceSlots(slots, range)]));
+  const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+  // `events` counts the events in range; `weighted_events` is what the verdict was scored on
+  const rangeOf = (from, to, unweighted, counts) => ({
+    from: from && new Date(from).toISOString(),
+    to: to && new Date(to).toISOString(),
+    events: sum(Object.values(unweighted)),
+    weighted_events: Math.round(sum(counts) * 100) / 100,
+  });
+
+  function withTimeline({ slots, unweighted }, options) {
+    const points = inferTimeline(slots, { ...options, unweighted });
+    return { timeline: points, timeline_segments: timelineSegments(points) };
+  }
+
+  // The verdict fields a cluster or cluster member reports
+  const verdictOf = (r) => ({
+    utc_label: r.utc_label ?? null,
+    utc_offset_hours: r.utc_offset_hours ?? null,
+    standard_offset_hours: r.standard_offset_hours ?? null,
+    tzid: r.tzid || null,
+    confidence: r.confidence ?? null,
+  });
+
+  // Linked wallets (`linkWallets`: { minTransfers, via, maxDiscovered }, see shared/walletLinks).
+  // Up to maxDiscovered addresses outside the list are fetched: first the funders shared by
+  // listed wallets (a funder only links wallets when its own history is human-shaped and it
+  // sent to few wallets; unchecked funders link nothing), then counterparties as candidate
+  // members. The attributable wallets are linked, and each linked group is scored once over
+  // its pooled activity. Every result of the list gets `cluster`: { id, members, links,
+  // verdict }, or null.
+  async function linkClusters(results, profiles, options) {
+    const { minTransfers, via, maxDiscovered } = options.linkWallets;
+    const found = Object.fromEntries(results.map((r) => [normalizeAddress(r.address), r]));
+    let budget = maxDiscovered;
+
+    // listed wallets outside `profiles` failed or were flagged, so they pass as funders untried
+    const personalFunders = new Set();
+    const checked = {};
+    for (const funder of via.includes('funder') ? sharedFunders(profiles) : []) {
+      if (found[funder] || budget <= 0) continue;
+      budget--;
+      const own = {};
+      checked[funder] = { result: await analyzeAddress(funder, { ...options, classify: true, timeline: null, profiles: own }), profile: own[funder] };
+      if (own[funder] && recipientCount(own[funder].counterparties) <= LINK_DEFAULTS.maxFunded) personalFunders.add(funder);
+    }
+
+    const discovered = {};
+    // listed wallets that failed or were flagged have no profile, but are never candidates
+    const candidates = discoverCandidates(profiles, { minTransfers, limit: budget + Object.keys(checked).length + results.length })
+      .filter((a) => !found[a])
+      .slice(0, budget + Object.keys(checked).length);
+    for (const address of candidates) {
+      // a funder checked above is not fetched twice
+      if (checked[address]) {
+        discovered[address] = checked[address].result;
+        if (checked[address].profile) profiles[address] = checked[address].profile;
+        continue;
+      }
+      if (budget <= 0) break;
+      budget--;
+      // candidates are always classified, so exchanges and contracts stay out of clusters
+      discovered[address] = await analyzeAddress(address, { ...options, classify: true, timeline: null, profiles });
+    }
+    const links = findLinks(profiles, { minTransfers, via, funderOk: (funder) => personalFunders.has(funder) });
+    const infer = (slots) => {
+      const counts = countsFromSlots(slots);
+      const { strategy, top } = options;
+      const verdict = options.inference === 'fixed' ? inferTimezone(counts, { strategy, top }) : inferZone(slots, { strategy, top });
+      return { ...verdictOf(verdict), weighted_events: Math.round(sum(counts) * 100) / 100 };
+    };
+    const clusters = buildClusters(profiles, links, { infer })
+      .filter((c) => c.addresses.some((a) => found[a]))
+      .map((c, i) => ({ ...c, id: `cluster-${i + 1}` }));
+    for (const r of results) r.cluster = null;
+    for (const { id, addresses, links: inside, verdict } of clusters) {
+      const cluster = {
+        id,
+        members: addresses.map((a) => ({ address: (found[a] || discovered[a]).address, discovered: !found[a], ...verdictOf(found[a] || discovered[a]) })),
+        links: inside,
+        verdict,
+      };
+      for (const a of addresses) if (found[a]) found[a].cluster = cluster;
+    }
+  }
+
+  // Analyze a list with a small worker pool; onResult fires as each address finishes. With
+  // `linkWallets`, clusters are added to the results once every address is in.
+  async function analyzeAll(addresses, options, onResult = () => {}) {
+    const queue = [...addresses];
+    const results = [];
+    const workerCount = Math.min(workers, Math.max(1, Math.ceil(addresses.length / 2)));
+    const profiles = options.linkWallets ? {} : null;
+
+    async function worker() {
+      while (queue.length) {
+        const result = await analyzeAddress(queue.pop(), { ...options, profiles });
+        results.push(result);
+        onResult(result);
+      }
+    }
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    if (profiles) await linkClusters(results, profiles, options);
+    return results;
+  }
+
+  return { analyzeAddress, analyzeAll };
+}
+
+module.exports = { createAnalyzer };
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORE_VERSION = 1;
+const USAGE_DAYS = 31; // per-day usage kept per key
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+const today = () => new Date().toISOString().slice(0, 10);
+const emptyUsage = () => ({ requests: 0, addresses: 0, upstream_calls: 0 });
+
+// File-backed API keys (same tmp file + rename writes as the other stores). Only a SHA-256
+// hash of each key is kept; the key itself is returned once, when it is issued.
+// Record: { id, name, prefix, hash, created_at, revoked_at, rate_limit, daily_addresses,
+// usage: { total, days: { 'YYYY-MM-DD': { requests, addresses, upstream_calls } } } }.
+// `rate_limit` is requests per minute, `daily_addresses` addresses per UTC day (0 = no cap);
+// null means the server default.
+function createKeyStore(filePath, { flushDelayMs = 1000 } = {}) {
+  const keys = new Map();
+  const byHash = new Map();
+  let timer = null;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (raw?.version === STORE_VERSION) {
+      for (const rec of raw.keys || []) {
+        keys.set(rec.id, rec);
+        byHash.set(rec.hash, rec.id);
+      }
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`api keys: ignoring unreadable ${filePath}`, err.message);
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: STORE_VERSION, keys: [...keys.values()] }), { mode: 0o600 });
+    fs.renameSync(tmp, filePath);
+  }
+
+  function scheduleFlush() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      try {
+        flush();
+      } catch (err) {
+        console.error('api keys: write failed', err);
+      }
+    }, flushDelayMs);
+    timer.unref();
+  }
+
+  // Everything but the hash
+  const view = ({ hash, ...rec }) => rec;
+
+  function issue({ name, rate_limit = null, daily_addresses = null }) {
+    const key = `tza_${crypto.randomBytes(24).toString('base64url')}`;
+    const rec = {
+      id: crypto.randomUUID(),
+      name,
+      prefix: key.slice(0, 8),
+      hash: hashKey(key),
+      created_at: new Date().toISOString(),
+      revoked_at: null,
+      rate_limit,
+      daily_addresses,
+      usage: { total: emptyUsage(), days: {} },
+    };
+    keys.set(rec.id, rec);
+    byHash.set(rec.hash, rec.id);
+    scheduleFlush();
+    return { key, record: view(rec) };
+  }
+
+  // Active key record for a presented key, or null
+  function authenticate(key) {
+    const rec = keys.get(byHash.get(hashKey(key)));
+    return rec && !rec.revoked_at ? rec : null;
+  }
+
+  function revoke(id) {
+    const rec = keys.get(id);
+    if (!rec) return null;
+    if (!rec.revoked_at) {
+      rec.revoked_at = new Date().toISOString();
+      scheduleFlush();
+    }
+    return view(rec);
+  }
+
+  // Add to a key's counters ({ requests?, addresses?, upstream_calls? })
+  function recordUsage(id, delta) {
+    const rec = keys.get(id);
+    if (!rec) return;
+    const day = today();
+    const days = rec.usage.days;
+    days[day] = days[day] || emptyUsage();
+    for (const [k, n] of Object.entries(delta)) {
+      rec.usage.total[k] = (rec.usage.total[k] || 0) + n;
+      days[day][k] = (days[day][k] || 0) + n;
+    }
+    for (const d of Object.keys(days).sort().slice(0, -USAGE_DAYS)) delete days[d];
+    scheduleFlush();
+  }
+
+  const usageToday = (id) => ({ ...emptyUsage(), ...keys.get(id)?.usage.days[today()] });
+
+  const list = () => [...keys.values()].map(view).sort((a, b) => b.created_at.localeCompare(a.created_at));
+  const get = (id) => (keys.has(id) ? view(keys.get(id)) : null);
+
+  return { issue, authenticate, revoke, recordUsage, usageToday, list, get, flush, size: () => keys.size };
+}
+
+module.exports = { createKeyStore, hashKey };
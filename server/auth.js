@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Routes anyone may call without a key: nothing here spends upstream quota
+const PUBLIC_PATHS = /^\/(strategies|providers|geo\/|shared\/)/;
+// The one route that takes ?api_key=: EventSource cannot send headers. Anywhere else a key in
+// the URL would end up in access logs and Referer headers, so it is refused.
+const QUERY_KEY_PATHS = /^\/jobs\/[^/]+\/events$/;
+
+// API-key authentication, per-key address quotas and usage accounting.
+// `keys` is a createKeyStore() instance. With `required`, every non-public /api route needs a
+// key; without it, requests with no key run anonymously (the IP rate limit still applies)
+// and requests with a key are still checked and counted.
+function createAuth({ keys, adminToken, required, defaults }) {
+  // the key behind the request currently running, so upstream calls made deep inside the
+  // fetchers (and by batch jobs after the response) are charged to it
+  const context = new AsyncLocalStorage();
+
+  const presentedKey = (req) => {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1];
+    const query = typeof req.query.api_key === 'string' && QUERY_KEY_PATHS.test(req.path) ? req.query.api_key : null;
+    return bearer || req.get('x-api-key') || query;
+  };
+
+  // Mounted on /api
+  function authenticate(req, res, next) {
+    if (req.path.startsWith('/admin/')) return next();
+    if (req.query.api_key !== undefined && !QUERY_KEY_PATHS.test(req.path)) {
+      return res.status(400).json({ error: 'api_key in the URL is only accepted by /api/jobs/:id/events; send Authorization: Bearer <key> or X-API-Key' });
+    }
+    const key = presentedKey(req);
+    if (!key) {
+      if (required && !PUBLIC_PATHS.test(req.path)) {
+        return res.status(401).json({ error: 'API key required (Authorization: Bearer <key> or X-API-Key)' });
+      }
+      return next();
+    }
+    const rec = keys.authenticate(key);
+    if (!rec) return res.status(401).json({ error: 'invalid or revoked API key' });
+    req.apiKey = rec;
+    keys.recordUsage(rec.id, { requests: 1 });
+    context.run({ keyId: rec.id }, next);
+  }
+
+  const rateLimitOf = (rec) => rec?.rate_limit ?? defaults.rateLimit;
+  const dailyAddressesOf = (rec) => rec?.daily_addresses ?? defaults.dailyAddresses;
+
+  // Check the daily address quota and charge `count` addresses to a key. Returns an error
+  // body when the key is gone or the quota would be exceeded, else null.
+  function chargeKey(keyId, count) {
+    const rec = keys.get(keyId);
+    if (!rec || rec.revoked_at) return { error: 'API key revoked' };
+    const quota = dailyAddressesOf(rec);
+    const used = keys.usageToday(rec.id).addresses;
+    if (quota > 0 && used + count > quota) {
+      return { error: `daily address quota exceeded (${used} of ${quota} used, ${count} requested)`, quota, used };
+    }
+    keys.recordUsage(rec.id, { addresses: count });
+    return null;
+  }
+
+  // The same for the request's key (status 429 on error); anonymous requests are free
+  const chargeAddresses = (req, count) => (req.apiKey ? chargeKey(req.apiKey.id, count) : null);
+
+  // Run `fn` with upstream calls charged to `keyId` (scheduled work outside any request)
+  const runAs = (keyId, fn) => (keyId ? context.run({ keyId }, fn) : fn());
+
+  // Passed to the activity fetcher: one call per attempt at a provider page or RPC request
+  function countUpstreamCall() {
+    const keyId = context.getStore()?.keyId;
+    if (keyId) keys.recordUsage(keyId, { upstream_calls: 1 });
+  }
+
+  // Admin routes: Authorization: Bearer <ADMIN_TOKEN>
+  function requireAdmin(req, res, next) {
+    if (!adminToken) return res.status(404).json({ error: 'admin API disabled (set ADMIN_TOKEN)' });
+    const given = Buffer.from(/^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1] || '');
+    const expected = Buffer.from(adminToken);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: 'admin token required' });
+    }
+    next();
+  }
+
+  // Quota and usage summary for a key record
+  const describe = (rec) => ({
+    ...rec,
+    rate_limit_effective: rateLimitOf(rec),
+    daily_addresses_effective: dailyAddressesOf(rec),
+    today: keys.usageToday(rec.id),
+  });
+
+  return { authenticate, chargeAddresses, chargeKey, runAs, countUpstreamCall, requireAdmin, rateLimitOf, describe };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,97 @@
+const path = require('path');
+const { DEFAULT_TYPE_WEIGHTS } = require('../shared/timezoneInference');
+
+const list = (value) =>
+  String(value || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+const flag = (value) => ['1', 'true', 'yes', 'on'].includes(String(value).trim().toLowerCase());
+
+// "1=https://…,8453=https://…" -> { 1: 'https://…', 8453: 'https://…' }
+const urlMap = (value) =>
+  Object.fromEntries(
+    list(value)
+      .filter((s) => s.includes('='))
+      .map((s) => [s.slice(0, s.indexOf('=')), s.slice(s.indexOf('=') + 1)])
+  );
+
+// "receive=0.1,mint=0" -> { receive: 0.1, mint: 0 }; bad weights are dropped
+const weightMap = (value) =>
+  Object.fromEntries(
+    Object.entries(urlMap(value))
+      .map(([type, w]) => [type, Number(w)])
+      .filter(([, w]) => Number.isFinite(w) && w >= 0)
+  );
+
+// Settings shared by the API server and the CLI; the CLI overrides some of them with flags
+function loadConfig(env = process.env) {
+  const evmRpcUrls = urlMap(env.EVM_RPC_URLS);
+  const chainIds = list(env.SIM_CHAIN_IDS || '1,137,8453,10,42161');
+  // default to SIM when its proxy is set, else to a fixture file when one is given
+  const providers = env.ACTIVITY_PROVIDERS
+    ? list(env.ACTIVITY_PROVIDERS)
+    : [env.SIM_PROXY_URL && 'sim', env.FIXTURE_PATH && 'fixture'].filter(Boolean).slice(0, 1);
+  return {
+    // activity sources, highest priority first: sim, etherscan, rpc, fixture
+    providers,
+    // Your Cloudflare Worker that forwards to api.sim.dune.com and adds X-API-Key
+    simProxyUrl: env.SIM_PROXY_URL, // e.g. https://smart-money.pdotcapital.workers.dev/v1
+    // chain IDs to include (default: ETH, Polygon, Base, Optimism, Arbitrum)
+    chainIds,
+    activityLimit: parseInt(env.SIM_ACTIVITY_LIMIT || '1000', 10), // page size per request
+    maxEvents: parseInt(env.SIM_MAX_EVENTS || '10000', 10), // per address per chain, across pages
+    windowDays: parseInt(env.SIM_WINDOW_DAYS || '0', 10), // only count the last N days (0 = full history)
+    workers: parseInt(env.WORKERS || '5', 10), // concurrent fetchers
+    // how much each event type counts; owner-signed actions 1, receives and mints 0.1
+    typeWeights: { ...DEFAULT_TYPE_WEIGHTS, ...weightMap(env.EVENT_TYPE_WEIGHTS) },
+    // retries, one concurrency cap across all upstream requests, and per-provider circuit breakers
+    upstream: {
+      concurrency: parseInt(env.UPSTREAM_CONCURRENCY || '8', 10),
+      retries: parseInt(env.UPSTREAM_RETRIES || '3', 10),
+      baseDelayMs: parseInt(env.UPSTREAM_BACKOFF_MS || '500', 10), // doubles per retry unless Retry-After says otherwise
+      maxDelayMs: parseInt(env.UPSTREAM_MAX_BACKOFF_MS || '10000', 10),
+      breakerThreshold: parseInt(env.BREAKER_THRESHOLD || '5', 10), // consecutive failures that open the circuit
+      breakerCooldownMs: parseInt(env.BREAKER_COOLDOWN_MS || '30000', 10),
+    },
+    // Etherscan-compatible API (v2 multichain by default once a key is set)
+    etherscanApiUrl: env.ETHERSCAN_API_URL || (env.ETHERSCAN_API_KEY ? 'https://api.etherscan.io/v2/api' : ''),
+    etherscanApiKey: env.ETHERSCAN_API_KEY || '',
+    etherscanChainIds: env.ETHERSCAN_CHAIN_IDS ? list(env.ETHERSCAN_CHAIN_IDS) : chainIds,
+    // JSON-RPC endpoints: contract-code checks, and the "rpc" provider's Transfer-log scan
+    evmRpcUrls,
+    rpcBlockSpan: parseInt(env.RPC_BLOCK_SPAN || '10000', 10), // blocks per eth_getLogs page
+    rpcMaxBlocksBack: parseInt(env.RPC_MAX_BLOCKS_BACK || '1000000', 10), // how far back to scan
+    // JSON file of address -> chain -> event times for the "fixture" provider
+    fixturePath: env.FIXTURE_PATH || '',
+    // mainnet JSON-RPC for ENS names in imported lists (defaults to chain 1 of EVM_RPC_URLS)
+    ensRpcUrl: env.ENS_RPC_URL || evmRpcUrls['1'] || '',
+    // per-address, per-chain histograms survive restarts here ("off" disables)
+    histogramStorePath: env.HISTOGRAM_STORE_PATH || path.join(__dirname, '..', 'data', 'histograms.json'),
+    // named workspaces saved from the UIs
+    workspaceStorePath: env.WORKSPACE_STORE_PATH || path.join(__dirname, '..', 'data', 'workspaces.json'),
+    // watchlists re-inferred on a schedule, and where their drift alerts go
+    watchlistStorePath: env.WATCHLIST_STORE_PATH || path.join(__dirname, '..', 'data', 'watchlists.json'),
+    watchTickSeconds: parseInt(env.WATCH_TICK_SECONDS || '60', 10), // how often due watchlists are looked for
+    watchMinIntervalMinutes: parseInt(env.WATCH_MIN_INTERVAL_MINUTES || '15', 10),
+    watchWindowDays: parseInt(env.WATCH_WINDOW_DAYS || '30', 10), // default look-back per run, so moves show up
+    alertWebhookUrl: env.ALERT_WEBHOOK_URL || '', // used when a watchlist has no webhook of its own
+    alertLogPath: env.ALERT_LOG_PATH || path.join(__dirname, '..', 'data', 'alerts.jsonl'), // "off" disables
+    // simplified timezone polygons built by `npm run build:geo`
+    geoDir: env.GEO_DIR || path.join(__dirname, '..', 'geo'),
+    // API keys (hashed) and their usage counters
+    apiKeyStorePath: env.API_KEY_STORE_PATH || path.join(__dirname, '..', 'data', 'api-keys.json'),
+    // bearer token for /api/admin/* (unset disables the admin routes)
+    adminToken: env.ADMIN_TOKEN || '',
+    // reject requests without a key (defaults to on once ADMIN_TOKEN is set)
+    requireApiKey: env.REQUIRE_API_KEY ? flag(env.REQUIRE_API_KEY) : !!env.ADMIN_TOKEN,
+    anonRateLimit: parseInt(env.RATE_LIMIT || '10', 10), // requests per minute per IP without a key
+    keyRateLimit: parseInt(env.KEY_RATE_LIMIT || '60', 10), // default requests per minute per key
+    keyDailyAddresses: parseInt(env.KEY_DAILY_ADDRESSES || '5000', 10), // default per key per UTC day (0 = no cap)
+    // origins allowed to call the API from a browser (unset allows any)
+    corsOrigins: list(env.CORS_ORIGINS),
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,67 @@
+const axios = require('axios');
+const { keccak_256: keccak } = require('js-sha3');
+
+// ENS registry on Ethereum mainnet and the two selectors we call
+const ENS_REGISTRY = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+const RESOLVER_SELECTOR = '0x0178b8bf'; // resolver(bytes32)
+const ADDR_SELECTOR = '0x3b3b57de'; // addr(bytes32)
+const ZERO_ADDRESS = '0x' + '0'.repeat(40);
+
+// EIP-137 namehash; names are lowercased, not fully UTS-46 normalized
+function namehash(name) {
+  let node = '00'.repeat(32);
+  const labels = String(name).toLowerCase().split('.').filter(Boolean);
+  for (let i = labels.length - 1; i >= 0; i--) {
+    node = keccak(Buffer.from(node + keccak(labels[i]), 'hex'));
+  }
+  return node;
+}
+
+// Resolves .eth names to addresses over a mainnet JSON-RPC endpoint.
+// resolve(names) -> { name: address | null }; answers are cached for the process lifetime.
+function createEnsResolver({ rpcUrl }) {
+  const cache = new Map();
+
+  async function ethCall(to, data) {
+    const r = await axios.post(
+      rpcUrl,
+      { jsonrpc: '2.0', id: 1, method: 'eth_call', params: [{ to, data }, 'latest'] },
+      { timeout: 10_000 }
+    );
+    if (r.data?.error) throw new Error(r.data.error.message || 'eth_call failed');
+    return r.data?.result || '0x';
+  }
+
+  // last 20 bytes of a 32-byte ABI word
+  const wordToAddress = (hex) => (hex && hex.length >= 66 ? '0x' + hex.slice(-40) : ZERO_ADDRESS);
+
+  async function resolveOne(name) {
+    const node = namehash(name);
+    const resolver = wordToAddress(await ethCall(ENS_REGISTRY, RESOLVER_SELECTOR + node));
+    if (resolver === ZERO_ADDRESS) return null;
+    const address = wordToAddress(await ethCall(resolver, ADDR_SELECTOR + node));
+    return address === ZERO_ADDRESS ? null : address;
+  }
+
+  async function resolve(names) {
+    const out = {};
+    for (const name of names) {
+      const key = String(name).toLowerCase();
+      if (!cache.has(key)) {
+        try {
+          cache.set(key, await resolveOne(key));
+        } catch (err) {
+          console.error(`ENS lookup failed for ${key}: ${err.message}`);
+          out[name] = null;
+          continue; // transient; try again next time
+        }
+      }
+      out[name] = cache.get(key);
+    }
+    return out;
+  }
+
+  return { resolve, enabled: !!rpcUrl };
+}
+
+module.exports = { createEnsResolver, namehash };
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+const LODS = ['low', 'medium', 'high'];
+
+// Bundled timezone polygons written by scripts/build-geo.js: one TopoJSON file per level of
+// detail plus manifest.json. The manifest is re-read when it changes, so a rebuild is picked
+// up without a restart.
+function createGeoStore(dir) {
+  const manifestPath = path.join(dir, 'manifest.json');
+  let cached = null;
+  let cachedMtime = 0;
+
+  function manifest() {
+    let mtime;
+    try {
+      mtime = fs.statSync(manifestPath).mtimeMs;
+    } catch {
+      cached = null;
+      return null;
+    }
+    if (cached && mtime === cachedMtime) return cached;
+    try {
+      cached = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      cachedMtime = mtime;
+    } catch (err) {
+      console.warn(`geo: ignoring unreadable ${manifestPath}`, err.message);
+      cached = null;
+    }
+    return cached;
+  }
+
+  // "timezone-boundary-builder 2025b": sent as X-Geo-Version and shown in the UIs' status line
+  const versionOf = (m) => (m ? `${m.source} ${m.release}` : null);
+
+  // { file, level, version } for a level of detail, or null when it has not been built
+  function level(lod) {
+    const m = manifest();
+    const entry = m?.levels?.[lod];
+    if (!entry) return null;
+    const file = path.join(dir, path.basename(entry.file));
+    return fs.existsSync(file) ? { file, level: entry, version: versionOf(m) } : null;
+  }
+
+  return { manifest, level, versionOf, dir };
+}
+
+module.exports = { createGeoStore, LODS };
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+const STORE_VERSION = 4; // v2: 15-minute slots instead of 24 hour counts; v3: slots per event type; v4: counterparties
+
+// File-backed per-address, per-chain histogram store. Records live in memory and are
+// written to one JSON file shortly after each change (tmp file + rename, so a crash
+// mid-write never leaves a truncated store behind).
+// Record: { types: { type: { slot: count } }, counterparties (see shared/walletLinks),
+// last_block_time and oldest_block_time (epoch ms), events_scanned, complete, next_cursor
+// (where paging stopped when the history was capped), updated_at }
+function createHistogramStore(filePath, { flushDelayMs = 1000 } = {}) {
+  const records = new Map();
+  let timer = null;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (raw?.version === STORE_VERSION) {
+      for (const [key, rec] of Object.entries(raw.records || {})) records.set(key, rec);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`histogram store: ignoring unreadable ${filePath}`, err.message);
+  }
+
+  const keyOf = (address, chain) => `${address}:${chain}`;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: STORE_VERSION, records: Object.fromEntries(records) }));
+    fs.renameSync(tmp, filePath);
+  }
+
+  function scheduleFlush() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      try {
+        flush();
+      } catch (err) {
+        console.error('histogram store: write failed', err);
+      }
+    }, flushDelayMs);
+    timer.unref();
+  }
+
+  // `address` must already be normalized (lowercase EVM, case-kept base58)
+  const get = (address, chain) => records.get(keyOf(address, chain)) || null;
+
+  function put(address, chain, record) {
+    records.set(keyOf(address, chain), { ...record, updated_at: new Date().toISOString() });
+    scheduleFlush();
+  }
+
+  return { get, put, flush, size: () => records.size };
+}
+
+module.exports = { createHistogramStore };
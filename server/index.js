@@ -1,160 +1,478 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
-const rateLimit = require('express-rate-limit');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 const NodeCache = require('node-cache');
 const cors = require('cors');
+const { hasStrategy, listStrategies, aggregateCohort, typeWeights, DEFAULT_STRATEGY, TIMELINE_DEFAULTS, EVENT_TYPES } = require('../shared/timezoneInference');
+const { LINK_DEFAULTS, LINK_KINDS } = require('../shared/walletLinks');
+const { createActivityFetcher, normalizeAddress } = require('./activity');
+const { createProviders } = require('./providers');
+const { createAnalyzer } = require('./analyze');
+const { loadConfig } = require('./config');
+const { createJobStore } = require('./jobs');
+const { createHistogramStore } = require('./histogramStore');
+const { createEnsResolver } = require('./ens');
+const { createGeoStore, LODS } = require('./geo');
+const { createWorkspaceStore } = require('./workspaces');
+const { createKeyStore } = require('./apiKeys');
+const { createAuth } = require('./auth');
+const { createWatchlistStore } = require('./watchlists');
+const { createWatcher, createAlertSink } = require('./watcher');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Your Cloudflare Worker that forwards to api.sim.dune.com and adds X-API-Key
-const SIM_PROXY_URL = process.env.SIM_PROXY_URL; // e.g. https://smart-money.pdotcapital.workers.dev/v1
-if (!SIM_PROXY_URL) throw new Error('SIM_PROXY_URL environment variable not set');
+const config = loadConfig();
+// A missing provider setting is not fatal: the UI, strategies and ENS routes still work and
+// inference routes answer 503 until a provider is configured
+const { providers, errors: providerErrors } = createProviders(config);
+for (const message of providerErrors) console.warn(`warning: ${message}`);
+if (!providers.length) console.warn('warning: no activity provider configured (set SIM_PROXY_URL, ACTIVITY_PROVIDERS or FIXTURE_PATH)');
 
-// Comma-separated chain IDs to include (default: ETH, Polygon, Base, Optimism, Arbitrum)
-const SIM_CHAIN_IDS = (process.env.SIM_CHAIN_IDS || '1,137,8453,10,42161')
-  .split(',')
-  .map((s) => s.trim())
-  .filter(Boolean);
-
-const ACTIVITY_LIMIT = parseInt(process.env.SIM_ACTIVITY_LIMIT || '1000', 10); // per address per chain
-const WORKERS = parseInt(process.env.WORKERS || '5', 10); // concurrent fetchers
-
-app.use(cors({ origin: true }));     // allow cross-origin (useful during dev)
-app.use(express.json());
+// CORS_ORIGINS limits browser callers; unset allows any origin (useful during dev)
+app.use(cors({ origin: config.corsOrigins.length ? config.corsOrigins : true }));
+app.use(express.json({ limit: '10mb' })); // saved workspaces carry full results
 
 // trust the first proxy (Codespaces/Cloudflare/Nginx/etc.)
 app.set('trust proxy', 1);
 
 
-// basic rate limiting
-const limiter = rateLimit({ windowMs: 60 * 1000, max: 10 });
+// API keys: who is calling, their limits and what they have used
+const apiKeys = createKeyStore(config.apiKeyStorePath);
+const auth = createAuth({
+  keys: apiKeys,
+  adminToken: config.adminToken,
+  required: config.requireApiKey,
+  defaults: { rateLimit: config.keyRateLimit, dailyAddresses: config.keyDailyAddresses },
+});
+if (config.requireApiKey && !config.adminToken && !apiKeys.size()) {
+  console.warn('warning: REQUIRE_API_KEY is on but there are no keys and no ADMIN_TOKEN to issue them');
+}
+app.use('/api', auth.authenticate);
+
+// rate limiting: per key (its own limit or KEY_RATE_LIMIT), else per IP (RATE_LIMIT)
+// (job status polls, progress streams, map geometry and shared sessions are exempt so
+// clients can follow long batches, switch levels of detail and open share links)
+const limiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => (req.apiKey ? auth.rateLimitOf(req.apiKey) : config.anonRateLimit),
+  keyGenerator: (req) => (req.apiKey ? `key:${req.apiKey.id}` : ipKeyGenerator(req.ip)),
+  skip: (req) => req.method === 'GET' && /^\/api\/(jobs|geo|shared)\//.test(req.path),
+});
 app.use(limiter);
 
 // simple in-memory cache
 const cache = new NodeCache({ stdTTL: 300 }); // 5 minutes
 
+const histogramStore = config.histogramStorePath === 'off' ? null : createHistogramStore(config.histogramStorePath);
+
+// chain-family-aware fetchers over the configured providers (SIM, Etherscan, RPC, fixture)
+const fetcher = createActivityFetcher({
+  providers,
+  pageSize: config.activityLimit,
+  maxEvents: config.maxEvents,
+  windowDays: config.windowDays,
+  workers: config.workers,
+  store: histogramStore,
+  rpcUrls: config.evmRpcUrls,
+  upstream: config.upstream,
+  onUpstreamCall: auth.countUpstreamCall,
+});
+const { analyzeAll } = createAnalyzer({ fetcher, workers: config.workers });
+
+const ens = createEnsResolver({ rpcUrl: config.ensRpcUrl });
+
+const workspaces = createWorkspaceStore(config.workspaceStorePath);
+
+const geo = createGeoStore(config.geoDir);
+if (!geo.manifest()) console.warn(`warning: no timezone geometry in ${config.geoDir} (run npm run build:geo); UIs fall back to remote polygons`);
+
 // ----------------- helpers -----------------
-const tzExamples = {
-  '-12': 'Etc/GMT+12',  '-11': 'Pacific/Pago_Pago',    '-10': 'Pacific/Honolulu',
-  '-9':  'America/Anchorage','-8': 'America/Los_Angeles','-7': 'America/Denver',
-  '-6':  'America/Chicago','-5': 'America/New_York',   '-4': 'America/Halifax',
-  '-3':  'America/Sao_Paulo','-2': 'Atlantic/South_Georgia','-1': 'Atlantic/Azores',
-  '0':   'Etc/UTC','1': 'Europe/Berlin','2': 'Europe/Kaliningrad','3': 'Europe/Moscow',
-  '4':   'Asia/Dubai','5': 'Asia/Karachi','6': 'Asia/Dhaka','7': 'Asia/Bangkok',
-  '8':   'Asia/Shanghai','9': 'Asia/Tokyo','10': 'Australia/Sydney','11': 'Pacific/Noumea',
-  '12':  'Pacific/Auckland','13': 'Pacific/Tongatapu','14': 'Pacific/Kiritimati',
-};
-const exampleTz = (offset) => tzExamples[String(offset)] || 'Etc/UTC';
-
-function analyzeHourlyCounts(counts) {
-  const total = counts.reduce((a, b) => a + b, 0);
-  const sorted = [...counts].sort((a, b) => a - b);
-  const median = sorted[Math.floor(sorted.length / 2)];
-  let bestOffset = 0;
-  let bestScore = -Infinity;
-  for (let offset = -12; offset <= 14; offset++) {
-    let daySum = 0;
-    for (let i = 0; i < 24; i++) {
-      const localHour = (i + offset + 24) % 24;
-      if (localHour >= 8 && localHour < 18) daySum += counts[i];
-    }
-    if (daySum > bestScore) {
-      bestScore = daySum;
-      bestOffset = offset;
-    }
+// `from`/`to` accept ISO dates ("2024-01-01", "2024-01-01T12:00:00Z") or epoch ms
+const parseDate = (value) => (value === undefined || value === null ? null : typeof value === 'number' ? value : Date.parse(value));
+
+// `timeline: true` or { window_days, step_days }; null when absent
+function parseTimeline(value) {
+  if (value === undefined || value === null || value === false) return { timeline: null };
+  if (value !== true && typeof value !== 'object') return { error: 'timeline must be true or { window_days, step_days }' };
+  const { window_days: windowDays = TIMELINE_DEFAULTS.windowDays, step_days: stepDays = TIMELINE_DEFAULTS.stepDays } = value === true ? {} : value;
+  if (!Number.isInteger(windowDays) || windowDays < 1) return { error: 'timeline.window_days must be a positive integer' };
+  if (!Number.isInteger(stepDays) || stepDays < 1) return { error: 'timeline.step_days must be a positive integer' };
+  return { timeline: { windowDays, stepDays } };
+}
+
+// `link_wallets: true` or { min_transfers, via, max_discovered }; null when absent
+const MAX_DISCOVERED = 50;
+function parseLinkWallets(value) {
+  if (value === undefined || value === null || value === false) return { linkWallets: null };
+  if (value !== true && typeof value !== 'object') return { error: 'link_wallets must be true or { min_transfers, via, max_discovered }' };
+  const {
+    min_transfers: minTransfers = LINK_DEFAULTS.minTransfers,
+    via = LINK_DEFAULTS.via,
+    max_discovered: maxDiscovered = LINK_DEFAULTS.maxDiscovered,
+  } = value === true ? {} : value;
+  if (!Number.isInteger(minTransfers) || minTransfers < 1) return { error: 'link_wallets.min_transfers must be a positive integer' };
+  if (!Array.isArray(via) || !via.length || via.some((k) => !LINK_KINDS.includes(k))) {
+    return { error: `link_wallets.via must be a non-empty array of ${LINK_KINDS.join(', ')}` };
   }
-  const utc_label = `UTC${bestOffset >= 0 ? '+' : ''}${bestOffset}`;
-  const ratio = total ? bestScore / total : 0;
-  const highBars = counts.filter((c) => c >= median * 3).length;
-  const passes_rule = ratio > 0.5 && highBars >= 3;
-  return {
-    utc_offset_hours: bestOffset,
-    utc_label,
-    iana_tz_example: exampleTz(bestOffset),
-    median,
-    ratio,
-    bars_high_over_mult: highBars,
-    passes_rule,
-  };
+  if (!Number.isInteger(maxDiscovered) || maxDiscovered < 0 || maxDiscovered > MAX_DISCOVERED) {
+    return { error: `link_wallets.max_discovered must be an integer between 0 and ${MAX_DISCOVERED}` };
+  }
+  return { linkWallets: { minTransfers, via, maxDiscovered } };
 }
 
-// Turn a SIM /evm/activity page into hour buckets (UTC)
-function accumulateHoursFromActivity(counts24, activity, filterAddrLower) {
-  for (const ev of activity || []) {
-    try {
-      const ts = Date.parse(ev.block_time);
-      if (!Number.isFinite(ts)) continue;
-      if (filterAddrLower && ev.wallet_address && ev.wallet_address.toLowerCase() !== filterAddrLower) continue;
-      const hourUtc = new Date(ts).getUTCHours();
-      counts24[hourUtc] = (counts24[hourUtc] || 0) + 1;
-    } catch {}
+// `event_types` (which types count) and `type_weights` ({ type: weight }) over the server's
+// EVENT_TYPE_WEIGHTS; resolved to one weight per type
+function parseTypeWeights(types, weights) {
+  if (types !== undefined && (!Array.isArray(types) || !types.length || types.some((t) => !EVENT_TYPES.includes(t)))) {
+    return { error: `event_types must be a non-empty array of ${EVENT_TYPES.join(', ')}` };
   }
-  return counts24;
+  if (weights !== undefined && (!weights || typeof weights !== 'object' || Object.values(weights).some((w) => !(w >= 0)))) {
+    return { error: 'type_weights must map event types to non-negative numbers' };
+  }
+  return { weights: typeWeights({ types, overrides: weights, defaults: config.typeWeights }) };
+}
+
+// Validate the body shared by /api/timezone and /api/jobs
+function parseInferenceRequest(body) {
+  const {
+    addresses,
+    strategy = DEFAULT_STRATEGY,
+    top = 3,
+    max_events: maxEvents = config.maxEvents,
+    window_days: windowDays = config.windowDays,
+    inference = 'iana',
+    classify = true,
+  } = body || {};
+  const from = parseDate(body?.from);
+  const to = parseDate(body?.to);
+  if (!Array.isArray(addresses) || addresses.length === 0) return { error: 'addresses array required' };
+  if (!hasStrategy(strategy)) return { error: `unknown strategy: ${strategy}` };
+  if (!Number.isInteger(top) || top < 0 || top > 26) return { error: 'top must be an integer between 0 and 26' };
+  if (!Number.isInteger(maxEvents) || maxEvents < 1) return { error: 'max_events must be a positive integer' };
+  if (!Number.isInteger(windowDays) || windowDays < 0) return { error: 'window_days must be a non-negative integer' };
+  if (!['iana', 'fixed'].includes(inference)) return { error: 'inference must be "iana" or "fixed"' };
+  if ([from, to].some((t) => t !== null && !Number.isFinite(t))) return { error: 'from and to must be ISO dates or epoch milliseconds' };
+  if (from !== null && to !== null && from >= to) return { error: 'from must be before to' };
+  const { timeline, error } = parseTimeline(body?.timeline);
+  if (error) return { error };
+  const { weights, error: typeError } = parseTypeWeights(body.event_types, body.type_weights);
+  if (typeError) return { error: typeError };
+  const { linkWallets, error: linkError } = parseLinkWallets(body.link_wallets);
+  if (linkError) return { error: linkError };
+  return {
+    addresses: addresses.map((a) => String(a).trim()),
+    options: { strategy, top, maxEvents, windowDays, inference, classify: classify !== false, from, to, timeline, typeWeights: weights, linkWallets },
+  };
 }
 
-// Fetch one address across all configured chains and build its 24-hour UTC histogram
-async function fetchAddressHistogramSIM(address) {
-  const addrLower = address.toLowerCase();
-  const counts = new Array(24).fill(0);
-
-  const queue = [...SIM_CHAIN_IDS];
-  const workers = Array.from({ length: WORKERS }, async () => {
-    while (queue.length) {
-      const chainId = queue.pop();
-      const url = `${SIM_PROXY_URL}/evm/activity/${addrLower}`
-        + `?chain_ids=${encodeURIComponent(chainId)}`
-        + `&type=send,receive,mint,burn,swap,transfer`
-        + `&limit=${ACTIVITY_LIMIT}`
-        + `&sort_by=block_time&sort_order=asc`;
+const jobs = createJobStore({ run: analyzeAll });
 
-      try {
-        const r = await axios.get(url, { timeout: 25_000 });
-        const activity = r.data?.activity || [];
-        accumulateHoursFromActivity(counts, activity, addrLower);
-      } catch (e) {
-        // non-fatal; continue
-      }
-    }
-  });
-  await Promise.all(workers);
-  return counts;
+// Watchlists: re-inferred on their interval; offset and confidence moves raise alerts
+const watchlists = createWatchlistStore(config.watchlistStorePath, {
+  minIntervalMinutes: config.watchMinIntervalMinutes,
+  defaultWindowDays: config.watchWindowDays,
+});
+const watcher = createWatcher({
+  store: watchlists,
+  analyzeAll,
+  sink: createAlertSink({ logPath: config.alertLogPath, webhookUrl: config.alertWebhookUrl }),
+  auth,
+  maxEvents: config.maxEvents,
+  typeWeights: config.typeWeights,
+  tickMs: config.watchTickSeconds * 1000,
+});
+if (fetcher.ready) watcher.start();
+
+// Charge the addresses of a parsed request to the caller's daily quota; false once a 429
+// has been sent. Linked-wallet discovery may analyze up to max_discovered more, charged upfront.
+function chargeAddresses(req, res, addresses, options) {
+  const over = auth.chargeAddresses(req, addresses.length + (options.linkWallets?.maxDiscovered || 0));
+  if (over) res.status(429).json(over);
+  return !over;
+}
+
+// Inference routes need at least one activity provider
+function requireProvider(req, res, next) {
+  if (fetcher.ready) return next();
+  res.status(503).json({ error: 'no activity provider configured', details: providerErrors });
 }
 
 // ----------------- API -----------------
-app.post('/api/timezone', async (req, res) => {
+app.get('/api/strategies', (req, res) => {
+  res.json({ default: DEFAULT_STRATEGY, strategies: listStrategies() });
+});
+
+// Which activity providers are live, in priority order, and their circuit breakers
+app.get('/api/providers', (req, res) => {
+  res.json({ providers: providers.map((p) => p.name), errors: providerErrors, upstream: fetcher.upstreamStatus() });
+});
+
+// Bundled timezone geometry: which release and levels of detail are available
+app.get('/api/geo/manifest', (req, res) => {
+  const manifest = geo.manifest();
+  if (!manifest) return res.status(404).json({ error: 'timezone geometry not built (run npm run build:geo)' });
+  res.json({ version: geo.versionOf(manifest), ...manifest });
+});
+
+// TopoJSON polygons (object "timezones", property tzid); ?lod=low|medium|high, default medium
+app.get('/api/geo/timezones', (req, res) => {
+  const lod = req.query.lod || 'medium';
+  if (!LODS.includes(lod)) return res.status(400).json({ error: `lod must be one of ${LODS.join(', ')}` });
+  const found = geo.level(lod);
+  if (!found) return res.status(404).json({ error: 'timezone geometry not built (run npm run build:geo)' });
+  res.set({ 'X-Geo-Version': found.version, 'X-Geo-Lod': lod, 'Access-Control-Expose-Headers': 'X-Geo-Version, X-Geo-Lod' });
+  res.sendFile(found.file, { maxAge: '1d', headers: { 'Content-Type': 'application/json' } });
+});
+
+// Named workspaces: saved sessions (addresses, selection, click log, results, viewport).
+// Mutations need the workspace id, which only the create response and the creating key's
+// listing carry; share_id only reads, for read-only links.
+app.get('/api/workspaces', (req, res) => {
+  res.json({ workspaces: workspaces.list(req.apiKey?.id || null) });
+});
+
+app.post('/api/workspaces', (req, res) => {
+  const { name, session } = req.body || {};
+  const { workspace, status, error, id } = workspaces.create(name, session, { keyId: req.apiKey?.id || null });
+  if (error) return res.status(status).json({ error, id });
+  res.status(201).json(workspace);
+});
+
+app.get('/api/workspaces/:id', (req, res) => {
+  const workspace = workspaces.get(req.params.id);
+  if (!workspace) return res.status(404).json({ error: 'workspace not found' });
+  res.json(workspace);
+});
+
+app.put('/api/workspaces/:id', (req, res) => {
+  const { workspace, status, error, id } = workspaces.update(req.params.id, req.body || {}, { keyId: req.apiKey?.id || null });
+  if (error) return res.status(status).json({ error, id });
+  res.json(workspace);
+});
+
+app.delete('/api/workspaces/:id', (req, res) => {
+  if (!workspaces.remove(req.params.id)) return res.status(404).json({ error: 'workspace not found' });
+  res.status(204).end();
+});
+
+// Read-only view of a workspace for share links (no id, so no way to change it)
+app.get('/api/shared/:shareId', (req, res) => {
+  const workspace = workspaces.getShared(req.params.shareId);
+  if (!workspace) return res.status(404).json({ error: 'shared session not found' });
+  const { name, updated_at, session } = workspace;
+  res.json({ name, updated_at, session, read_only: true });
+});
+
+// analyzeAll behind the 5-minute response cache shared by /api/timezone and /api/cohort
+async function analyzeAllCached(addresses, options) {
+  const { strategy, top, maxEvents, windowDays, inference, classify, from, to, timeline, typeWeights: weights, linkWallets } = options;
+  const span = `${from}-${to}:${timeline ? `${timeline.windowDays}/${timeline.stepDays}` : ''}:${JSON.stringify(weights)}:${JSON.stringify(linkWallets)}`;
+  const cacheKey = `${inference}:${classify}:${strategy}:${top}:${maxEvents}:${windowDays}:${span}:${addresses.map(normalizeAddress).sort().join(',')}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+  const results = await analyzeAll(addresses, options);
+  // fetch failures are retried by the next request rather than served for five minutes
+  if (results.every((r) => !r.fetch_status || r.fetch_status === 'ok')) cache.set(cacheKey, results);
+  return results;
+}
+
+app.post('/api/timezone', requireProvider, async (req, res) => {
   try {
-    const { addresses } = req.body || {};
-    if (!Array.isArray(addresses) || addresses.length === 0) {
-      return res.status(400).json({ error: 'addresses array required' });
-    }
-
-    const cacheKey = addresses.map((a) => String(a).toLowerCase()).sort().join(',');
-    const cached = cache.get(cacheKey);
-    if (cached) return res.json(cached);
-
-    const queue = [...addresses.map(String)];
-    const results = [];
-    const workerCount = Math.min(WORKERS, Math.max(1, Math.ceil(addresses.length / 2)));
-
-    async function worker() {
-      while (queue.length) {
-        const address = queue.pop();
-        const counts = await fetchAddressHistogramSIM(address);
-        results.push({ address, ...analyzeHourlyCounts(counts) });
-      }
-    }
-    await Promise.all(Array.from({ length: workerCount }, worker));
+    const { error, addresses, options } = parseInferenceRequest(req.body);
+    if (error) return res.status(400).json({ error });
+    if (!chargeAddresses(req, res, addresses, options)) return;
+    res.json(await analyzeAllCached(addresses, options));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'failed to infer timezones' });
+  }
+});
+
+// Cohort footprint: same body as /api/timezone, plus optional gap_hours for clustering
+app.post('/api/cohort', requireProvider, async (req, res) => {
+  try {
+    const { error, addresses, options } = parseInferenceRequest(req.body);
+    if (error) return res.status(400).json({ error });
+    const { gap_hours: gapHours = 1 } = req.body;
+    if (!Number.isInteger(gapHours) || gapHours < 0) return res.status(400).json({ error: 'gap_hours must be a non-negative integer' });
+    if (!chargeAddresses(req, res, addresses, options)) return;
+    const results = await analyzeAllCached(addresses, options);
+    res.json({ cohort: aggregateCohort(results, { strategy: options.strategy, top: options.top, gapHours }), results });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'failed to infer timezones' });
+  }
+});
+
+// Watchlists: addresses re-inferred every interval_minutes over the last window_days, with a
+// time series of verdicts per address and drift alerts (see server/watcher.js). Each belongs
+// to the API key that created it: only that key sees or changes it, and its runs are charged
+// to that key. Someone else's watchlist reads as not found.
+function requireKey(req, res, next) {
+  if (req.apiKey) return next();
+  res.status(401).json({ error: 'watchlists need an API key (Authorization: Bearer <key> or X-API-Key)' });
+}
+
+function ownWatchlist(req, res, next) {
+  const watchlist = watchlists.get(req.params.id);
+  if (!watchlist || watchlist.key_id !== req.apiKey.id) return res.status(404).json({ error: 'watchlist not found' });
+  req.watchlist = watchlist;
+  next();
+}
+
+app.get('/api/watchlists', requireKey, (req, res) => {
+  res.json({ watchlists: watchlists.list(req.apiKey.id) });
+});
 
-    cache.set(cacheKey, results);
-    res.json(results);
+app.post('/api/watchlists', requireKey, requireProvider, (req, res) => {
+  const { watchlist, status, error } = watchlists.create(req.body, { keyId: req.apiKey.id });
+  if (error) return res.status(status).json({ error });
+  watcher.tick(); // first run now rather than on the next tick
+  res.status(201).json(watchlist);
+});
+
+// Full record: settings, per-address series and alerts
+app.get('/api/watchlists/:id', requireKey, ownWatchlist, (req, res) => {
+  res.json({ ...req.watchlist, running: watcher.isRunning(req.watchlist.id) });
+});
+
+app.put('/api/watchlists/:id', requireKey, ownWatchlist, (req, res) => {
+  const { watchlist, status, error } = watchlists.update(req.params.id, req.body);
+  if (error) return res.status(status).json({ error });
+  res.json(watchlist);
+});
+
+app.delete('/api/watchlists/:id', requireKey, ownWatchlist, (req, res) => {
+  watchlists.remove(req.params.id);
+  res.status(204).end();
+});
+
+// Run now instead of at next_run_at; poll GET /api/watchlists/:id for the new points
+app.post('/api/watchlists/:id/run', requireKey, ownWatchlist, requireProvider, (req, res) => {
+  watchlists.runSoon(req.params.id);
+  watcher.tick();
+  res.status(202).json({ id: req.params.id, queued: true });
+});
+
+// Resolve .eth names from imported address lists: { names } -> { resolved: { name: address|null } }
+app.post('/api/ens', async (req, res) => {
+  const { names } = req.body || {};
+  if (!Array.isArray(names) || names.length === 0) return res.status(400).json({ error: 'names array required' });
+  if (names.length > 500) return res.status(400).json({ error: 'at most 500 names per request' });
+  if (!ens.enabled) return res.status(501).json({ error: 'ENS resolution not configured (set ENS_RPC_URL)' });
+  try {
+    res.json({ resolved: await ens.resolve(names.map(String)) });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: 'failed to infer timezones from SIM' });
+    res.status(500).json({ error: 'ENS resolution failed' });
+  }
+});
+
+// Batch jobs: POST returns immediately; poll GET /api/jobs/:id or stream /api/jobs/:id/events
+app.post('/api/jobs', requireProvider, (req, res) => {
+  const { error, addresses, options } = parseInferenceRequest(req.body);
+  if (error) return res.status(400).json({ error });
+  if (!chargeAddresses(req, res, addresses, options)) return;
+  const job = jobs.create(addresses, options);
+  res.status(202).json({ id: job.id, status: job.status, total: job.total });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  res.json(job);
+});
+
+// Cohort footprint of a job's results so far (complete once status is "done")
+app.get('/api/jobs/:id/cohort', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  res.json({ id: job.id, status: job.status, completed: job.completed, total: job.total, cohort: aggregateCohort(job.results) });
+});
+
+// Server-Sent Events: a `snapshot` first, then one `result` per address and a final `done`
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send('snapshot', job);
+  if (job.status !== 'running') return res.end();
+
+  const unsubscribe = jobs.subscribe(job.id, {
+    onResult: (progress) => send('result', progress),
+    onDone: (final) => {
+      send('done', { ...final, results: undefined });
+      res.end();
+    },
+  });
+  req.on('close', () => unsubscribe?.());
+});
+
+// The calling key's limits and usage
+app.get('/api/usage', (req, res) => {
+  if (!req.apiKey) return res.status(401).json({ error: 'no API key given' });
+  res.json(auth.describe(apiKeys.get(req.apiKey.id)));
+});
+
+// ----------------- admin (Authorization: Bearer <ADMIN_TOKEN>) -----------------
+app.use('/api/admin', auth.requireAdmin);
+
+app.get('/api/admin/keys', (req, res) => {
+  res.json({ keys: apiKeys.list().map(auth.describe) });
+});
+
+// Issue a key: { name, rate_limit?, daily_addresses? } -> the record plus `key`, shown only here
+app.post('/api/admin/keys', (req, res) => {
+  const { name, rate_limit: rateLimitPerMin = null, daily_addresses: dailyAddresses = null } = req.body || {};
+  if (!name || typeof name !== 'string') return res.status(400).json({ error: 'name required' });
+  if (rateLimitPerMin !== null && (!Number.isInteger(rateLimitPerMin) || rateLimitPerMin < 1)) {
+    return res.status(400).json({ error: 'rate_limit must be a positive integer (requests per minute)' });
+  }
+  if (dailyAddresses !== null && (!Number.isInteger(dailyAddresses) || dailyAddresses < 0)) {
+    return res.status(400).json({ error: 'daily_addresses must be a non-negative integer (0 = no cap)' });
   }
+  const { key, record } = apiKeys.issue({ name: name.trim(), rate_limit: rateLimitPerMin, daily_addresses: dailyAddresses });
+  res.status(201).json({ ...auth.describe(record), key });
 });
 
-app.listen(PORT, () => {
-  console.log(`Server listening on ${PORT}`);
+app.get('/api/admin/keys/:id', (req, res) => {
+  const record = apiKeys.get(req.params.id);
+  if (!record) return res.status(404).json({ error: 'key not found' });
+  res.json(auth.describe(record));
 });
+
+// Revoke: the key stops working at once; its record and usage are kept
+app.delete('/api/admin/keys/:id', (req, res) => {
+  const record = apiKeys.revoke(req.params.id);
+  if (!record) return res.status(404).json({ error: 'key not found' });
+  res.json(auth.describe(record));
+});
+
+// started directly (npm start); tests require the app and listen on a port of their own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server listening on ${PORT}`);
+  });
+
+  // write pending histograms, workspaces, key usage and watchlists before exiting
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      try {
+        histogramStore?.flush();
+        workspaces.flush();
+        apiKeys.flush();
+        watchlists.flush();
+      } catch (err) {
+        console.error(err);
+      }
+      process.exit(0);
+    });
+  }
+}
+
+module.exports = app;
@@ -0,0 +1,73 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// In-memory batch jobs. `run(addresses, options, onResult)` does the work and calls
+// onResult once per finished address; progress is re-emitted to subscribers.
+function createJobStore({ run, ttlMs = 60 * 60 * 1000 }) {
+  const jobs = new Map();
+
+  const snapshot = (job) => ({
+    id: job.id,
+    status: job.status,
+    total: job.total,
+    completed: job.results.length,
+    created_at: job.created_at,
+    finished_at: job.finished_at,
+    error: job.error,
+    results: job.results,
+  });
+
+  function finish(job, status, error) {
+    job.status = status;
+    job.error = error || null;
+    job.finished_at = new Date().toISOString();
+    job.events.emit('done', snapshot(job));
+    // forget finished jobs after a while
+    setTimeout(() => jobs.delete(job.id), ttlMs).unref();
+  }
+
+  function create(addresses, options) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'running',
+      total: addresses.length,
+      results: [],
+      created_at: new Date().toISOString(),
+      finished_at: null,
+      error: null,
+      events: new EventEmitter(),
+    };
+    job.events.setMaxListeners(0);
+    jobs.set(job.id, job);
+
+    run(addresses, options, (result) => {
+      job.results.push(result);
+      job.events.emit('result', { result, completed: job.results.length, total: job.total });
+    })
+      .then(() => finish(job, 'done'))
+      .catch((err) => {
+        console.error(err);
+        finish(job, 'failed', err.message || String(err));
+      });
+
+    return snapshot(job);
+  }
+
+  const get = (id) => (jobs.has(id) ? snapshot(jobs.get(id)) : null);
+
+  // Subscribe to a job's progress; returns an unsubscribe function
+  function subscribe(id, { onResult, onDone }) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    job.events.on('result', onResult);
+    job.events.on('done', onDone);
+    return () => {
+      job.events.off('result', onResult);
+      job.events.off('done', onDone);
+    };
+  }
+
+  return { create, get, subscribe };
+}
+
+module.exports = { createJobStore };
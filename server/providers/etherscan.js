@@ -0,0 +1,67 @@
+const axios = require('axios');
+
+// Etherscan-compatible account APIs (Etherscan v2 multichain, Blockscout, Routescan, …):
+// module=account&action=txlist per chain, newest first, paged by page number. Etherscan
+// stops paging at page × offset = 10,000, which is also where this source stops. Transactions
+// the address sent are `send` (plain value) or `call` (with calldata); the rest are `receive`.
+// Plain sends and receives name the other side as their counterparty; calls go to contracts.
+const MAX_WINDOW = 10_000;
+// Rows per request, whatever a caller's limit: page numbers only line up with rows read
+// when every request uses the same page size
+const PAGE_SIZE = 1000;
+
+function createEtherscanProvider({ apiUrl, apiKey, chainIds }) {
+  async function fetchTxPage(address, chainId, page) {
+    const params = {
+      chainid: chainId,
+      module: 'account',
+      action: 'txlist',
+      address,
+      page,
+      offset: PAGE_SIZE,
+      sort: 'desc',
+      ...(apiKey ? { apikey: apiKey } : {}),
+    };
+    const r = await axios.get(apiUrl, { params, timeout: 25_000 });
+    const { status, message, result } = r.data || {};
+    // "No transactions found" is status 0 with an empty list; anything else at 0 is an error.
+    // Rate limits come back this way too (HTTP 200), so only those are worth a retry.
+    if (status !== '1' && !(Array.isArray(result) && result.length === 0)) {
+      const text = typeof result === 'string' ? result : message || 'request failed';
+      throw Object.assign(new Error(`etherscan: ${text}`), { retryable: /rate limit/i.test(text) });
+    }
+    return Array.isArray(result) ? result : [];
+  }
+
+  // cursor = { row }: how many rows of the newest-first list were returned already. The page
+  // holding that row is fetched and cut to `limit` rows from there. (An older page-number
+  // cursor says nothing about rows, so it starts over; the caller skips what it has.)
+  async function fetchRows(address, chainId, limit, cursor) {
+    const start = Number.isInteger(cursor?.row) ? cursor.row : 0;
+    const skip = start % PAGE_SIZE;
+    const rows = await fetchTxPage(address, chainId, Math.floor(start / PAGE_SIZE) + 1);
+    const events = rows.slice(skip, skip + limit).map((tx) => {
+      const from = String(tx.from).toLowerCase();
+      const type = from !== address ? 'receive' : tx.input && tx.input !== '0x' ? 'call' : 'send';
+      const other = type === 'receive' ? from : type === 'send' ? String(tx.to || '').toLowerCase() : '';
+      return { block_time: Number(tx.timeStamp), type, counterparty: other && other !== address ? other : null };
+    });
+    const row = start + events.length;
+    const more = (skip + events.length < rows.length || rows.length === PAGE_SIZE) && row < MAX_WINDOW;
+    return { events, next: more ? { row } : null };
+  }
+
+  return {
+    name: 'etherscan',
+    sources: (address, family) =>
+      family !== 'evm'
+        ? []
+        : chainIds.map((chainId) => ({
+          chain: chainId,
+          storeKey: `etherscan:${chainId}`,
+          fetchPage: (limit, cursor) => fetchRows(address.toLowerCase(), chainId, limit, cursor),
+        })),
+  };
+}
+
+module.exports = { createEtherscanProvider };
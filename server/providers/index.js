@@ -0,0 +1,39 @@
+const { parseBlockTime } = require('../activity');
+const { createSimProvider } = require('./sim');
+const { createEtherscanProvider } = require('./etherscan');
+const { createRpcProvider } = require('./rpc');
+const { createFixtureProvider } = require('./fixture');
+
+// Activity providers, in priority order. A provider is { name, local?, sources(address, family) },
+// where each source covers one chain: { chain, storeKey, cacheable?, fetchPage(limit, cursor) }
+// and fetchPage resolves to { events: [{ block_time, type? }], next } with events newest first.
+// `type` is an event type from the shared module (send, receive, …); missing means unknown.
+const factories = {
+  sim: (c) => c.simProxyUrl && createSimProvider({ simProxyUrl: c.simProxyUrl, chainIds: c.chainIds }),
+  etherscan: (c) =>
+    c.etherscanApiUrl &&
+    createEtherscanProvider({ apiUrl: c.etherscanApiUrl, apiKey: c.etherscanApiKey, chainIds: c.etherscanChainIds }),
+  rpc: (c) =>
+    Object.keys(c.evmRpcUrls).length > 0 &&
+    createRpcProvider({ rpcUrls: c.evmRpcUrls, blockSpan: c.rpcBlockSpan, maxBlocksBack: c.rpcMaxBlocksBack }),
+  fixture: (c) => c.fixturePath && createFixtureProvider({ fixturePath: c.fixturePath, parseBlockTime }),
+};
+
+// Build the providers named in config.providers; returns { providers, errors } so callers
+// decide whether a missing setting is fatal
+function createProviders(config) {
+  const providers = [];
+  const errors = [];
+  for (const name of config.providers) {
+    if (!factories[name]) {
+      errors.push(`unknown activity provider: ${name}`);
+      continue;
+    }
+    const provider = factories[name](config);
+    if (provider) providers.push(provider);
+    else errors.push(`activity provider "${name}" is not configured`);
+  }
+  return { providers, errors };
+}
+
+module.exports = { createProviders, providerNames: Object.keys(factories) };
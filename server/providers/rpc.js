@@ -0,0 +1,93 @@
+const axios = require('axios');
+
+// Plain JSON-RPC nodes. Without an indexer, an address's activity is found through ERC-20/721
+// Transfer logs it sends or receives (eth_getLogs), timed by their blocks' timestamps. Each
+// page walks `blockSpan` blocks back from the previous page, up to `maxBlocksBack` blocks.
+// The other side of each transfer (from its indexed topics) is the event's counterparty.
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+function createRpcProvider({ rpcUrls, blockSpan = 10_000, maxBlocksBack = 1_000_000, blockTimeCache = 10_000 }) {
+  let id = 0;
+  async function rpc(url, method, params) {
+    const r = await axios.post(url, { jsonrpc: '2.0', id: ++id, method, params }, { timeout: 25_000 });
+    const { error } = r.data || {};
+    if (error) {
+      // the node answered; only its rate limits (-32005 and friends) are worth a retry
+      const retryable = error.code === -32005 || error.code === 429 || /rate|limit exceeded|too many/i.test(error.message || '');
+      throw Object.assign(new Error(`rpc ${method}: ${error.message || 'failed'}`), { retryable });
+    }
+    return r.data?.result;
+  }
+
+  // `${url}:${block}` -> ms, least recently used first; blocks never change once final, but a
+  // long-running server would otherwise keep every block it ever timed
+  const blockTimes = new Map();
+  async function blockTime(url, blockHex) {
+    const key = `${url}:${blockHex}`;
+    let ms = blockTimes.get(key);
+    if (ms === undefined) {
+      const block = await rpc(url, 'eth_getBlockByNumber', [blockHex, false]);
+      ms = parseInt(block.timestamp, 16) * 1000;
+    }
+    blockTimes.delete(key);
+    blockTimes.set(key, ms);
+    if (blockTimes.size > blockTimeCache) blockTimes.delete(blockTimes.keys().next().value);
+    return ms;
+  }
+
+  const hex = (n) => `0x${n.toString(16)}`;
+  const topicAddress = (topic) => (typeof topic === 'string' ? `0x${topic.slice(-40).toLowerCase()}` : null);
+
+  // cursor = { to, head, skip }: the next block range ends at `to`, whose newest `skip` events
+  // were returned already; `head` is where the walk began. A range with more than `limit`
+  // events is returned over several pages.
+  async function fetchLogPage(url, address, limit, cursor) {
+    const head = cursor?.head ?? parseInt(await rpc(url, 'eth_blockNumber', []), 16);
+    const to = cursor?.to ?? head;
+    const from = Math.max(0, to - blockSpan + 1, head - maxBlocksBack);
+    const topic = `0x${address.slice(2).toLowerCase().padStart(64, '0')}`;
+    const range = { fromBlock: hex(from), toBlock: hex(to) };
+    const [sent, received] = await Promise.all([
+      rpc(url, 'eth_getLogs', [{ ...range, topics: [TRANSFER_TOPIC, topic] }]),
+      rpc(url, 'eth_getLogs', [{ ...range, topics: [TRANSFER_TOPIC, null, topic] }]),
+    ]);
+    // one event per transaction, newest first; a transaction that sent anything is a `send`
+    const byTx = new Map();
+    const entry = (log, type, counterparty) => ({
+      blockHex: log.blockNumber,
+      block: parseInt(log.blockNumber, 16),
+      index: parseInt(log.transactionIndex, 16) || 0,
+      type,
+      counterparty,
+    });
+    for (const log of received || []) byTx.set(log.transactionHash, entry(log, 'receive', topicAddress(log.topics?.[1])));
+    for (const log of sent || []) byTx.set(log.transactionHash, entry(log, 'send', topicAddress(log.topics?.[2])));
+    const found = [...byTx.values()].sort((a, b) => b.block - a.block || b.index - a.index).slice(cursor?.skip || 0);
+    const kept = found.slice(0, Math.max(1, limit));
+    const events = [];
+    for (const { blockHex, type, counterparty } of kept) events.push({ block_time: await blockTime(url, blockHex), type, counterparty });
+    if (found.length > kept.length) {
+      // carry on inside this range, from the block the page stopped in
+      const last = kept[kept.length - 1].block;
+      const skip = kept.filter((e) => e.block === last).length + (last === to ? cursor?.skip || 0 : 0);
+      return { events, next: { to: last, head, skip } };
+    }
+    const done = from === 0 || from <= head - maxBlocksBack;
+    return { events, next: done ? null : { to: from - 1, head } };
+  }
+
+  return {
+    name: 'rpc',
+    sources: (address, family) =>
+      family !== 'evm'
+        ? []
+        : Object.entries(rpcUrls).map(([chainId, url]) => ({
+          chain: chainId,
+          storeKey: `rpc:${chainId}`,
+          // a page is one block range, cut at `limit` events
+          fetchPage: (limit, cursor) => fetchLogPage(url, address, limit, cursor),
+        })),
+  };
+}
+
+module.exports = { createRpcProvider };
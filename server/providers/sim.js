@@ -0,0 +1,68 @@
+const axios = require('axios');
+
+// SIM (api.sim.dune.com) through the proxy worker: /evm/activity per chain, /beta/svm/transactions
+// for Solana. Pages follow SIM's `next_offset` cursor, newest first. Every activity type is
+// fetched, so stored histograms serve any request; EVM events keep SIM's own `type`, and
+// sends and receives name the other side (`to` / `from`) as their counterparty.
+const EVM_ACTIVITY_TYPES = 'send,receive,mint,burn,swap,approve,call';
+
+function evmCounterpartyOf(ev, addrLower) {
+  const other = ev.type === 'send' ? ev.to : ev.type === 'receive' ? ev.from : null;
+  const lower = typeof other === 'string' ? other.toLowerCase() : null;
+  return lower && lower !== addrLower ? lower : null;
+}
+
+// A Solana transaction was signed by the address when it pays the fee (first account key)
+function svmTypeOf(tx, address) {
+  const keys = tx?.raw_transaction?.transaction?.message?.accountKeys;
+  const payer = Array.isArray(keys) ? keys[0]?.pubkey ?? keys[0] : null;
+  if (!payer) return 'unknown';
+  return payer === address ? 'send' : 'receive';
+}
+function createSimProvider({ simProxyUrl, chainIds }) {
+  async function fetchSimPage(url, pickEvents, filterAddr) {
+    const r = await axios.get(url, { timeout: 25_000 });
+    const page = pickEvents(r.data);
+    const events = page.filter(
+      (ev) => !filterAddr || !ev.wallet_address || ev.wallet_address.toLowerCase() === filterAddr
+    );
+    // an empty page ends the stream even if SIM still hands out a cursor
+    return { events, next: page.length ? r.data?.next_offset || null : null };
+  }
+
+  const sources = {
+    // EVM: one SIM /evm/activity stream per configured chain
+    evm: (address) => {
+      const addrLower = address.toLowerCase();
+      return chainIds.map((chainId) => ({
+        chain: chainId,
+        storeKey: chainId,
+        fetchPage: (limit, cursor) => fetchSimPage(
+          `${simProxyUrl}/evm/activity/${addrLower}`
+            + `?chain_ids=${encodeURIComponent(chainId)}`
+            + `&type=${EVM_ACTIVITY_TYPES}`
+            + `&limit=${limit}`
+            + `&sort_by=block_time&sort_order=desc`
+            + (cursor ? `&offset=${encodeURIComponent(cursor)}` : ''),
+          (data) => (data?.activity || []).map((ev) => ({ ...ev, counterparty: evmCounterpartyOf(ev, addrLower) })),
+          addrLower
+        ),
+      }));
+    },
+    // SVM: SIM's Solana transactions feed; the address keeps its case
+    svm: (address) => [{
+      chain: 'solana',
+      storeKey: 'solana',
+      fetchPage: (limit, cursor) => fetchSimPage(
+        `${simProxyUrl}/beta/svm/transactions/${encodeURIComponent(address)}`
+          + `?limit=${limit}`
+          + (cursor ? `&offset=${encodeURIComponent(cursor)}` : ''),
+        (data) => (data?.transactions || []).map((tx) => ({ ...tx, type: svmTypeOf(tx, address) }))
+      ),
+    }],
+  };
+
+  return { name: 'sim', sources: (address, family) => sources[family]?.(address) || [] };
+}
+
+module.exports = { createSimProvider };
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { utcLabel } = require('../shared/timezoneInference');
+const { createUpstream } = require('../shared/upstream');
+const { checkWebhookUrl, publicLookup } = require('./webhooks');
+
+// Standard offset where the verdict has one, so DST alone never reads as a move
+const offsetOf = (p) => p?.standard_offset_hours ?? p?.utc_offset_hours ?? null;
+
+// One run's verdict for one address, as kept in a watchlist's series
+function pointOf(result, at) {
+  return {
+    at,
+    utc_offset_hours: result.utc_offset_hours ?? null,
+    standard_offset_hours: result.standard_offset_hours ?? null,
+    tzid: result.tzid || null,
+    confidence: result.confidence ?? null,
+    classification: result.classification || null,
+    events_scanned: result.events_scanned ?? 0,
+    fetch_status: result.fetch_status || null,
+    error: result.error || null,
+  };
+}
+
+// Points drift is measured between: fully fetched and placed in a zone. Partial fetches and
+// flagged or thin histories are kept in the series but never raise or anchor an alert.
+const comparable = (p) =>
+  !!p && !p.error && (!p.fetch_status || p.fetch_status === 'ok') && (!p.classification || p.classification === 'human') && offsetOf(p) !== null;
+
+const describe = (p) => `${utcLabel(offsetOf(p))}${p.tzid ? ` (${p.tzid})` : ''}`;
+
+// Alerts for `point` against the last comparable point before it: the offset moved by at
+// least thresholds.offset_hours, or the confidence changed by at least thresholds.confidence
+function detectDrift(previous, point, thresholds) {
+  if (!comparable(previous) || !comparable(point)) return [];
+  const alerts = [];
+  const shift = offsetOf(point) - offsetOf(previous);
+  if (Math.abs(shift) >= thresholds.offset_hours) {
+    alerts.push({ kind: 'offset', delta: shift, message: `moved from ${describe(previous)} to ${describe(point)}` });
+  }
+  const change = (point.confidence ?? 0) - (previous.confidence ?? 0);
+  if (Math.abs(change) >= thresholds.confidence) {
+    alerts.push({
+      kind: 'confidence',
+      delta: Math.round(change * 100) / 100,
+      message: `confidence ${change < 0 ? 'fell' : 'rose'} from ${previous.confidence.toFixed(2)} to ${point.confidence.toFixed(2)} in ${describe(point)}`,
+    });
+  }
+  return alerts.map((a) => ({ ...a, from: previous, to: point }));
+}
+
+// Where alerts go: a JSONL file (`logPath`, "off" disables), the console, and a webhook (the
+// watchlist's own, else `webhookUrl`). Webhooks get { text, alert }, which Slack-style
+// incoming hooks accept as is; delivery is retried like any upstream request (`upstream`
+// overrides its settings), with a circuit breaker per webhook host so one dead endpoint
+// does not silence the others. A watchlist's own webhook is set through the API, so it may
+// only reach public addresses and is not redirected; the operator's `webhookUrl` is trusted.
+function createAlertSink({ logPath, webhookUrl, upstream: upstreamOptions }) {
+  const upstream = createUpstream({ concurrency: 2, retries: 3, ...upstreamOptions });
+
+  async function notify(alert, watchlist) {
+    const text = `[${watchlist.name}] ${alert.label || alert.address} ${alert.message}`;
+    console.log(`alert: ${text}`);
+    if (logPath && logPath !== 'off') {
+      try {
+        fs.mkdirSync(path.dirname(logPath), { recursive: true });
+        fs.appendFileSync(logPath, `${JSON.stringify(alert)}\n`);
+      } catch (err) {
+        console.error('alert log: write failed', err.message);
+      }
+    }
+    const url = watchlist.webhook_url || webhookUrl;
+    if (!url) return;
+    // literal IP hosts never go through the lookup, and older records were not checked
+    const refused = watchlist.webhook_url && checkWebhookUrl(watchlist.webhook_url);
+    if (refused) return console.error(`alert webhook ${url} refused: ${refused}`);
+    const guard = watchlist.webhook_url ? { lookup: publicLookup, maxRedirects: 0 } : {};
+    try {
+      await upstream.request(`webhook ${new URL(url).host}`, () =>
+        axios.post(url, { text, alert }, { timeout: 10_000, ...guard }).catch((err) => {
+          if (err.code === 'webhook_blocked') err.retryable = false; // refused by publicLookup
+          throw err;
+        })
+      );
+    } catch (err) {
+      console.error(`alert webhook ${url} failed: ${err.message}`);
+    }
+  }
+
+  return { notify };
+}
+
+// Re-runs due watchlists every `tickMs`, one at a time. `analyzeAll` is the shared pipeline;
+// `auth` charges each run to the API key that created the watchlist (quota and usage).
+function createWatcher({ store, analyzeAll, sink, auth, maxEvents, typeWeights, tickMs = 60_000 }) {
+  const running = new Set();
+  let ticking = false;
+  let interval = null;
+
+  async function runWatchlist(id) {
+    const wl = store.get(id);
+    if (!wl || running.has(id)) return;
+    running.add(id);
+    const at = new Date().toISOString();
+    try {
+      // runs are charged to the owning key; watchlists without one (older records) stay idle
+      if (!wl.key_id) return store.recordRun(id, { at, error: 'watchlist has no API key to charge' });
+      const over = auth.chargeKey(wl.key_id, wl.addresses.length);
+      if (over) return store.recordRun(id, { at, error: over.error });
+      const options = { strategy: wl.strategy, top: 1, maxEvents, windowDays: wl.window_days, inference: wl.inference, classify: true, typeWeights };
+      const results = await auth.runAs(wl.key_id, () => analyzeAll(wl.addresses, options));
+
+      const points = {};
+      const alerts = [];
+      for (const result of results) {
+        const point = pointOf(result, at);
+        points[result.address] = point;
+        const previous = [...(wl.series[result.address] || [])].reverse().find(comparable);
+        for (const drift of detectDrift(previous, point, wl.thresholds)) {
+          alerts.push({
+            id: crypto.randomUUID(),
+            at,
+            watchlist_id: wl.id,
+            watchlist: wl.name,
+            address: result.address,
+            label: wl.labels[result.address] || null,
+            ...drift,
+          });
+        }
+      }
+      const failed = results.filter((r) => r.error).length;
+      store.recordRun(id, { at, points, alerts, error: failed ? `${failed} of ${results.length} addresses failed` : null });
+      for (const alert of alerts) await sink.notify(alert, wl);
+    } catch (err) {
+      console.error(`watchlist ${wl.name}:`, err);
+      store.recordRun(id, { at, error: err.message || String(err) });
+    } finally {
+      running.delete(id);
+    }
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      for (const wl of store.due()) await runWatchlist(wl.id);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    interval = setInterval(tick, tickMs);
+    interval.unref();
+    setTimeout(tick, 1000).unref();
+  }
+
+  const stop = () => clearInterval(interval);
+
+  return { start, stop, tick, isRunning: (id) => running.has(id) };
+}
+
+module.exports = { createWatcher, createAlertSink, detectDrift, pointOf };
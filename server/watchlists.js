@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { hasStrategy, DEFAULT_STRATEGY } = require('../shared/timezoneInference');
+const { checkWebhookUrl } = require('./webhooks');
+
+const STORE_VERSION = 1;
+const SERIES_LIMIT = 365; // points kept per address
+const ALERT_LIMIT = 500; // alerts kept per watchlist
+const MAX_ADDRESSES = 1000;
+
+const withoutUndefined = (obj) => Object.fromEntries(Object.entries(obj || {}).filter(([, v]) => v !== undefined));
+
+const DEFAULT_THRESHOLDS = {
+  offset_hours: 2, // standard-offset move that raises an alert
+  confidence: 0.25, // confidence change that raises an alert
+};
+
+// File-backed watchlists (same tmp file + rename writes as the other stores).
+// Record: { id, name, addresses, labels, interval_minutes, window_days, strategy, inference,
+// thresholds, webhook_url, key_id, created_at, updated_at, last_run_at, next_run_at,
+// last_error, series: { address: [point] }, alerts: [alert] }. A point is one run's verdict
+// for one address (see pointOf in ./watcher); series and alerts are oldest first.
+function createWatchlistStore(filePath, { minIntervalMinutes = 15, defaultWindowDays = 30, flushDelayMs = 1000 } = {}) {
+  const watchlists = new Map();
+  let timer = null;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (raw?.version === STORE_VERSION) for (const wl of raw.watchlists || []) watchlists.set(wl.id, wl);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`watchlist store: ignoring unreadable ${filePath}`, err.message);
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: STORE_VERSION, watchlists: [...watchlists.values()] }));
+    fs.renameSync(tmp, filePath);
+  }
+
+  function scheduleFlush() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      try {
+        flush();
+      } catch (err) {
+        console.error('watchlist store: write failed', err);
+      }
+    }, flushDelayMs);
+    timer.unref();
+  }
+
+  // Checked fields of a create or update body; `{ error }` on bad input. Only fields that
+  // are present are returned, so updates leave the rest alone.
+  function parseFields(body, { creating }) {
+    const out = {};
+    const has = (k) => body[k] !== undefined;
+    if (creating || has('name')) {
+      if (!body.name || typeof body.name !== 'string') return { error: 'name required' };
+      out.name = body.name.trim();
+    }
+    if (creating || has('addresses')) {
+      if (!Array.isArray(body.addresses) || !body.addresses.length) return { error: 'addresses array required' };
+      if (body.addresses.length > MAX_ADDRESSES) return { error: `at most ${MAX_ADDRESSES} addresses per watchlist` };
+      out.addresses = [...new Set(body.addresses.map((a) => String(a).trim()).filter(Boolean))];
+    }
+    if (has('labels')) {
+      if (!body.labels || typeof body.labels !== 'object') return { error: 'labels must be an object' };
+      out.labels = body.labels;
+    }
+    if (has('interval_minutes')) {
+      if (!Number.isInteger(body.interval_minutes) || body.interval_minutes < minIntervalMinutes) {
+        return { error: `interval_minutes must be an integer of at least ${minIntervalMinutes}` };
+      }
+      out.interval_minutes = body.interval_minutes;
+    }
+    if (has('window_days')) {
+      if (!Number.isInteger(body.window_days) || body.window_days < 0) return { error: 'window_days must be a non-negative integer' };
+      out.window_days = body.window_days;
+    }
+    if (has('strategy')) {
+      if (!hasStrategy(body.strategy)) return { error: `unknown strategy: ${body.strategy}` };
+      out.strategy = body.strategy;
+    }
+    if (has('inference')) {
+      if (!['iana', 'fixed'].includes(body.inference)) return { error: 'inference must be "iana" or "fixed"' };
+      out.inference = body.inference;
+    }
+    if (has('thresholds')) {
+      const t = body.thresholds || {};
+      if (t.offset_hours !== undefined && !(t.offset_hours > 0)) return { error: 'thresholds.offset_hours must be positive' };
+      if (t.confidence !== undefined && !(t.confidence > 0 && t.confidence <= 1)) return { error: 'thresholds.confidence must be in (0, 1]' };
+      out.thresholds = { offset_hours: t.offset_hours, confidence: t.confidence };
+    }
+    if (has('webhook_url')) {
+      const webhookError = body.webhook_url === null ? null : checkWebhookUrl(body.webhook_url);
+      if (webhookError) return { error: webhookError };
+      out.webhook_url = body.webhook_url;
+    }
+    return { fields: out };
+  }
+
+  const summary = ({ series, alerts, ...wl }) => ({
+    ...wl,
+    address_count: wl.addresses.length,
+    alert_count: alerts.length,
+    last_alert_at: alerts.length ? alerts[alerts.length - 1].at : null,
+  });
+
+  // `keyId` is the API key that creates (and owns) the watchlist; scheduled runs are charged to it
+  function create(body, { keyId }) {
+    if (!keyId) return { status: 401, error: 'an API key is required to create watchlists' };
+    const { fields, error } = parseFields(body || {}, { creating: true });
+    if (error) return { status: 400, error };
+    const now = new Date();
+    const wl = {
+      id: crypto.randomUUID(),
+      labels: {},
+      interval_minutes: 24 * 60,
+      window_days: defaultWindowDays,
+      strategy: DEFAULT_STRATEGY,
+      inference: 'iana',
+      webhook_url: null,
+      ...fields,
+      thresholds: { ...DEFAULT_THRESHOLDS, ...withoutUndefined(fields.thresholds) },
+      key_id: keyId,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString(),
+      last_run_at: null,
+      next_run_at: now.toISOString(), // first run on the next tick
+      last_error: null,
+      series: {},
+      alerts: [],
+    };
+    watchlists.set(wl.id, wl);
+    scheduleFlush();
+    return { watchlist: summary(wl) };
+  }
+
+  function update(id, body) {
+    const wl = watchlists.get(id);
+    if (!wl) return { status: 404, error: 'watchlist not found' };
+    const { fields, error } = parseFields(body || {}, { creating: false });
+    if (error) return { status: 400, error };
+    Object.assign(wl, fields, { updated_at: new Date().toISOString() });
+    if (fields.thresholds) wl.thresholds = { ...DEFAULT_THRESHOLDS, ...withoutUndefined(fields.thresholds) };
+    // series of addresses no longer watched are dropped
+    if (fields.addresses) for (const a of Object.keys(wl.series)) if (!fields.addresses.includes(a)) delete wl.series[a];
+    if (fields.interval_minutes && wl.last_run_at) {
+      wl.next_run_at = new Date(Date.parse(wl.last_run_at) + wl.interval_minutes * 60_000).toISOString();
+    }
+    scheduleFlush();
+    return { watchlist: summary(wl) };
+  }
+
+  function remove(id) {
+    const existed = watchlists.delete(id);
+    if (existed) scheduleFlush();
+    return existed;
+  }
+
+  // Store one run: `points` is { address: point }, `alerts` the drift alerts it raised
+  function recordRun(id, { at, points = {}, alerts = [], error = null }) {
+    const wl = watchlists.get(id);
+    if (!wl) return;
+    for (const [address, point] of Object.entries(points)) {
+      const series = (wl.series[address] = wl.series[address] || []);
+      series.push(point);
+      if (series.length > SERIES_LIMIT) series.splice(0, series.length - SERIES_LIMIT);
+    }
+    wl.alerts.push(...alerts);
+    if (wl.alerts.length > ALERT_LIMIT) wl.alerts.splice(0, wl.alerts.length - ALERT_LIMIT);
+    wl.last_run_at = at;
+    wl.last_error = error;
+    wl.next_run_at = new Date(Date.parse(at) + wl.interval_minutes * 60_000).toISOString();
+    scheduleFlush();
+  }
+
+  // Run on the next tick instead of waiting for the interval
+  function runSoon(id) {
+    const wl = watchlists.get(id);
+    if (!wl) return false;
+    wl.next_run_at = new Date().toISOString();
+    return true;
+  }
+
+  // Watchlists belong to the API key that created them
+  const list = (keyId) =>
+    [...watchlists.values()]
+      .filter((wl) => wl.key_id === keyId)
+      .map(summary)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  const get = (id) => watchlists.get(id) || null;
+  const due = (now = Date.now()) => [...watchlists.values()].filter((wl) => Date.parse(wl.next_run_at) <= now);
+
+  return { list, get, create, update, remove, recordRun, runSoon, due, flush };
+}
+
+module.exports = { createWatchlistStore, DEFAULT_THRESHOLDS };
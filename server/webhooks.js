@@ -0,0 +1,51 @@
+const dns = require('dns');
+const net = require('net');
+
+// Webhook URLs set through the API are posted to by the server, so they must not reach its
+// own network: loopback, private, link-local (cloud metadata) and other non-public ranges
+// are refused, both as literal hosts and as what a hostname resolves to at send time.
+const blocked = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) blocked.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) blocked.addSubnet(address, prefix, 'ipv6');
+
+function isPublicAddress(ip) {
+  const family = net.isIP(ip);
+  if (!family) return false;
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it carries
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip)?.[1];
+  if (mapped) return !blocked.check(mapped, 'ipv4');
+  return !blocked.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Error message for a webhook URL that is not http(s) or names a non-public host, else null
+function checkWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    return 'webhook_url must be an http(s) URL or null';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'webhook_url must be an http(s) URL or null';
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (/^localhost$|\.localhost$|\.local$|\.internal$/i.test(host) || (net.isIP(host) && !isPublicAddress(host))) {
+    return 'webhook_url must point to a public host';
+  }
+  return null;
+}
+
+// dns.lookup for outgoing webhook requests (axios `lookup`): fails when a hostname resolves
+// to a non-public address, so DNS cannot point a checked URL back inside
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find((a) => !isPublicAddress(a.address));
+    if (bad) return callback(Object.assign(new Error(`webhook host ${hostname} resolves to non-public ${bad.address}`), { code: 'webhook_blocked' }));
+    if (options?.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = { isPublicAddress, checkWebhookUrl, publicLookup };
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeSession } = require('../shared/session');
+
+const STORE_VERSION = 1;
+
+// File-backed named workspaces (same tmp file + rename writes as the histogram store).
+// Record: { id, name, share_id, key_id, created_at, updated_at, session }. The id is needed to
+// change or delete a workspace, so it is only handed out on create and to the API key that
+// created it (`key_id`); share_id only reads it, for read-only links.
+function createWorkspaceStore(filePath, { flushDelayMs = 500 } = {}) {
+  const workspaces = new Map();
+  let timer = null;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (raw?.version === STORE_VERSION) for (const ws of raw.workspaces || []) workspaces.set(ws.id, ws);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`workspace store: ignoring unreadable ${filePath}`, err.message);
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: STORE_VERSION, workspaces: [...workspaces.values()] }));
+    fs.renameSync(tmp, filePath);
+  }
+
+  function scheduleFlush() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      try {
+        flush();
+      } catch (err) {
+        console.error('workspace store: write failed', err);
+      }
+    }, flushDelayMs);
+    timer.unref();
+  }
+
+  const owns = (ws, keyId) => !!keyId && ws.key_id === keyId;
+  const summary = ({ id, session, ...ws }, keyId) => ({ ...(owns(ws, keyId) && { id }), ...ws, address_count: session.addresses.length });
+  const byName = (name) => [...workspaces.values()].find((ws) => ws.name.toLowerCase() === name.toLowerCase());
+  // a taken name reports the existing workspace's id only to its owner
+  const nameTaken = (taken, keyId) => ({
+    status: 409,
+    error: `a workspace named "${taken.name}" exists`,
+    ...(owns(taken, keyId) && { id: taken.id }),
+  });
+
+  // Returns { error, status } for bad input or a taken name, else { workspace }. `keyId` is
+  // the API key creating it (null without one).
+  function create(name, rawSession, { keyId = null } = {}) {
+    const session = normalizeSession(rawSession);
+    if (!name || typeof name !== 'string') return { status: 400, error: 'name required' };
+    if (!session) return { status: 400, error: 'session must be a version 1 session object' };
+    const taken = byName(name.trim());
+    if (taken) return nameTaken(taken, keyId);
+    const now = new Date().toISOString();
+    const ws = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      share_id: crypto.randomUUID(),
+      key_id: keyId,
+      created_at: now,
+      updated_at: now,
+      session,
+    };
+    workspaces.set(ws.id, ws);
+    scheduleFlush();
+    return { workspace: ws };
+  }
+
+  function update(id, { name, session: rawSession }, { keyId = null } = {}) {
+    const ws = workspaces.get(id);
+    if (!ws) return { status: 404, error: 'workspace not found' };
+    const session = rawSession === undefined ? ws.session : normalizeSession(rawSession);
+    if (!session) return { status: 400, error: 'session must be a version 1 session object' };
+    if (name !== undefined) {
+      if (!name || typeof name !== 'string') return { status: 400, error: 'name must be a non-empty string' };
+      const taken = byName(name.trim());
+      if (taken && taken.id !== id) return nameTaken(taken, keyId);
+    }
+    const next = { ...ws, name: name === undefined ? ws.name : name.trim(), session, updated_at: new Date().toISOString() };
+    workspaces.set(id, next);
+    scheduleFlush();
+    return { workspace: next };
+  }
+
+  function remove(id) {
+    const existed = workspaces.delete(id);
+    if (existed) scheduleFlush();
+    return existed;
+  }
+
+  // Workspaces of `keyId` with their ids, or without a key the anonymous ones, read-only
+  // (share_id only)
+  const list = (keyId = null) =>
+    [...workspaces.values()]
+      .filter((ws) => (keyId ? ws.key_id === keyId : !ws.key_id))
+      .map((ws) => summary(ws, keyId))
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+  const get = (id) => workspaces.get(id) || null;
+  const getShared = (shareId) => [...workspaces.values()].find((ws) => ws.share_id === shareId) || null;
+
+  return { list, get, getShared, create, update, remove, flush };
+}
+
+module.exports = { createWorkspaceStore };
@@ -0,0 +1,182 @@
+// Address list import shared by the server, the CLI and both UIs.
+// Loaded via require() / bundler import, or by index.html via a plain <script> tag
+// (exposed as window.AddressImport).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.AddressImport = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const EVM_RE = /^0x[0-9a-fA-F]{40}$/;
+  const SOL_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/; // rough base58
+  const ENS_RE = /^(?:[a-z0-9-]+\.)+eth$/i;
+
+  // Column names we recognise, compared lowercased with spaces, dashes and underscores removed.
+  // Etherscan transaction exports have From/To: the sender is the wallet that acted.
+  const ADDRESS_COLUMNS = ['address', 'wallet', 'walletaddress', 'holderaddress', 'account', 'owner', 'signer', 'from'];
+  const LABEL_COLUMNS = ['label', 'labels', 'nametag', 'name', 'tag', 'tags', 'alias', 'note', 'entity'];
+  const columnKey = (s) => String(s || '').toLowerCase().replace(/[\s_\-"]/g, '');
+
+  // "evm" | "svm" | "ens" | null for one trimmed cell; Dune writes varbinary as \x…
+  function classify(value) {
+    const s = String(value ?? '').trim().replace(/^\\x/i, '0x');
+    if (EVM_RE.test(s)) return { address: s, kind: 'evm' };
+    if (ENS_RE.test(s)) return { address: s.toLowerCase(), kind: 'ens' };
+    if (SOL_RE.test(s)) return { address: s, kind: 'svm' };
+    return null;
+  }
+
+  function rejectReason(value) {
+    const s = String(value ?? '').trim();
+    if (/^(0x|\\x)/i.test(s)) return 'malformed EVM address (expected 0x + 40 hex characters)';
+    if (/\.eth$/i.test(s)) return 'malformed ENS name';
+    return 'not an EVM, Solana or ENS address';
+  }
+
+  // One delimited line; double quotes may wrap fields and "" escapes a quote
+  function splitDelimited(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted && ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = !quoted;
+      } else if (ch === delimiter && !quoted) {
+        cells.push(cell);
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    cells.push(cell);
+    return cells.map((c) => c.trim());
+  }
+
+  const detectDelimiter = (line) =>
+    ['\t', ';', ','].find((d) => line.includes(d)) || null;
+
+  // Collects entries, dropping duplicates (EVM compared lowercased) with a reason
+  function createCollector() {
+    const entries = [];
+    const rejected = [];
+    const seen = new Map(); // key -> index in entries
+    return {
+      entries,
+      rejected,
+      add(value, label, line) {
+        const hit = classify(value);
+        if (!hit) {
+          rejected.push({ line, text: String(value ?? ''), reason: rejectReason(value) });
+          return false;
+        }
+        const key = hit.kind === 'evm' ? hit.address.toLowerCase() : hit.address;
+        if (seen.has(key)) {
+          const prior = entries[seen.get(key)];
+          if (label && !prior.label) prior.label = label;
+          rejected.push({ line, text: hit.address, reason: `duplicate of line ${prior.line}` });
+          return false;
+        }
+        seen.set(key, entries.length);
+        entries.push({ address: hit.address, kind: hit.kind, label: label || '', line });
+        return true;
+      },
+      reject: (line, text, reason) => rejected.push({ line, text, reason }),
+    };
+  }
+
+  // JSON: ["0x…"], [{ address, label }], { addresses: [...] }, { "0x…": "label" } or a Dune
+  // API response ({ result: { rows: [...] } }). `line` is the 1-based array position.
+  function parseJson(data, out) {
+    let items = data;
+    if (!Array.isArray(items)) items = data?.result?.rows || data?.rows || data?.addresses || data?.wallets || data?.data;
+    if (!Array.isArray(items) && data && typeof data === 'object') {
+      items = Object.entries(data).map(([address, label]) => ({ address, label: typeof label === 'string' ? label : '' }));
+    }
+    if (!Array.isArray(items)) return out.reject(1, '', 'JSON has no address list');
+    items.forEach((item, i) => {
+      if (typeof item === 'string') return out.add(item, '', i + 1);
+      if (!item || typeof item !== 'object') return out.reject(i + 1, JSON.stringify(item), 'not an address or object');
+      const keys = Object.keys(item);
+      const addrKey = ADDRESS_COLUMNS.map((c) => keys.find((k) => columnKey(k) === c)).find(Boolean);
+      const labelKey = LABEL_COLUMNS.map((c) => keys.find((k) => columnKey(k) === c)).find(Boolean);
+      if (!addrKey) return out.reject(i + 1, JSON.stringify(item), 'no address field');
+      out.add(item[addrKey], labelKey ? String(item[labelKey] ?? '').trim() : '', i + 1);
+    });
+  }
+
+  // CSV/TSV with a header row naming an address column (and optionally a label column)
+  function parseTable(lines, delimiter, header, out) {
+    const cols = header.map(columnKey);
+    const addrIdx = ADDRESS_COLUMNS.map((c) => cols.indexOf(c)).find((i) => i >= 0);
+    const labelIdx = LABEL_COLUMNS.map((c) => cols.indexOf(c)).find((i) => i >= 0);
+    lines.forEach(({ text, line }) => {
+      const cells = splitDelimited(text, delimiter);
+      if (cells.length <= addrIdx || !cells[addrIdx]) return out.reject(line, text, 'empty address column');
+      out.add(cells[addrIdx], labelIdx !== undefined ? cells[labelIdx] || '' : '', line);
+    });
+  }
+
+  // Free text: every address-like token counts; a line holding exactly one address and other
+  // text (e.g. "0x…,Treasury") keeps that text as its label
+  function parseLoose(lines, out) {
+    for (const { text, line } of lines) {
+      const delimiter = detectDelimiter(text);
+      const cells = delimiter ? splitDelimited(text, delimiter) : [text];
+      const tokens = cells.flatMap((c) => (classify(c) ? [c] : c.split(/\s+/))).filter(Boolean);
+      const hits = tokens.filter((t) => classify(t));
+      if (hits.length === 1 && tokens.length > 1) {
+        const label = cells.filter((c) => !classify(c) && c !== hits[0]).join(' ').replace(hits[0], '').trim();
+        out.add(hits[0], label, line);
+      } else if (hits.length) {
+        hits.forEach((t) => out.add(t, '', line));
+        tokens.filter((t) => !classify(t)).forEach((t) => out.reject(line, t, rejectReason(t)));
+      } else {
+        out.reject(line, text, rejectReason(text));
+      }
+    }
+  }
+
+  // Parse pasted text or a dropped file. `filename` only helps pick the format.
+  // Returns { format, entries: [{ address, kind, label, line }], rejected: [{ line, text, reason }] }
+  function parseAddressList(text, { filename = '' } = {}) {
+    const out = createCollector();
+    const src = String(text || '').replace(/^\uFEFF/, '');
+    const trimmed = src.trim();
+
+    if (/\.json$/i.test(filename) || /^[[{]/.test(trimmed)) {
+      try {
+        parseJson(JSON.parse(trimmed), out);
+        return { format: 'json', entries: out.entries, rejected: out.rejected };
+      } catch (e) {
+        if (/\.json$/i.test(filename)) {
+          out.reject(1, '', `invalid JSON: ${e.message}`);
+          return { format: 'json', entries: out.entries, rejected: out.rejected };
+        }
+      }
+    }
+
+    const lines = src
+      .split(/\r?\n/)
+      .map((t, i) => ({ text: t.trim(), line: i + 1 }))
+      .filter((l) => l.text && !l.text.startsWith('#'));
+    if (!lines.length) return { format: 'text', entries: [], rejected: [] };
+
+    const delimiter = detectDelimiter(lines[0].text);
+    if (delimiter) {
+      const header = splitDelimited(lines[0].text, delimiter);
+      const hasAddressColumn = header.some((h) => ADDRESS_COLUMNS.includes(columnKey(h)));
+      if (hasAddressColumn && !header.some((h) => classify(h))) {
+        parseTable(lines.slice(1), delimiter, header, out);
+        return { format: delimiter === '\t' ? 'tsv' : 'csv', entries: out.entries, rejected: out.rejected };
+      }
+    }
+    parseLoose(lines, out);
+    return { format: 'text', entries: out.entries, rejected: out.rejected };
+  }
+
+  return { parseAddressList, classifyAddress: classify };
+});
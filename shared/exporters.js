@@ -0,0 +1,135 @@
+// Result exports shared by both UIs and the CLI: full-detail CSV, JSON, and GeoJSON of the
+// timezone polygons with the addresses assigned to each. Loaded via require() / bundler
+// import, or by index.html via a plain <script> tag (exposed as window.Exporters).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Exporters = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const HOURS = Array.from({ length: 24 }, (_, h) => `h${String(h).padStart(2, '0')}`);
+
+  const CSV_COLUMNS = [
+    'address', 'label', 'chain_family', 'classification', 'classification_reasons',
+    'utc_label', 'tzid', 'utc_offset_hours', 'standard_offset_hours', 'confidence',
+    'runner_up', 'runner_up_probability', 'strategy', 'events_scanned', 'event_types', 'fetch_status', 'chains',
+    'cluster_id', 'cluster_members', 'cluster_utc_label', 'cluster_tzid', 'cluster_confidence', 'last_activity', 'analyzed_at', 'error', 'scores', ...HOURS,
+  ];
+
+  // Text that a spreadsheet would run as a formula (labels and errors come from users and
+  // upstream APIs) gets a leading ' so it stays text; numbers such as -5 are left alone
+  const csvCell = (v) => {
+    if (v === null || v === undefined) return '';
+    let s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+    if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+
+  // Newest block_time across the chains an address was scanned on, as an ISO string
+  // (chains report epoch ms, which sort() would compare as text)
+  function lastActivity(chains) {
+    const times = Object.values(chains || {})
+      .map((c) => (typeof c?.last_block_time === 'string' ? Date.parse(c.last_block_time) : c?.last_block_time))
+      .filter(Number.isFinite);
+    return times.length ? new Date(Math.max(...times)).toISOString() : null;
+  }
+
+  // One flat row per result; histograms become h00…h23, scores "offset:probability;…"
+  function flattenResult(r) {
+    const hist = Array.isArray(r.utc_histogram) ? r.utc_histogram : [];
+    const runnerUp = r.alternatives?.[0];
+    const row = {
+      address: r.address,
+      label: r.label || '',
+      chain_family: r.chain_family,
+      classification: r.classification,
+      classification_reasons: (r.classification_reasons || []).join(';'),
+      utc_label: r.utc_label,
+      tzid: r.tzid || r.iana_tz_example || r.iana,
+      utc_offset_hours: r.utc_offset_hours,
+      standard_offset_hours: r.standard_offset_hours,
+      confidence: r.confidence,
+      runner_up: runnerUp ? runnerUp.tzid || runnerUp.utc_label : null,
+      runner_up_probability: runnerUp ? runnerUp.probability : null,
+      strategy: r.strategy,
+      events_scanned: r.events_scanned,
+      // "type:events", with the weight where it is not 1
+      event_types: Object.entries(r.event_types || {})
+        .map(([type, t]) => `${type}:${t.events}${t.weight !== 1 ? `x${t.weight}` : ''}`)
+        .join(';'),
+      fetch_status: r.fetch_status,
+      // "chain:events", with the status of chains that were not read in full
+      chains: Object.entries(r.chains || {})
+        .map(([chain, c]) => `${chain}:${c?.events_scanned ?? 0}${c?.status && c.status !== 'ok' ? `(${c.status})` : ''}`)
+        .join(';'),
+      // linked-wallet cluster: members' addresses, discovered ones marked with "*"
+      cluster_id: r.cluster?.id,
+      cluster_members: r.cluster?.members.map((m) => `${m.address}${m.discovered ? '*' : ''}`).join(';'),
+      cluster_utc_label: r.cluster?.verdict.utc_label,
+      cluster_tzid: r.cluster?.verdict.tzid,
+      cluster_confidence: r.cluster?.verdict.confidence,
+      last_activity: lastActivity(r.chains),
+      analyzed_at: r.analyzed_at,
+      error: r.error,
+      scores: (r.scores || []).map((s) => `${s.offset}:${s.probability}`).join(';'),
+    };
+    HOURS.forEach((k, h) => (row[k] = hist[h] ?? ''));
+    return row;
+  }
+
+  function resultsToCsv(results) {
+    const lines = (results || []).map((r) => {
+      const row = flattenResult(r);
+      return CSV_COLUMNS.map((c) => csvCell(row[c])).join(',');
+    });
+    return [CSV_COLUMNS.join(','), ...lines].join('\n');
+  }
+
+  // Everything the API returned, plus export metadata (strategy, filters, app version…)
+  function resultsToJson(results, meta = {}) {
+    return JSON.stringify({ exported_at: new Date().toISOString(), ...meta, results: results || [] }, null, 2);
+  }
+
+  // Copy of `geoData` where each polygon carries its assignment. `assign(feature)` returns
+  // { zone, addresses } for that polygon; results are looked up by address for labels and
+  // confidence. Features without addresses are kept (address_count 0) unless `onlyAssigned`.
+  function zonesToGeoJson(geoData, assign, { results = [], onlyAssigned = false } = {}) {
+    const byAddress = new Map((results || []).map((r) => [r.address, r]));
+    const features = (geoData?.features || [])
+      .map((feature) => {
+        const { zone, addresses = [] } = assign(feature) || {};
+        const rows = addresses.map((a) => byAddress.get(a) || { address: a });
+        return {
+          type: 'Feature',
+          geometry: feature.geometry,
+          properties: {
+            ...(feature.properties || {}),
+            zone: zone ?? null,
+            address_count: addresses.length,
+            addresses,
+            labels: rows.map((r) => r.label || ''),
+            mean_confidence: rows.length
+              ? Number((rows.reduce((a, r) => a + (r.confidence || 0), 0) / rows.length).toFixed(4))
+              : null,
+          },
+        };
+      })
+      .filter((f) => !onlyAssigned || f.properties.address_count > 0);
+    return JSON.stringify({ type: 'FeatureCollection', exported_at: new Date().toISOString(), features });
+  }
+
+  // Browser download of a text payload
+  function downloadText(filename, text, type = 'text/plain') {
+    const blob = new Blob([text], { type: `${type};charset=utf-8;` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  return { CSV_COLUMNS, flattenResult, resultsToCsv, resultsToJson, zonesToGeoJson, downloadText };
+});
@@ -0,0 +1,110 @@
+// Map visualization helpers shared by both UIs: choropleth scales and legends, per-zone
+// activity by UTC hour for the hour-of-day animation, and the day/night terminator.
+// Loaded via bundler import, or by index.html via a plain <script> tag (window.MapModes).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MapModes = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Sequential ramp, light to dark (ColorBrewer BuPu)
+  const RAMP = ['#bfd3e6', '#9ebcda', '#8c96c6', '#8856a7', '#810f7c'];
+  const SCALES = ['quantile', 'linear'];
+  // Local hours counted as awake in day/night mode: [from, to)
+  const AWAKE_HOURS = [8, 23];
+
+  // Class breaks for the positive values: equal steps from min to max ("linear") or equal
+  // counts per class ("quantile"). Returns { color(v), legend: [{ from, to, color }] };
+  // zero and missing values get no color.
+  function makeScale(values, { scale = 'quantile', classes = RAMP.length } = {}) {
+    const sorted = values.filter((v) => v > 0).sort((a, b) => a - b);
+    if (!sorted.length) return { scale, color: () => null, legend: [] };
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    let cuts =
+      scale === 'linear'
+        ? Array.from({ length: classes - 1 }, (_, i) => min + ((max - min) * (i + 1)) / classes)
+        : Array.from({ length: classes - 1 }, (_, i) => sorted[Math.floor((sorted.length * (i + 1)) / classes)]);
+    cuts = [...new Set(cuts)].filter((c) => c > min && c <= max);
+    const bounds = [min, ...cuts, max];
+    // spread the classes we ended up with over the whole ramp
+    const colorAt = (i) => RAMP[cuts.length ? Math.round((i * (RAMP.length - 1)) / cuts.length) : RAMP.length - 1];
+    const classOf = (v) => {
+      let i = 0;
+      while (i < cuts.length && v >= cuts[i]) i++;
+      return i;
+    };
+    return {
+      scale,
+      color: (v) => (v > 0 ? colorAt(classOf(v)) : null),
+      legend: bounds.slice(0, -1).map((from, i) => ({ from, to: bounds[i + 1], color: colorAt(i) })),
+    };
+  }
+
+  // Per-zone share of each wallet's activity falling in every UTC hour. `zoneAddresses` is
+  // { zone: [address] } and `resultsByAddress` { address: result with utc_histogram }.
+  // Returns { hours: [{ zone: value }] x 24, max } so every frame shares one scale.
+  function hourlyZoneActivity(zoneAddresses, resultsByAddress) {
+    const hours = Array.from({ length: 24 }, () => ({}));
+    let max = 0;
+    for (const [zone, addrs] of Object.entries(zoneAddresses || {})) {
+      for (const address of addrs || []) {
+        const hist = resultsByAddress[address]?.utc_histogram;
+        const total = hist ? hist.reduce((a, b) => a + b, 0) : 0;
+        if (!total) continue;
+        hist.forEach((n, h) => (hours[h][zone] = (hours[h][zone] || 0) + n / total));
+      }
+    }
+    for (const frame of hours) for (const v of Object.values(frame)) max = Math.max(max, v);
+    return { hours, max };
+  }
+
+  // Local hour (0-24, fractional) of a result at `date`: from its IANA zone when it has one,
+  // else from its fixed offset
+  function localHour(result, date = new Date()) {
+    if (result?.tzid) {
+      try {
+        const parts = new Intl.DateTimeFormat('en-US', { timeZone: result.tzid, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' }).formatToParts(date);
+        const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+        return get('hour') + get('minute') / 60;
+      } catch {
+        // not an IANA name (e.g. a fallback polygon label); use the offset below
+      }
+    }
+    const offset = result?.utc_offset_hours ?? 0;
+    const utc = date.getUTCHours() + date.getUTCMinutes() / 60;
+    return (((utc + offset) % 24) + 24) % 24;
+  }
+
+  const isAwake = (result, date = new Date()) => {
+    const h = localHour(result, date);
+    return h >= AWAKE_HOURS[0] && h < AWAKE_HOURS[1];
+  };
+
+  const rad = Math.PI / 180;
+
+  // Night side of the Earth at `date` as a GeoJSON Polygon Feature ([lng, lat]), from the
+  // sun's declination and the Greenwich sidereal time (low-precision solar ephemeris)
+  function nightPolygon(date = new Date(), { step = 2 } = {}) {
+    const days = date.getTime() / 86400000 + 2440587.5 - 2451545; // days since J2000
+    const gmst = (((18.697374558 + 24.06570982441908 * days) % 24) + 24) % 24;
+    const meanLng = (280.46 + 0.9856474 * days) % 360;
+    const anomaly = ((357.528 + 0.9856003 * days) % 360) * rad;
+    const eclLng = (meanLng + 1.915 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly)) * rad;
+    const obliquity = (23.4393 - 0.0000004 * days) * rad;
+    const ra = Math.atan2(Math.cos(obliquity) * Math.sin(eclLng), Math.cos(eclLng)) / rad;
+    const dec = Math.asin(Math.sin(obliquity) * Math.sin(eclLng));
+
+    const ring = [];
+    for (let lng = -180; lng <= 180; lng += step) {
+      const hourAngle = (gmst * 15 + lng - ra) * rad;
+      ring.push([lng, Math.atan(-Math.cos(hourAngle) / Math.tan(dec)) / rad]);
+    }
+    // close over the pole that is in darkness
+    const pole = dec < 0 ? 90 : -90;
+    ring.push([180, pole], [-180, pole], ring[0]);
+    return { type: 'Feature', properties: { kind: 'night', at: date.toISOString() }, geometry: { type: 'Polygon', coordinates: [ring] } };
+  }
+
+  return { RAMP, SCALES, AWAKE_HOURS, makeScale, hourlyZoneActivity, localHour, isAwake, nightPolygon };
+});
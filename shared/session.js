@@ -0,0 +1,160 @@
+// Saved analysis sessions shared by both UIs and the API server: the session shape and its
+// validation, compact share-link encoding, named workspaces in localStorage and a client for
+// the server's /api/workspaces routes. Loaded via require() / bundler import, or by
+// index.html via a plain <script> tag (exposed as window.Sessions).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Sessions = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const SESSION_VERSION = 1;
+  const AUTOSAVE_KEY = 'ithil-session'; // last session, restored on reload
+  const WORKSPACES_KEY = 'ithil-workspaces'; // { name: session } saved in this browser
+  const API_KEY_KEY = 'ithil-api-key'; // the API key sent to servers that require one
+
+  const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+  const strings = (v) => (Array.isArray(v) ? v.filter((s) => typeof s === 'string') : []);
+
+  // Everything needed to reload a view: input, selection, click log, results and viewport.
+  // Unknown fields are dropped; returns null when `raw` is not a session at all.
+  function normalizeSession(raw) {
+    if (!isObject(raw) || raw.version !== SESSION_VERSION) return null;
+    const vp = raw.viewport;
+    const viewport =
+      isObject(vp) && Array.isArray(vp.center) && vp.center.length === 2 && vp.center.every(Number.isFinite) && Number.isFinite(vp.zoom)
+        ? { center: vp.center, zoom: vp.zoom }
+        : null;
+    return {
+      version: SESSION_VERSION,
+      name: typeof raw.name === 'string' ? raw.name : '',
+      saved_at: typeof raw.saved_at === 'string' ? raw.saved_at : null,
+      addresses: strings(raw.addresses),
+      labels: isObject(raw.labels) ? raw.labels : {},
+      selected_zones: strings(raw.selected_zones),
+      rows: Array.isArray(raw.rows) ? raw.rows.filter(isObject) : [],
+      results: Array.isArray(raw.results) ? raw.results.filter(isObject) : [],
+      cohort: isObject(raw.cohort) ? raw.cohort : null,
+      options: isObject(raw.options) ? raw.options : {},
+      viewport,
+    };
+  }
+
+  const createSession = (fields) =>
+    normalizeSession({ ...fields, version: SESSION_VERSION, saved_at: new Date().toISOString() });
+
+  // --- share-link encoding: "z" + base64url(deflate-raw(JSON)) where CompressionStream
+  // exists, else "j" + base64url(JSON)
+  const toBase64Url = (bytes) => {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  };
+  const fromBase64Url = (s) => Uint8Array.from(atob(s.replace(/-/g, '+').replace(/_/g, '/')), (c) => c.charCodeAt(0));
+  const pipe = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+  async function encodeSession(session) {
+    const bytes = new TextEncoder().encode(JSON.stringify(session));
+    if (typeof CompressionStream === 'undefined') return `j${toBase64Url(bytes)}`;
+    return `z${toBase64Url(await pipe(bytes, new CompressionStream('deflate-raw')))}`;
+  }
+
+  // Resolves to a normalized session, or null for a damaged or foreign string
+  async function decodeSession(text) {
+    try {
+      let bytes = fromBase64Url(String(text).slice(1));
+      if (text[0] === 'z') bytes = await pipe(bytes, new DecompressionStream('deflate-raw'));
+      else if (text[0] !== 'j') return null;
+      return normalizeSession(JSON.parse(new TextDecoder().decode(bytes)));
+    } catch {
+      return null;
+    }
+  }
+
+  // Share links: ?share=<id> (server, always read-only), ?workspace=<id> (server, editable
+  // unless readonly=1) or #session=<encoded> (self-contained). Reads query and hash alike.
+  function readShareParams(loc) {
+    const params = new URLSearchParams(loc.search);
+    for (const [k, v] of new URLSearchParams(String(loc.hash || '').replace(/^#/, ''))) params.set(k, v);
+    const share = params.get('share');
+    return {
+      share,
+      workspace: params.get('workspace'),
+      session: params.get('session'),
+      readOnly: !!share || params.get('readonly') === '1',
+    };
+  }
+
+  function shareUrl(loc, { share, workspace, session, readOnly } = {}) {
+    const base = `${loc.origin}${loc.pathname}`;
+    if (share) return `${base}?share=${encodeURIComponent(share)}`;
+    if (workspace) return `${base}?workspace=${encodeURIComponent(workspace)}${readOnly ? '&readonly=1' : ''}`;
+    return `${base}#${readOnly ? 'readonly=1&' : ''}session=${session}`;
+  }
+
+  // --- named workspaces kept in this browser
+  function createLocalWorkspaces(storage, key = WORKSPACES_KEY) {
+    const read = () => {
+      try {
+        return JSON.parse(storage.getItem(key) || '{}') || {};
+      } catch {
+        return {};
+      }
+    };
+    // throws (e.g. QuotaExceededError) when the browser refuses the write
+    const write = (all) => storage.setItem(key, JSON.stringify(all));
+    return {
+      list: () =>
+        Object.entries(read())
+          .map(([name, s]) => ({ name, saved_at: s?.saved_at || null, address_count: s?.addresses?.length || 0 }))
+          .sort((a, b) => String(b.saved_at).localeCompare(String(a.saved_at))),
+      get: (name) => normalizeSession(read()[name]),
+      save: (name, session) => write({ ...read(), [name]: { ...session, name } }),
+      remove: (name) => {
+        const all = read();
+        delete all[name];
+        write(all);
+      },
+    };
+  }
+
+  // --- server workspaces (GET/POST /api/workspaces, GET/PUT/DELETE /api/workspaces/:id,
+  // GET /api/shared/:shareId). `headers()` adds e.g. the caller's API key to every request.
+  function createWorkspaceClient(apiBase = '', { headers = () => ({}) } = {}) {
+    async function call(method, path, body) {
+      const r = await fetch(`${apiBase}${path}`, {
+        method,
+        headers: { ...headers(), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      if (r.status === 204) return null;
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok) throw Object.assign(new Error(data.error || `API HTTP ${r.status}`), { status: r.status, data });
+      return data;
+    }
+    const id = (v) => encodeURIComponent(v);
+    return {
+      list: async () => (await call('GET', '/api/workspaces')).workspaces,
+      get: (wsId) => call('GET', `/api/workspaces/${id(wsId)}`),
+      create: (name, session) => call('POST', '/api/workspaces', { name, session }),
+      update: (wsId, fields) => call('PUT', `/api/workspaces/${id(wsId)}`, fields),
+      remove: (wsId) => call('DELETE', `/api/workspaces/${id(wsId)}`),
+      shared: (shareId) => call('GET', `/api/shared/${id(shareId)}`),
+    };
+  }
+
+  return {
+    SESSION_VERSION,
+    AUTOSAVE_KEY,
+    WORKSPACES_KEY,
+    API_KEY_KEY,
+    normalizeSession,
+    createSession,
+    encodeSession,
+    decodeSession,
+    readShareParams,
+    shareUrl,
+    createLocalWorkspaces,
+    createWorkspaceClient,
+  };
+});
@@ -0,0 +1,798 @@
+// Shared timezone inference engine.
+// Loaded by the Express server via require() and by index.html via a plain <script> tag
+// (exposed as window.TimezoneInference), so both entry points label a wallet the same way.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.TimezoneInference = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const MIN_OFFSET = -12;
+  const MAX_OFFSET = 14;
+  const OFFSETS = [];
+  for (let o = MIN_OFFSET; o <= MAX_OFFSET; o++) OFFSETS.push(o);
+
+  const tzExamples = {
+    '-12': 'Etc/GMT+12',  '-11': 'Pacific/Pago_Pago',    '-10': 'Pacific/Honolulu',
+    '-9':  'America/Anchorage','-8': 'America/Los_Angeles','-7': 'America/Denver',
+    '-6':  'America/Chicago','-5': 'America/New_York',   '-4': 'America/Halifax',
+    '-3':  'America/Sao_Paulo','-2': 'Atlantic/South_Georgia','-1': 'Atlantic/Azores',
+    '0':   'Etc/UTC','1': 'Europe/Berlin','2': 'Europe/Kaliningrad','3': 'Europe/Moscow',
+    '4':   'Asia/Dubai','5': 'Asia/Karachi','6': 'Asia/Dhaka','7': 'Asia/Bangkok',
+    '8':   'Asia/Shanghai','9': 'Asia/Tokyo','10': 'Australia/Sydney','11': 'Pacific/Noumea',
+    '12':  'Pacific/Auckland','13': 'Pacific/Tongatapu','14': 'Pacific/Kiritimati',
+  };
+  const exampleTz = (offset) => tzExamples[String(offset)] || 'Etc/UTC';
+
+  // "UTC+8", "UTC-3:30", "UTC+5:45"
+  function utcLabel(offset) {
+    const sign = offset >= 0 ? '+' : '-';
+    const abs = Math.abs(offset);
+    const h = Math.floor(abs);
+    const m = Math.round((abs - h) * 60);
+    return `UTC${sign}${h}${m ? `:${String(m).padStart(2, '0')}` : ''}`;
+  }
+
+  // Accepts a 24-element array, a Map(hour -> count) or a plain { hour: count } object
+  function normalizeCounts(input) {
+    const counts = new Array(24).fill(0);
+    if (!input) return counts;
+    const entries = input instanceof Map
+      ? [...input.entries()]
+      : Array.isArray(input) ? input.map((v, h) => [h, v]) : Object.entries(input);
+    for (const [h, v] of entries) {
+      const hour = Number(h);
+      const n = Number(v);
+      if (Number.isInteger(hour) && hour >= 0 && hour < 24 && Number.isFinite(n)) counts[hour] += n;
+    }
+    return counts;
+  }
+
+  // Local-time histogram for a fixed offset: local[l] = counts[l - offset]
+  const rotate = (counts, offset) => counts.map((_, l) => counts[(((l - offset) % 24) + 24) % 24]);
+
+  // Like rotate, but for any offset (UTC+5:30, a slider position): a fractional offset
+  // splits each hour's events between the two local hours it straddles
+  function shiftHistogram(input, offset) {
+    const counts = normalizeCounts(input);
+    const whole = Math.floor(offset);
+    const frac = offset - whole;
+    const a = rotate(counts, whole);
+    if (!frac) return a;
+    const b = rotate(counts, whole + 1);
+    return a.map((v, l) => v * (1 - frac) + b[l] * frac);
+  }
+
+  // ----------------- strategies -----------------
+  // A strategy judges one local-time histogram at a time. `scoreLocal(local, week)` returns
+  // { score, ...details } for a 24-bucket local histogram; `week` is the matching local 7x24
+  // matrix when per-event timestamps are available (IANA scoring) and null for bare
+  // 24-bucket input. `better(a, b)` decides whether
+  // row a beats row b (defaults to a higher score; earlier candidates win ties),
+  // `weights(rows, counts)` returns unnormalized non-negative weights used for confidence
+  // (defaults to a softmax over score) and `summarize` adds strategy-specific fields to the
+  // final result. `windows` ({ day: [from, to), night: [from, to) | null }, local hours) names
+  // the parts of the day the scorer looks at, for charts that explain a verdict.
+  const strategies = new Map();
+
+  function registerStrategy(name, strategy) {
+    if (!name || typeof strategy?.scoreLocal !== 'function') {
+      throw new Error('strategy needs a name and a scoreLocal function');
+    }
+    strategies.set(name, { name, ...strategy });
+  }
+
+  const listStrategies = () => [...strategies.keys()];
+  const hasStrategy = (name) => strategies.has(name);
+
+  // Daytime window: most activity between 08:00 and 18:00 local time.
+  // passes_rule needs >50% of events in that window and 3+ hours at 3x the median hour.
+  // Confidence is a softmax over the daytime share, sharpened by sqrt(total events) so a
+  // handful of transactions cannot produce a confident verdict.
+  const DAYTIME_SHARPNESS = 4;
+
+  registerStrategy('daytime', {
+    windows: { day: [8, 18], night: null },
+    scoreLocal(local) {
+      let daySum = 0;
+      for (let l = 8; l < 18; l++) daySum += local[l];
+      return { score: daySum };
+    },
+    weights(rows, counts) {
+      const total = counts.reduce((a, b) => a + b, 0);
+      if (!total) return rows.map(() => 1);
+      const k = DAYTIME_SHARPNESS * Math.sqrt(total);
+      const max = Math.max(...rows.map((r) => r.score));
+      return rows.map((r) => Math.exp((k * (r.score - max)) / total));
+    },
+    summarize(best, counts) {
+      const total = counts.reduce((a, b) => a + b, 0);
+      const sorted = [...counts].sort((a, b) => a - b);
+      const median = sorted[Math.floor(sorted.length / 2)];
+      const ratio = total ? best.score / total : 0;
+      const highBars = counts.filter((c) => c >= median * 3).length;
+      return {
+        median,
+        ratio,
+        bars_high_over_mult: highBars,
+        passes_rule: ratio > 0.5 && highBars >= 3,
+      };
+    },
+  });
+
+  // Daytime + weekend shift: the daytime score, boosted by how cleanly the candidate's local
+  // calendar separates weekdays from weekends. A wrong offset smears Friday-night and
+  // Monday-morning activity across the weekend boundary and weakens the contrast. Without a
+  // weekly matrix it scores exactly like `daytime`.
+  const WEEKEND_WEIGHT = 0.5;
+
+  registerStrategy('daytime-weekend', {
+    windows: { day: [8, 18], night: null },
+    scoreLocal(local, week) {
+      const { score: daySum } = strategies.get('daytime').scoreLocal(local);
+      if (!week) return { score: daySum, day_sum: daySum, weekday_weekend_contrast: null };
+      const { weekday_weekend_contrast: contrast } = weekendStats(week);
+      return { score: daySum * (1 + WEEKEND_WEIGHT * contrast), day_sum: daySum, weekday_weekend_contrast: contrast };
+    },
+    weights(rows, counts) {
+      return strategies.get('daytime').weights(rows, counts);
+    },
+    summarize(best, counts) {
+      return {
+        ...strategies.get('daytime').summarize({ ...best, score: best.day_sum }, counts),
+        weekday_weekend_contrast: best.weekday_weekend_contrast,
+      };
+    },
+  });
+
+  // SQL median ratio: median of active hours 10–15 local over median of active hours 01–05
+  // local. Mirrors the Dune query: only hours with activity take part in the medians.
+  const SQL_MULT = 5.0;
+
+  function trueMedian(v) {
+    if (!v || v.length === 0) return null;
+    const a = v.slice().sort((x, y) => x - y);
+    const m = Math.floor(a.length / 2);
+    return a.length % 2 ? a[m] : (a[m - 1] + a[m]) / 2;
+  }
+
+  registerStrategy('sql-median-ratio', {
+    windows: { day: [10, 16], night: [1, 6] },
+    scoreLocal(local) {
+      const high = local.slice(10, 16).filter((v) => v > 0);
+      const low = local.slice(1, 6).filter((v) => v > 0);
+      const medHigh = trueMedian(high);
+      const medLow = trueMedian(low);
+      const ratio = medLow ? (medHigh !== null ? medHigh / medLow : null) : null;
+      const bars = medLow ? high.filter((v) => v >= SQL_MULT * medLow).length : 0;
+      const passes = medLow > 0 && medHigh !== null && medHigh >= SQL_MULT * medLow;
+      return {
+        score: ratio,
+        med_10_15: medHigh,
+        med_1_5: medLow,
+        ratio,
+        bars_high_over_mult: bars,
+        passes_rule: !!passes,
+      };
+    },
+    better(a, b) {
+      if (a.ratio === null && b.ratio === null) return a.bars_high_over_mult > b.bars_high_over_mult;
+      if (a.ratio === null) return false;
+      if (b.ratio === null) return true;
+      if (a.ratio !== b.ratio) return a.ratio > b.ratio;
+      return a.bars_high_over_mult > b.bars_high_over_mult;
+    },
+    // Offsets without a night median carry no evidence; the rest weigh by ratio squared
+    weights(rows) {
+      return rows.map((r) => (r.ratio === null ? 0 : r.ratio * r.ratio));
+    },
+    summarize(best) {
+      return {
+        passes_rule: best.passes_rule,
+        med_10_15: best.med_10_15,
+        med_1_5: best.med_1_5,
+        ratio: best.ratio,
+        bars_high_over_mult: best.bars_high_over_mult,
+      };
+    },
+  });
+
+  const DEFAULT_STRATEGY = 'daytime';
+
+  // ----------------- IANA zones -----------------
+  // One zone per distinct (standard offset, DST rule) combination, including the
+  // half-hour and 45-minute zones a fixed integer offset can never produce.
+  const CANDIDATE_ZONES = [
+    'Etc/GMT+12', 'Pacific/Pago_Pago', 'Pacific/Honolulu', 'Pacific/Marquesas', 'America/Anchorage',
+    'America/Los_Angeles', 'America/Phoenix', 'America/Denver', 'America/Chicago', 'America/Mexico_City',
+    'America/New_York', 'America/Bogota', 'America/Halifax', 'America/Caracas', 'America/Santiago',
+    'America/St_Johns', 'America/Sao_Paulo', 'America/Argentina/Buenos_Aires', 'America/Noronha',
+    'Atlantic/Azores', 'Atlantic/Cape_Verde', 'Europe/London', 'Atlantic/Reykjavik', 'Europe/Berlin',
+    'Africa/Lagos', 'Europe/Athens', 'Africa/Cairo', 'Africa/Johannesburg', 'Europe/Moscow',
+    'Asia/Riyadh', 'Asia/Tehran', 'Asia/Dubai', 'Asia/Kabul', 'Asia/Karachi', 'Asia/Kolkata',
+    'Asia/Kathmandu', 'Asia/Dhaka', 'Asia/Yangon', 'Asia/Bangkok', 'Asia/Shanghai', 'Australia/Eucla',
+    'Asia/Tokyo', 'Australia/Darwin', 'Australia/Adelaide', 'Australia/Brisbane', 'Australia/Sydney',
+    'Australia/Lord_Howe', 'Pacific/Noumea', 'Pacific/Auckland', 'Pacific/Fiji', 'Pacific/Chatham',
+    'Pacific/Tongatapu', 'Pacific/Kiritimati',
+  ];
+
+  // Events are bucketed into 15-minute slots (epoch ms / SLOT_MS) so :30 and :45 offsets
+  // still land every event in the right local hour.
+  const SLOT_MS = 15 * 60 * 1000;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Add one event (epoch ms) to a { slot: count } map
+  function addSlot(slots, ts, n = 1) {
+    if (!Number.isFinite(ts)) return slots;
+    const slot = Math.floor(ts / SLOT_MS);
+    slots[slot] = (slots[slot] || 0) + n;
+    return slots;
+  }
+
+  // UTC hour-of-day histogram from a slot map
+  function countsFromSlots(slots) {
+    const counts = new Array(24).fill(0);
+    for (const [slot, n] of Object.entries(slots || {})) {
+      counts[new Date(Number(slot) * SLOT_MS).getUTCHours()] += n;
+    }
+    return counts;
+  }
+
+  const formatters = new Map();
+  function zoneFormatter(tzid) {
+    if (!formatters.has(tzid)) {
+      formatters.set(tzid, new Intl.DateTimeFormat('en-US', {
+        timeZone: tzid, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+      }));
+    }
+    return formatters.get(tzid);
+  }
+
+  // Offset of an IANA zone at an instant, in minutes east of UTC
+  function zoneOffsetMinutes(tzid, ts) {
+    const p = {};
+    for (const { type, value } of zoneFormatter(tzid).formatToParts(new Date(ts))) p[type] = Number(value);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour % 24, p.minute);
+    return Math.round((asUtc - Math.floor(ts / 60000) * 60000) / 60000);
+  }
+
+  // Standard (non-DST) offset: the smaller of the January and July offsets
+  function standardOffsetMinutes(tzid, now = Date.now()) {
+    const year = new Date(now).getUTCFullYear();
+    return Math.min(zoneOffsetMinutes(tzid, Date.UTC(year, 0, 1)), zoneOffsetMinutes(tzid, Date.UTC(year, 6, 1)));
+  }
+
+  // Offsets rarely change within a UTC day, so look them up once per zone and day and only
+  // fall back to per-slot lookups on transition days
+  const dayOffsets = new Map();
+  function offsetAt(tzid, ts) {
+    let days = dayOffsets.get(tzid);
+    if (!days) dayOffsets.set(tzid, (days = new Map()));
+    const day = Math.floor(ts / DAY_MS);
+    if (!days.has(day)) {
+      const start = zoneOffsetMinutes(tzid, day * DAY_MS);
+      const end = zoneOffsetMinutes(tzid, (day + 1) * DAY_MS - 1);
+      days.set(day, start === end ? start : null);
+    }
+    const cached = days.get(day);
+    return cached !== null ? cached : zoneOffsetMinutes(tzid, ts);
+  }
+
+  // Parse a slot map once into per-day groups so every candidate zone can reuse it
+  function groupSlotsByDay(slots) {
+    const days = new Map();
+    for (const [slot, n] of Object.entries(slots || {})) {
+      const ts = Number(slot) * SLOT_MS;
+      const day = Math.floor(ts / DAY_MS);
+      if (!days.has(day)) days.set(day, []);
+      days.get(day).push(ts, n);
+    }
+    return days;
+  }
+
+  const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+  // Local 7x24 (Mon..Sun x hour) matrix for a zone, converting every slot with the offset in
+  // force then. `zone` is an IANA tzid or a fixed offset in hours.
+  function localWeekForZone(days, zone) {
+    const week = WEEKDAYS.map(() => new Array(24).fill(0));
+    const fixed = typeof zone === 'number' ? Math.round(zone * 60) : null;
+    for (const [day, flat] of days) {
+      const dayOffset = fixed !== null ? fixed : offsetAt(zone, day * DAY_MS);
+      const uniform = fixed !== null || dayOffsets.get(zone).get(day) !== null;
+      for (let i = 0; i < flat.length; i += 2) {
+        const ts = flat[i];
+        const minutes = Math.floor(ts / 60000) + (uniform ? dayOffset : zoneOffsetMinutes(zone, ts));
+        const localDay = Math.floor(minutes / 1440);
+        const hour = Math.floor((minutes - localDay * 1440) / 60);
+        // 1970-01-01 was a Thursday
+        week[(((localDay + 3) % 7) + 7) % 7][hour] += flat[i + 1];
+      }
+    }
+    return week;
+  }
+
+  const sumWeek = (week) => week[0].map((_, h) => week.reduce((a, row) => a + row[h], 0));
+
+  // 7x24 activity matrix from a slot map, in a zone's local time (UTC by default)
+  const weekMatrixFromSlots = (slots, zone = 0) => localWeekForZone(groupSlotsByDay(slots), zone);
+
+  // Share of activity on Saturday/Sunday, and how strongly weekdays and weekends differ in
+  // per-day volume (0 = same rate, 1 = only one of them is active)
+  function weekendStats(week) {
+    const perDay = week.map((row) => row.reduce((a, b) => a + b, 0));
+    const total = perDay.reduce((a, b) => a + b, 0);
+    if (!total) return { weekend_share: 0, weekday_weekend_contrast: 0 };
+    const weekend = perDay[5] + perDay[6];
+    const wdRate = (total - weekend) / 5;
+    const weRate = weekend / 2;
+    return {
+      weekend_share: weekend / total,
+      weekday_weekend_contrast: Math.abs(wdRate - weRate) / (wdRate + weRate),
+    };
+  }
+
+  // ----------------- classification -----------------
+  // Wallets without a human sleep/wake rhythm get a verdict other than `human` and are kept
+  // out of zone assignment:
+  // - insufficient_data: fewer than `minEvents` events (too_few_events)
+  // - exchange: always-on (flat 24h profile, no quiet 6-hour stretch) at high daily volume
+  // - bot: always-on at lower volume, metronome-regular gaps between events, or contract code
+  const CLASSIFY_DEFAULTS = {
+    minEvents: 20,
+    flatEntropy: 0.97, // normalized Shannon entropy of the 24h histogram
+    quietShare: 0.15, // share of events in the quietest 6-hour window (uniform = 0.25)
+    exchangePerDay: 50, // events per active day
+    cadenceCv: 0.25, // coefficient of variation of gaps between active slots
+    cadenceMinEvents: 50,
+  };
+
+  function classifyActivity(slots, { isContract = null, ...overrides } = {}) {
+    const o = { ...CLASSIFY_DEFAULTS, ...overrides };
+    const counts = countsFromSlots(slots);
+    const total = counts.reduce((a, b) => a + b, 0);
+
+    let entropy = 0;
+    for (const c of counts) if (c > 0) entropy -= (c / total) * Math.log(c / total);
+    entropy = total ? entropy / Math.log(24) : 0;
+
+    let quiet = total ? Infinity : 0;
+    for (let start = 0; start < 24 && total; start++) {
+      let sum = 0;
+      for (let k = 0; k < 6; k++) sum += counts[(start + k) % 24];
+      quiet = Math.min(quiet, sum / total);
+    }
+
+    const keys = Object.keys(slots || {}).map(Number).sort((a, b) => a - b);
+    const activeDays = new Set(keys.map((k) => Math.floor((k * SLOT_MS) / DAY_MS))).size;
+    const gaps = keys.slice(1).map((k, i) => k - keys[i]);
+    const meanGap = gaps.reduce((a, b) => a + b, 0) / (gaps.length || 1);
+    const sdGap = Math.sqrt(gaps.reduce((a, g) => a + (g - meanGap) ** 2, 0) / (gaps.length || 1));
+    const gapCv = gaps.length ? sdGap / meanGap : null;
+
+    const metrics = {
+      events: total,
+      active_days: activeDays,
+      events_per_active_day: activeDays ? total / activeDays : 0,
+      entropy,
+      quiet_share: quiet,
+      gap_cv: gapCv,
+      is_contract: isContract,
+    };
+    const reasons = [];
+    let verdict = 'human';
+    if (isContract) {
+      verdict = 'bot';
+      reasons.push('contract_code');
+    } else if (total < o.minEvents) {
+      verdict = 'insufficient_data';
+      reasons.push('too_few_events');
+    } else {
+      const flat = entropy >= o.flatEntropy;
+      const noQuiet = quiet >= o.quietShare;
+      if (flat) reasons.push('flat_entropy');
+      if (noQuiet) reasons.push('no_quiet_window');
+      if (flat || noQuiet) verdict = metrics.events_per_active_day >= o.exchangePerDay ? 'exchange' : 'bot';
+      if (gapCv !== null && gapCv < o.cadenceCv && total >= o.cadenceMinEvents) {
+        reasons.push('regular_cadence');
+        if (verdict === 'human') verdict = 'bot';
+      }
+    }
+    for (const k of ['entropy', 'quiet_share', 'gap_cv', 'events_per_active_day']) metrics[k] = round(metrics[k]);
+    return { classification: verdict, classification_reasons: reasons, activity_metrics: metrics };
+  }
+
+  // Blank the zone fields of a verdict for wallets that are not attributable
+  const unattributed = (verdict) => ({
+    ...verdict,
+    tzid: null,
+    utc_offset_hours: null,
+    utc_label: null,
+    standard_offset_hours: null,
+    iana_tz_example: null,
+    confidence: null,
+    alternatives: [],
+  });
+
+  // ----------------- engine -----------------
+  const DEFAULT_TOP_N = 3;
+
+  function softmaxWeights(rows) {
+    const finite = rows.map((r) => (Number.isFinite(r.score) ? r.score : -Infinity));
+    const max = Math.max(...finite);
+    if (!Number.isFinite(max)) return rows.map(() => 1);
+    return finite.map((s) => Math.exp(s - max));
+  }
+
+  // Normalize weights into probabilities; no evidence at all means a uniform spread
+  function toProbabilities(weights) {
+    const clean = weights.map((w) => (Number.isFinite(w) && w > 0 ? w : 0));
+    const sum = clean.reduce((a, b) => a + b, 0);
+    return sum > 0 ? clean.map((w) => w / sum) : clean.map(() => 1 / clean.length);
+  }
+
+  const round = (x, digits = 4) => (x === null || !Number.isFinite(x) ? x : Number(x.toFixed(digits)));
+
+  function getStrategy(name) {
+    const impl = strategies.get(name);
+    if (!impl) throw new Error(`unknown strategy: ${name}`);
+    return impl;
+  }
+
+  // Pick the best row, turn weights into probabilities and rank the runners-up
+  function rank(impl, rows, counts, top) {
+    const better = impl.better || ((a, b) => a.score > b.score);
+    let bestIdx = -1;
+    rows.forEach((row, i) => {
+      if (bestIdx < 0 || better(row, rows[bestIdx])) bestIdx = i;
+    });
+    const probs = toProbabilities(impl.weights ? impl.weights(rows, counts) : softmaxWeights(rows));
+    const confidence = bestIdx >= 0 ? probs[bestIdx] : 0;
+    const runnersUp = rows
+      .map((row, i) => ({ row, i, p: probs[i] }))
+      .filter((r) => r.i !== bestIdx)
+      .sort((a, b) => b.p - a.p || a.i - b.i)
+      .slice(0, Math.max(0, top));
+    return { best: rows[bestIdx], probs, confidence, runnersUp };
+  }
+
+  // Fixed integer offsets from a 24-bucket UTC histogram
+  function inferTimezone(input, { strategy = DEFAULT_STRATEGY, top = DEFAULT_TOP_N } = {}) {
+    const impl = getStrategy(strategy);
+    const counts = normalizeCounts(input);
+    const rows = OFFSETS.map((offset) => ({ offset, ...impl.scoreLocal(rotate(counts, offset)) }));
+    const { best, probs, confidence, runnersUp } = rank(impl, rows, counts, top);
+    const offset = best ? best.offset : 0;
+
+    return {
+      strategy,
+      utc_offset_hours: offset,
+      utc_label: utcLabel(offset),
+      iana_tz_example: exampleTz(offset),
+      confidence: round(confidence),
+      alternatives: runnersUp.map(({ row, p }) => ({
+        utc_offset_hours: row.offset,
+        utc_label: utcLabel(row.offset),
+        probability: round(p),
+        margin: round(confidence - p),
+      })),
+      scores: rows.map((r, i) => ({ offset: r.offset, score: round(r.score), probability: round(probs[i]) })),
+      score_windows: impl.windows || null,
+      ...(impl.summarize ? impl.summarize(best, counts) : {}),
+    };
+  }
+
+  // Candidate IANA zones from a { slot: count } map, each event converted with the zone's
+  // real offset at that instant (DST included). utc_offset_hours is the zone's offset at
+  // `now`; standard_offset_hours is its offset outside DST (what offset-based maps draw).
+  function inferZone(slots, { strategy = DEFAULT_STRATEGY, top = DEFAULT_TOP_N, zones = CANDIDATE_ZONES, now = Date.now() } = {}) {
+    const impl = getStrategy(strategy);
+    const counts = countsFromSlots(slots);
+    const days = groupSlotsByDay(slots);
+    const rows = zones.map((tzid) => {
+      const week = localWeekForZone(days, tzid);
+      return { tzid, ...impl.scoreLocal(sumWeek(week), week) };
+    });
+    const { best, probs, confidence, runnersUp } = rank(impl, rows, counts, top);
+    const describe = (tzid) => {
+      const hours = zoneOffsetMinutes(tzid, now) / 60;
+      return {
+        tzid,
+        utc_offset_hours: hours,
+        utc_label: utcLabel(hours),
+        standard_offset_hours: standardOffsetMinutes(tzid, now) / 60,
+      };
+    };
+    const verdict = describe(best ? best.tzid : 'Etc/UTC');
+
+    return {
+      strategy,
+      ...verdict,
+      iana_tz_example: verdict.tzid,
+      confidence: round(confidence),
+      alternatives: runnersUp.map(({ row, p }) => ({
+        ...describe(row.tzid),
+        probability: round(p),
+        margin: round(confidence - p),
+      })),
+      zone_scores: rows.map((r, i) => ({ tzid: r.tzid, score: round(r.score), probability: round(probs[i]) })),
+      score_windows: impl.windows || null,
+      ...(impl.summarize ? impl.summarize(best, counts) : {}),
+    };
+  }
+
+  // ----------------- event types -----------------
+  // Whose clock an event follows: owner-signed actions (the wallet sent the transaction)
+  // follow the owner's day; receives and mints (airdrops) follow whoever sent them. Sources
+  // that cannot tell (untyped fixture files) report `unknown`, which counts fully.
+  const OWNER_SIGNED_TYPES = ['send', 'call', 'swap', 'approve', 'burn'];
+  const PASSIVE_TYPES = ['receive', 'mint'];
+  const EVENT_TYPES = [...OWNER_SIGNED_TYPES, ...PASSIVE_TYPES, 'unknown'];
+  const DEFAULT_TYPE_WEIGHTS = { send: 1, call: 1, swap: 1, approve: 1, burn: 1, mint: 0.1, receive: 0.1, unknown: 1 };
+
+  // Per-type weights for one request: `overrides` replace defaults, and `types` (a list)
+  // keeps only those types. Types missing from the table take the `unknown` weight.
+  function typeWeights({ types = null, overrides = {}, defaults = DEFAULT_TYPE_WEIGHTS } = {}) {
+    const weights = { ...defaults, ...overrides };
+    if (!types) return weights;
+    const keep = new Set(types);
+    return Object.fromEntries([...new Set([...EVENT_TYPES, ...Object.keys(weights)])].map((t) => [t, keep.has(t) ? weights[t] ?? 1 : 0]));
+  }
+
+  const weightOf = (weights, type) => weights[type] ?? weights.unknown ?? 1;
+
+  // One slot map from per-type slot maps ({ type: { slot: count } }), each type scaled by
+  // its weight, for scoring. `unweighted` sums the same types (weight > 0) at face value, for
+  // the absolute thresholds of classifyActivity. `event_types` says what went in: per type
+  // seen, its raw `events`, `weight` and `share` of the weighted total.
+  function weighTypedSlots(typed, weights = DEFAULT_TYPE_WEIGHTS) {
+    const slots = {};
+    const unweighted = {};
+    const event_types = {};
+    let total = 0;
+    for (const [type, typeSlots] of Object.entries(typed || {})) {
+      const weight = weightOf(weights, type);
+      let events = 0;
+      for (const [slot, n] of Object.entries(typeSlots)) {
+        events += n;
+        if (weight > 0) {
+          slots[slot] = (slots[slot] || 0) + n * weight;
+          unweighted[slot] = (unweighted[slot] || 0) + n;
+        }
+      }
+      event_types[type] = { events, weight };
+      total += events * weight;
+    }
+    for (const t of Object.values(event_types)) t.share = total ? round((t.events * t.weight) / total) : 0;
+    return { slots, unweighted, event_types };
+  }
+
+  // "send 120 · receive 400 ×0.1": the types that contributed, largest share first
+  const describeEventTypes = (eventTypes) =>
+    Object.entries(eventTypes || {})
+      .filter(([, t]) => t.weight > 0 && t.events > 0)
+      .sort((a, b) => b[1].share - a[1].share)
+      .map(([type, t]) => `${type} ${t.events}${t.weight !== 1 ? ` ×${t.weight}` : ''}`)
+      .join(' · ');
+
+  // ----------------- time ranges -----------------
+  // Slots keep absolute time, so one fetch can be scored over any date range. A wallet that
+  // moved gets one verdict per period instead of an average of its old and new rhythms.
+
+  // Slots whose start falls in [from, to) (epoch ms; null leaves that side open)
+  function sliceSlots(slots, { from = null, to = null } = {}) {
+    const out = {};
+    for (const [slot, n] of Object.entries(slots || {})) {
+      const ts = Number(slot) * SLOT_MS;
+      if ((from === null || ts >= from) && (to === null || ts < to)) out[slot] = n;
+    }
+    return out;
+  }
+
+  // [start, end) of the activity in a slot map, or null when it is empty
+  function slotSpan(slots) {
+    const keys = Object.keys(slots || {}).map(Number);
+    if (!keys.length) return null;
+    return { from: Math.min(...keys) * SLOT_MS, to: (Math.max(...keys) + 1) * SLOT_MS };
+  }
+
+  const TIMELINE_DEFAULTS = { windowDays: 90, stepDays: 30, maxWindows: 120 };
+
+  // Whole windows of `windowDays` inside [from, to), stepped by `stepDays` back from `to`;
+  // oldest first, only the latest `maxWindows`. A range shorter than one window gets a
+  // single window covering all of it.
+  function rollingWindows({ from, to, windowDays = TIMELINE_DEFAULTS.windowDays, stepDays = TIMELINE_DEFAULTS.stepDays, maxWindows = TIMELINE_DEFAULTS.maxWindows }) {
+    const windows = [];
+    for (let end = to; end - windowDays * DAY_MS >= from && windows.length < maxWindows; end -= stepDays * DAY_MS) {
+      windows.push({ from: end - windowDays * DAY_MS, to: end });
+    }
+    if (!windows.length && to > from) windows.push({ from, to });
+    return windows.reverse();
+  }
+
+  // One verdict per rolling window over [from, to) (default: the span of the activity).
+  // Windows with a non-human classification (usually too few events) keep their event
+  // count but no zone. Zone offsets are read at the window's midpoint, so DST in the
+  // zone shows up as it was then. With weighted `slots`, `unweighted` (see weighTypedSlots)
+  // is what windows are classified and counted on.
+  function inferTimeline(slots, { from = null, to = null, windowDays, stepDays, strategy = DEFAULT_STRATEGY, inference = 'iana', unweighted = slots } = {}) {
+    const span = slotSpan(sliceSlots(slots, { from, to }));
+    if (!span) return [];
+    const windows = rollingWindows({ from: from ?? span.from, to: to ?? span.to, windowDays, stepDays });
+    return windows.map((w) => {
+      const sub = sliceSlots(slots, w);
+      const { classification, activity_metrics } = classifyActivity(sliceSlots(unweighted, w));
+      const point = {
+        from: new Date(w.from).toISOString(),
+        to: new Date(w.to).toISOString(),
+        events: activity_metrics.events,
+        classification,
+      };
+      if (classification !== 'human') {
+        return { ...point, tzid: null, utc_offset_hours: null, standard_offset_hours: null, utc_label: null, confidence: null };
+      }
+      const verdict =
+        inference === 'fixed'
+          ? inferTimezone(countsFromSlots(sub), { strategy, top: 0 })
+          : inferZone(sub, { strategy, top: 0, now: (w.from + w.to) / 2 });
+      return {
+        ...point,
+        tzid: verdict.tzid || null,
+        utc_offset_hours: verdict.utc_offset_hours,
+        standard_offset_hours: verdict.standard_offset_hours ?? verdict.utc_offset_hours,
+        utc_label: verdict.utc_label,
+        confidence: verdict.confidence,
+      };
+    });
+  }
+
+  // Runs of consecutive timeline windows on the same standard offset ("UTC+1 from Jan 2023
+  // to Mar 2024, then UTC+8"); windows without a zone neither start nor break a run. Each
+  // run spans its windows, so where windows overlap, neighbouring runs overlap too.
+  function timelineSegments(timeline) {
+    const segments = [];
+    for (const p of timeline || []) {
+      if (p.standard_offset_hours === null || p.standard_offset_hours === undefined) continue;
+      const last = segments[segments.length - 1];
+      if (last && last.standard_offset_hours === p.standard_offset_hours) {
+        last.to = p.to;
+        last.windows++;
+        if (p.tzid) last.tzids[p.tzid] = (last.tzids[p.tzid] || 0) + 1;
+      } else {
+        segments.push({
+          from: p.from,
+          to: p.to,
+          standard_offset_hours: p.standard_offset_hours,
+          utc_label: utcLabel(p.standard_offset_hours),
+          windows: 1,
+          tzids: p.tzid ? { [p.tzid]: 1 } : {},
+        });
+      }
+    }
+    return segments;
+  }
+
+  // ----------------- cohorts -----------------
+  // Collective footprint of a wallet list, from per-address results that carry
+  // `utc_histogram` (failed and non-human rows are skipped). `combined` scores the summed
+  // histogram. `distribution` gives every wallet equal weight: each adds its offset
+  // probabilities (`scores`, recomputed when absent). Wallets are grouped by their most likely
+  // offset; groups whose offsets are within `gapHours` of each other merge into one cluster.
+  function aggregateCohort(results, { strategy, top = DEFAULT_TOP_N, gapHours = 1 } = {}) {
+    const members = (results || []).filter(
+      (r) => r && !r.error && Array.isArray(r.utc_histogram) && (!r.classification || r.classification === 'human')
+    );
+    strategy = strategy || members.find((r) => r.strategy)?.strategy || DEFAULT_STRATEGY;
+    const combinedHistogram = new Array(24).fill(0);
+    const distribution = new Array(OFFSETS.length).fill(0);
+    const byOffset = new Map(); // most likely offset -> wallets
+
+    for (const r of members) {
+      const hist = normalizeCounts(r.utc_histogram);
+      hist.forEach((c, h) => (combinedHistogram[h] += c));
+      const scores = r.scores || inferTimezone(hist, { strategy, top: 0 }).scores;
+      let best = scores[0];
+      for (const sc of scores) {
+        distribution[sc.offset - MIN_OFFSET] += sc.probability / members.length;
+        if (sc.probability > best.probability) best = sc;
+      }
+      if (!byOffset.has(best.offset)) byOffset.set(best.offset, []);
+      byOffset.get(best.offset).push(r);
+    }
+
+    const clusters = [];
+    for (const offset of [...byOffset.keys()].sort((a, b) => a - b)) {
+      const last = clusters[clusters.length - 1];
+      if (last && offset - last.offsets[1] <= gapHours) last.offsets[1] = offset;
+      else clusters.push({ offsets: [offset, offset], wallets: [] });
+      clusters[clusters.length - 1].wallets.push(...byOffset.get(offset));
+    }
+    const described = clusters
+      .map(({ offsets: [from, to], wallets }) => {
+        let peak = from;
+        for (let o = from; o <= to; o++) if (distribution[o - MIN_OFFSET] > distribution[peak - MIN_OFFSET]) peak = o;
+        const histogram = new Array(24).fill(0);
+        for (const r of wallets) normalizeCounts(r.utc_histogram).forEach((c, h) => (histogram[h] += c));
+        return {
+          utc_offset_hours: peak,
+          utc_label: utcLabel(peak),
+          offsets: [from, to],
+          share: round(distribution.slice(from - MIN_OFFSET, to - MIN_OFFSET + 1).reduce((a, b) => a + b, 0)),
+          addresses: wallets.map((r) => r.address),
+          histogram,
+        };
+      })
+      .sort((a, b) => b.addresses.length - a.addresses.length || b.share - a.share);
+    const headline = (c) =>
+      c ? { utc_offset_hours: c.utc_offset_hours, utc_label: c.utc_label, share: c.share, wallets: c.addresses.length } : null;
+
+    return {
+      strategy,
+      wallets: members.length,
+      skipped: (results || []).length - members.length,
+      dominant: headline(described[0]),
+      secondary: headline(described[1]),
+      combined: members.length ? inferTimezone(combinedHistogram, { strategy, top }) : null,
+      combined_histogram: combinedHistogram,
+      distribution: OFFSETS.map((offset, i) => ({ offset, utc_label: utcLabel(offset), weight: round(distribution[i]) })),
+      clusters: described,
+    };
+  }
+
+  // "UTC+8 (0.82), runner-up UTC+9 (0.11)"; `label` lets a UI swap in its own offset format
+  function formatVerdict(result, label = utcLabel) {
+    if (!result) return '';
+    if (result.error) return result.error;
+    // some chains could not be read, so the verdict rests on part of the activity
+    const partial = result.fetch_status === 'partial' ? ' · partial data' : '';
+    if (result.classification && result.classification !== 'human') {
+      const reasons = result.classification_reasons || [];
+      return (reasons.length ? `${result.classification} (${reasons.join(', ')})` : result.classification) + partial;
+    }
+    const head = `${label(result.utc_offset_hours)} (${(result.confidence ?? 0).toFixed(2)})`;
+    const runnerUp = result.alternatives?.[0];
+    if (!runnerUp) return head + partial;
+    return `${head}, runner-up ${label(runnerUp.utc_offset_hours)} (${(runnerUp.probability ?? 0).toFixed(2)})${partial}`;
+  }
+
+  return {
+    OFFSETS,
+    CANDIDATE_ZONES,
+    SLOT_MS,
+    DEFAULT_STRATEGY,
+    exampleTz,
+    utcLabel,
+    normalizeCounts,
+    shiftHistogram,
+    addSlot,
+    countsFromSlots,
+    zoneOffsetMinutes,
+    standardOffsetMinutes,
+    WEEKDAYS,
+    weekMatrixFromSlots,
+    weekendStats,
+    classifyActivity,
+    unattributed,
+    registerStrategy,
+    listStrategies,
+    hasStrategy,
+    inferTimezone,
+    inferZone,
+    OWNER_SIGNED_TYPES,
+    PASSIVE_TYPES,
+    EVENT_TYPES,
+    DEFAULT_TYPE_WEIGHTS,
+    typeWeights,
+    weighTypedSlots,
+    describeEventTypes,
+    TIMELINE_DEFAULTS,
+    sliceSlots,
+    slotSpan,
+    rollingWindows,
+    inferTimeline,
+    timelineSegments,
+    aggregateCohort,
+    formatVerdict,
+  };
+});
@@ -0,0 +1,188 @@
+// Resilient calls to upstream activity APIs, shared by the API server and the static page:
+// retries with exponential backoff that honour Retry-After, one concurrency limit for all
+// requests, and a circuit breaker per upstream. Loaded via require() / bundler import, or by
+// index.html via a plain <script> tag (exposed as window.Upstream).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Upstream = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DEFAULTS = {
+    concurrency: 8, // requests in flight across every upstream
+    retries: 3, // further attempts after the first
+    baseDelayMs: 500, // first backoff; doubles per attempt
+    maxDelayMs: 10_000,
+    maxRetryAfterMs: 60_000, // a longer Retry-After fails the request instead of waiting
+    breakerThreshold: 5, // consecutive failures that open the circuit
+    breakerCooldownMs: 30_000, // how long it stays open before one trial request
+  };
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  // Retry-After is either seconds or an HTTP date; returns milliseconds, or null
+  function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const at = Date.parse(value);
+    return Number.isFinite(at) ? Math.max(0, at - now) : null;
+  }
+
+  // HTTP status and Retry-After of an error from axios (err.response) or from callers that
+  // set them directly (err.status, err.retryAfter)
+  function describeError(err) {
+    const status = err?.status ?? err?.response?.status ?? null;
+    const headers = err?.response?.headers;
+    const retryAfter = err?.retryAfter ?? (typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after']);
+    return { status, retryAfterMs: parseRetryAfter(retryAfter) };
+  }
+
+  // Rate limits, timeouts, network errors and 5xx are worth another try; other 4xx are not.
+  // `err.retryable` overrides (e.g. an API that reports rate limits inside a 200).
+  function isRetryable(err) {
+    if (typeof err?.retryable === 'boolean') return err.retryable;
+    const { status } = describeError(err);
+    if (status === null) return true;
+    return status === 408 || status === 425 || status === 429 || status >= 500;
+  }
+
+  // Exponential backoff with jitter: half the step, plus up to the other half at random
+  function backoffDelay(attempt, { baseDelayMs = DEFAULTS.baseDelayMs, maxDelayMs = DEFAULTS.maxDelayMs } = {}) {
+    const step = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(step / 2 + (Math.random() * step) / 2);
+  }
+
+  // At most `concurrency` tasks at once; the rest wait in order
+  function createLimiter(concurrency = DEFAULTS.concurrency) {
+    let active = 0;
+    const waiting = [];
+    const next = () => {
+      if (active >= concurrency || !waiting.length) return;
+      active++;
+      waiting.shift()();
+    };
+    function run(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push(() =>
+          Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+              active--;
+              next();
+            })
+        );
+        next();
+      });
+    }
+    return { run, active: () => active, pending: () => waiting.length };
+  }
+
+  // closed: requests pass. open: they fail at once until the cooldown ends. half-open: one
+  // trial request decides whether to close again or reopen.
+  function createCircuitBreaker({ threshold = DEFAULTS.breakerThreshold, cooldownMs = DEFAULTS.breakerCooldownMs, now = Date.now } = {}) {
+    let failures = 0;
+    let openedAt = null;
+    let trial = false;
+
+    const state = () => (openedAt === null ? 'closed' : now() - openedAt < cooldownMs ? 'open' : 'half-open');
+
+    function allow() {
+      const s = state();
+      if (s === 'closed') return true;
+      if (s === 'open' || trial) return false;
+      trial = true;
+      return true;
+    }
+    function success() {
+      failures = 0;
+      openedAt = null;
+      trial = false;
+    }
+    function failure() {
+      failures++;
+      if (trial || failures >= threshold) openedAt = now();
+      trial = false;
+    }
+    return {
+      allow,
+      success,
+      failure,
+      state,
+      status: () => ({ state: state(), failures, opened_at: openedAt && new Date(openedAt).toISOString() }),
+    };
+  }
+
+  // One limiter for everything, one breaker per upstream name. request(name, task) runs the
+  // async `task` (one HTTP request or page) with retries; it resolves to the task's value or
+  // rejects with the last error, annotated with { upstream, attempts, status, code }.
+  // `onAttempt(name)` runs before every attempt (usage accounting); `sleep` and `now` stand in
+  // for the timers and the clock in tests.
+  function createUpstream(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const limiter = createLimiter(opts.concurrency);
+    const breakers = new Map();
+    const breakerFor = (name) => {
+      if (!breakers.has(name)) breakers.set(name, createCircuitBreaker({ threshold: opts.breakerThreshold, cooldownMs: opts.breakerCooldownMs, now: opts.now }));
+      return breakers.get(name);
+    };
+    const wait = opts.sleep || sleep;
+
+    async function request(name, task, { onRetry } = {}) {
+      const breaker = breakerFor(name);
+      for (let attempt = 0; ; attempt++) {
+        if (!breaker.allow()) {
+          throw Object.assign(new Error(`${name}: circuit open after repeated failures`), {
+            upstream: name,
+            attempts: attempt,
+            code: 'circuit_open',
+            retryable: false,
+          });
+        }
+        try {
+          const value = await limiter.run(() => {
+            opts.onAttempt?.(name);
+            return task();
+          });
+          breaker.success();
+          return value;
+        } catch (err) {
+          const retryable = isRetryable(err);
+          // a plain 4xx means the upstream is up and answering
+          if (retryable) breaker.failure();
+          else breaker.success();
+          const { status, retryAfterMs } = describeError(err);
+          if (!retryable || attempt >= opts.retries || retryAfterMs > opts.maxRetryAfterMs) {
+            throw Object.assign(err instanceof Error ? err : new Error(String(err)), {
+              upstream: name,
+              attempts: attempt + 1,
+              status,
+              code: err?.code || (status ? `http_${status}` : 'network'),
+            });
+          }
+          const delay = retryAfterMs ?? backoffDelay(attempt, opts);
+          onRetry?.({ attempt: attempt + 1, delay, status, error: err?.message });
+          await wait(delay);
+        }
+      }
+    }
+
+    return {
+      request,
+      limiter,
+      status: () => Object.fromEntries([...breakers].map(([name, b]) => [name, b.status()])),
+    };
+  }
+
+  return {
+    DEFAULTS,
+    parseRetryAfter,
+    describeError,
+    isRetryable,
+    backoffDelay,
+    createLimiter,
+    createCircuitBreaker,
+    createUpstream,
+  };
+});
@@ -0,0 +1,197 @@
+// Linked-wallet clustering shared by the API server, the CLI and index.html: counterparty
+// tallies kept while activity is read, links between wallets that transfer to each other
+// repeatedly or were funded from the same address, and clusters of linked wallets whose
+// pooled activity gets one verdict. Loaded via require() / bundler import, or by index.html
+// via a plain <script> tag (exposed as window.WalletLinks).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WalletLinks = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const LINK_KINDS = ['transfers', 'funder'];
+
+  const LINK_DEFAULTS = {
+    minTransfers: 3, // direct transfers either way before two wallets count as linked
+    via: LINK_KINDS, // which kinds of link join a cluster
+    maxDiscovered: 5, // addresses outside the list fetched: shared funders to check, then candidate members
+    maxFunded: 10, // a funder that sent to more wallets than this is a hub (exchange, faucet) and links nothing
+  };
+
+  const COUNTERPARTY_LIMIT = 100; // tallies kept per address and chain (the funder always stays)
+
+  // Counterparties are { address: { sent, received, first_received } }: transfer counts each
+  // way and the time (epoch ms) of the earliest transfer received from that address
+  function addCounterparty(parties, counterparty, direction, ts) {
+    const p = (parties[counterparty] = parties[counterparty] || { sent: 0, received: 0, first_received: null });
+    if (direction === 'received') {
+      p.received++;
+      if (Number.isFinite(ts) && (p.first_received === null || ts < p.first_received)) p.first_received = ts;
+    } else {
+      p.sent++;
+    }
+    return parties;
+  }
+
+  // Adds the tallies of `from` into `into`; entries are copied rather than shared
+  function mergeCounterparties(into, from) {
+    for (const [address, p] of Object.entries(from || {})) {
+      const q = into[address];
+      const firsts = [q?.first_received, p.first_received].filter((t) => t !== null && t !== undefined);
+      into[address] = {
+        sent: (q?.sent || 0) + p.sent,
+        received: (q?.received || 0) + p.received,
+        first_received: firsts.length ? Math.min(...firsts) : null,
+      };
+    }
+    return into;
+  }
+
+  // The address behind the earliest transfer received in the history that was read
+  function funderOf(parties) {
+    let best = null;
+    for (const [address, p] of Object.entries(parties || {})) {
+      if (p.first_received !== null && p.first_received !== undefined && (!best || p.first_received < best.at)) best = { address, at: p.first_received };
+    }
+    return best ? best.address : null;
+  }
+
+  // The `limit` busiest counterparties, plus the funder
+  function pruneCounterparties(parties, limit = COUNTERPARTY_LIMIT) {
+    const entries = Object.entries(parties || {});
+    if (entries.length <= limit) return parties;
+    const funder = funderOf(parties);
+    const kept = entries.sort(([, a], [, b]) => b.sent + b.received - (a.sent + a.received)).slice(0, limit);
+    if (funder && !kept.some(([address]) => address === funder)) kept.push([funder, parties[funder]]);
+    return Object.fromEntries(kept);
+  }
+
+  const transfersWith = (parties, address) => (parties?.[address] ? parties[address].sent + parties[address].received : 0);
+
+  // How many wallets an address sent to, from its own counterparties (a lower bound once
+  // the tally was pruned)
+  const recipientCount = (parties) => Object.values(parties || {}).filter((p) => p.sent > 0).length;
+
+  // Funders outside `profiles` that first funded two or more of its wallets, most shared
+  // first: the ones worth checking before they link anything
+  function sharedFunders(profiles) {
+    const funded = {};
+    for (const [address, { counterparties }] of Object.entries(profiles)) {
+      const funder = funderOf(counterparties);
+      if (funder && !profiles[funder]) (funded[funder] = funded[funder] || []).push(address);
+    }
+    return Object.entries(funded)
+      .filter(([, wallets]) => wallets.length > 1)
+      .sort(([a, x], [b, y]) => y.length - x.length || a.localeCompare(b))
+      .map(([address]) => address);
+  }
+
+  // Links between the wallets in `profiles` ({ address: { counterparties } }, addresses
+  // normalized): "transfers" when they moved funds between each other at least `minTransfers`
+  // times (by the busier side's count, as either tally may have been capped), "funder" when
+  // one funded the other or both were first funded from the same address (outside `profiles`;
+  // a funder inside it is linked to both already). Exchanges and faucets fund countless
+  // unrelated wallets, so a shared funder only links when it funded at most `maxFunded` of
+  // `profiles` and passes `funderOk(address)` (e.g. a human-shaped history that sent to few
+  // wallets; see sharedFunders).
+  // Returns [{ source, target, kind, transfers | funder }], each pair once per kind.
+  function findLinks(profiles, { minTransfers = LINK_DEFAULTS.minTransfers, via = LINK_DEFAULTS.via, maxFunded = LINK_DEFAULTS.maxFunded, funderOk = () => true } = {}) {
+    const addresses = Object.keys(profiles).sort();
+    const funders = Object.fromEntries(addresses.map((a) => [a, funderOf(profiles[a].counterparties)]));
+    const fundedBy = {};
+    for (const f of Object.values(funders)) if (f) fundedBy[f] = (fundedBy[f] || 0) + 1;
+    const sharedOk = {};
+    const isSharedOk = (f) => (sharedOk[f] = sharedOk[f] ?? (fundedBy[f] <= maxFunded && !!funderOk(f)));
+    const links = [];
+    for (let i = 0; i < addresses.length; i++) {
+      for (let j = i + 1; j < addresses.length; j++) {
+        const [a, b] = [addresses[i], addresses[j]];
+        if (via.includes('transfers')) {
+          const transfers = Math.max(transfersWith(profiles[a].counterparties, b), transfersWith(profiles[b].counterparties, a));
+          if (transfers >= minTransfers) links.push({ source: a, target: b, kind: 'transfers', transfers });
+        }
+        if (via.includes('funder')) {
+          const shared = funders[a] && funders[a] === funders[b] && !profiles[funders[a]] && isSharedOk(funders[a]) ? funders[a] : null;
+          const funder = funders[a] === b ? b : funders[b] === a ? a : shared;
+          if (funder) links.push({ source: a, target: b, kind: 'funder', funder });
+        }
+      }
+    }
+    return links;
+  }
+
+  // Counterparties outside `profiles` with at least `minTransfers` transfers to or from one of
+  // its wallets, busiest first. Funders alone do not qualify: exchanges fund countless wallets.
+  function discoverCandidates(profiles, { minTransfers = LINK_DEFAULTS.minTransfers, limit = LINK_DEFAULTS.maxDiscovered } = {}) {
+    const best = {};
+    for (const { counterparties } of Object.values(profiles)) {
+      for (const address of Object.keys(counterparties || {})) {
+        if (profiles[address]) continue;
+        const transfers = transfersWith(counterparties, address);
+        if (transfers >= minTransfers && transfers > (best[address] || 0)) best[address] = transfers;
+      }
+    }
+    return Object.entries(best)
+      .sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+      .slice(0, limit)
+      .map(([address]) => address);
+  }
+
+  // Connected groups of two or more addresses (union-find over the links), largest first;
+  // members are sorted
+  function clusterAddresses(addresses, links) {
+    const parent = Object.fromEntries(addresses.map((a) => [a, a]));
+    const find = (a) => (parent[a] === a ? a : (parent[a] = find(parent[a])));
+    for (const { source, target } of links) {
+      if (parent[source] === undefined || parent[target] === undefined) continue;
+      parent[find(source)] = find(target);
+    }
+    const groups = {};
+    for (const a of addresses) (groups[find(a)] = groups[find(a)] || []).push(a);
+    return Object.values(groups)
+      .filter((g) => g.length > 1)
+      .map((g) => g.sort())
+      .sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+  }
+
+  // One cluster per linked group of `profiles` ({ address: { slots } }), with the links inside
+  // it and `infer(pooledSlots)`: the verdict over the members' combined activity.
+  // Returns [{ id, addresses, links, verdict }].
+  function buildClusters(profiles, links, { infer }) {
+    return clusterAddresses(Object.keys(profiles), links).map((addresses, i) => {
+      const pooled = {};
+      for (const a of addresses) for (const [slot, n] of Object.entries(profiles[a].slots || {})) pooled[slot] = (pooled[slot] || 0) + n;
+      const inside = new Set(addresses);
+      return {
+        id: `cluster-${i + 1}`,
+        addresses,
+        links: links.filter((l) => inside.has(l.source) && inside.has(l.target)),
+        verdict: infer(pooled),
+      };
+    });
+  }
+
+  // "3 transfers" / "same funder 0x1234…"
+  function describeLink(link) {
+    if (link.kind === 'transfers') return `${link.transfers} transfers`;
+    if (link.funder === link.source || link.funder === link.target) return `funded by ${link.funder.slice(0, 10)}…`;
+    return `same funder ${link.funder.slice(0, 10)}…`;
+  }
+
+  return {
+    LINK_KINDS,
+    LINK_DEFAULTS,
+    COUNTERPARTY_LIMIT,
+    addCounterparty,
+    mergeCounterparties,
+    funderOf,
+    pruneCounterparties,
+    recipientCount,
+    sharedFunders,
+    findLinks,
+    discoverCandidates,
+    clusterAddresses,
+    buildClusters,
+    describeLink,
+  };
+});
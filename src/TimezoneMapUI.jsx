@@ -1,9 +1,37 @@
-import React, { useEffect, useRef, useState } from 'react';
-import { detectTimezones } from './timezoneApi';
+import React, { useEffect, useReducer, useRef, useState } from 'react';
+import {
+  createJob,
+  fetchTimezoneGeometry,
+  getApiKey,
+  getJob,
+  getJobCohort,
+  getUsage,
+  resolveEns,
+  setApiKey,
+  streamJob,
+  watchlistApi,
+  workspaceApi,
+} from './timezoneApi';
+import { parseAddressList } from '../shared/addressImport';
+import { downloadText, resultsToCsv, resultsToJson, zonesToGeoJson } from '../shared/exporters';
+import { AWAKE_HOURS, SCALES, hourlyZoneActivity, isAwake, makeScale, nightPolygon } from '../shared/mapModes';
+import { describeEventTypes, formatVerdict, shiftHistogram, utcLabel } from '../shared/timezoneInference';
+import { describeLink } from '../shared/walletLinks';
+import {
+  AUTOSAVE_KEY,
+  createLocalWorkspaces,
+  createSession,
+  decodeSession,
+  encodeSession,
+  normalizeSession,
+  readShareParams,
+  shareUrl,
+} from '../shared/session';
 
 /**
  * Interactive UTC Timezones — React + Leaflet (no react-leaflet)
- * - Real IANA polygons from Timezone Boundary Builder (TzBB)
+ * - Real IANA polygons from Timezone Boundary Builder (TzBB), served by the API at three
+ *   levels of detail (npm run build:geo)
  * - Live UTC offsets via Intl.DateTimeFormat
  * - Fallback to Natural Earth TopoJSON, then to a tiny built-in polygon
  */
@@ -12,26 +40,11 @@ import { detectTimezones } from './timezoneApi';
 const getZoneName = (props = {}) =>
   props.tzid || props.TZID || props.time_zone || props.NAME || props.name || 'Timezone';
 
-const isEvm = (s) => /^(0x)[0-9a-fA-F]{40}$/.test(s);
-const isSol = (s) => /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(s); // rough base58
-export const parseAddresses = (text) => {
-  const parts = String(text || '')
-    .split(/[\s,;\n\r]+/)
-    .map((s) => s.trim())
-    .filter(Boolean);
-  const seen = new Set();
-  const out = [];
-  for (const addr of parts) {
-    let key = null;
-    if (isEvm(addr)) key = addr.toLowerCase();
-    else if (isSol(addr)) key = addr;
-    else continue;
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push(addr);
-  }
-  return out;
-};
+// Addresses only (no labels, no ENS) from pasted text; see parseAddressList for the full import
+export const parseAddresses = (text) =>
+  parseAddressList(text)
+    .entries.filter((e) => e.kind !== 'ens')
+    .map((e) => e.address);
 
 const pastelFromLabel = (label) => {
   let h = 0;
@@ -67,17 +80,287 @@ export function sanitizeFeatureCollection(fcIn) {
   }
 }
 
-// Toggle table rows with LIFO removal for same zone
-export const toggleRowsLifo = (prevRows, zoneLabel, { addressCount, sample, source }) => {
-  const idx = prevRows.findIndex((r) => r.zone === zoneLabel); // most recent at 0
-  if (idx === 0) return { rows: prevRows.slice(1), toggledOff: true };
-  if (idx > 0) return { rows: [...prevRows.slice(0, idx), ...prevRows.slice(idx + 1)], toggledOff: true };
-  const ts = new Date().toISOString();
+// Map/log zone a result is filed under
+const zoneOfResult = (r) => r.utc_label || r.tzid || r.zone || r.utc_zone;
+
+// "chain (provider): error" per chain that was not read in full, for tooltips
+const chainFailures = (r) =>
+  Object.entries(r?.chains || {})
+    .filter(([, c]) => c?.status && c.status !== 'ok')
+    .map(([chain, c]) => `${chain} (${c.provider || '?'}): ${c.status}, ${c.error}${c.retries ? ` after ${c.retries} retries` : ''}`)
+    .join('\n') || undefined;
+
+// Cluster members and links use normalized addresses (lowercase EVM)
+const linkKey = (a) => (/^0x/i.test(a) ? a.toLowerCase() : a);
+
+// Where a cluster member sits on the map: the middle of its inferred zone's polygon (its UTC
+// offset's meridian without one), nudged per address so wallets in one zone stay apart
+function clusterPoint(member, zoneLayers) {
+  const layer = member.tzid && zoneLayers[member.tzid];
+  const center = layer?.getBounds
+    ? layer.getBounds().getCenter()
+    : member.utc_offset_hours != null
+      ? { lat: 15, lng: member.utc_offset_hours * 15 }
+      : null;
+  if (!center) return null;
+  let h = 0;
+  for (let i = 0; i < member.address.length; i++) h = (h * 31 + member.address.charCodeAt(i)) >>> 0;
+  return [center.lat + ((h % 9) - 4) * 0.8, center.lng + ((Math.floor(h / 9) % 9) - 4) * 0.8];
+}
+
+// Which activity counts. The server default weighs owner-signed actions (send, call, swap,
+// approve, burn) fully and receives and mints at a tenth, since those follow the sender's clock.
+// "Owner-signed only" keeps untyped activity too: nothing says who signed it.
+const SIGNAL_PRESETS = {
+  weighted: { label: 'Owner-signed, receives ×0.1', options: {} },
+  signed: { label: 'Owner-signed only', options: { eventTypes: ['send', 'call', 'swap', 'approve', 'burn', 'unknown'] } },
+  all: { label: 'All activity equally', options: { typeWeights: { send: 1, call: 1, swap: 1, approve: 1, burn: 1, mint: 1, receive: 1, unknown: 1 } } },
+};
+
+// Click-log row. `origin` is the audit trail: 'manual' for map clicks, 'api' for rows a job
+// wrote (with its job_id). `source` is the polygon set that was clicked ('tzbb' | 'ne'), or 'api'.
+let rowSeq = 0;
+const rowId = () => `${Date.now().toString(36)}-${(rowSeq++).toString(36)}`;
+export const logRow = (zone, { origin = 'manual', source, addressCount, sample, jobId } = {}) => ({
+  id: rowId(),
+  ts: new Date().toISOString(),
+  zone,
+  origin,
+  source: source || (origin === 'api' ? 'api' : 'tzbb'),
+  address_count: addressCount || 0,
+  sample: sample || '',
+  job_id: jobId || null,
+  note: '',
+  tags: [],
+});
+
+// Rows saved before origins were recorded only had source 'api' to tell them apart
+export const rowOrigin = (row) => row.origin || (row.source === 'api' ? 'api' : 'manual');
+// ...and had no id, note or tags
+const upgradeRow = (row) => (row.id ? row : { note: '', tags: [], ...row, id: rowId(), origin: rowOrigin(row) });
+
+// Map click or pill "×" on a zone: selecting logs a manual row (most recent first); deselecting
+// drops the zone's latest manual row. `present` is { rows, selectedZones }.
+export const toggleZone = (present, zone, payload) => {
+  if (present.selectedZones.includes(zone)) {
+    const idx = present.rows.findIndex((r) => r.zone === zone && rowOrigin(r) === 'manual');
+    return {
+      selectedZones: present.selectedZones.filter((z) => z !== zone),
+      rows: idx < 0 ? present.rows : present.rows.filter((_, i) => i !== idx),
+    };
+  }
+  return { selectedZones: [zone, ...present.selectedZones], rows: [logRow(zone, payload), ...present.rows] };
+};
+
+// Undo/redo over the click log and zone selection. `do` records an action (skipped when its
+// update changes nothing); `live` folds job progress into the action that started the job;
+// `reset` loads a session and starts a fresh history. Past/future entries keep the action's
+// label and time, which the history panel lists.
+const HISTORY_LIMIT = 200;
+export const EMPTY_HISTORY = { past: [], present: { rows: [], selectedZones: [] }, future: [] };
+
+export function historyReducer(h, action) {
+  switch (action.type) {
+    case 'do': {
+      const next = action.update(h.present);
+      if (next === h.present) return h;
+      const entry = { state: h.present, label: action.label, at: new Date().toISOString() };
+      return { past: [...h.past, entry].slice(-HISTORY_LIMIT), present: next, future: [] };
+    }
+    case 'live':
+      return { ...h, present: action.update(h.present) };
+    case 'undo': {
+      const last = h.past[h.past.length - 1];
+      if (!last) return h;
+      return { past: h.past.slice(0, -1), present: last.state, future: [{ ...last, state: h.present }, ...h.future] };
+    }
+    case 'redo': {
+      const [next, ...rest] = h.future;
+      if (!next) return h;
+      return { past: [...h.past, { ...next, state: h.present }], present: next.state, future: rest };
+    }
+    case 'reset':
+      return { ...EMPTY_HISTORY, present: action.present };
+    default:
+      return h;
+  }
+}
+
+// Day-of-week x hour heatmap for a result's week_matrix ({ tz, days, counts })
+const WeekHeatmap = ({ matrix }) => {
+  const max = Math.max(1, ...matrix.counts.flat());
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '36px repeat(24, 1fr)', gap: 2, fontSize: 10, color: '#aab4d6' }}>
+      <span />
+      {Array.from({ length: 24 }, (_, h) => (
+        <span key={h} style={{ textAlign: 'center' }}>
+          {h % 3 === 0 ? h : ''}
+        </span>
+      ))}
+      {matrix.counts.map((row, d) => (
+        <React.Fragment key={matrix.days[d]}>
+          <span>{matrix.days[d]}</span>
+          {row.map((n, h) => (
+            <span
+              key={h}
+              title={`${matrix.days[d]} ${String(h).padStart(2, '0')}:00 · ${n}`}
+              style={{
+                height: 16,
+                borderRadius: 3,
+                background: n ? `hsl(225 90% ${80 - 50 * (n / max)}%)` : 'rgba(255,255,255,.04)',
+              }}
+            />
+          ))}
+        </React.Fragment>
+      ))}
+    </div>
+  );
+};
+
+const inWindow = (h, w) => !!w && h >= w[0] && h < w[1];
+
+// 24 bars in local time with the scorer's day (green) and night (blue) windows shaded
+const HourHistogram = ({ counts, offset, windows }) => {
+  const local = shiftHistogram(counts, offset);
+  const max = Math.max(1, ...local);
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(24, 1fr)', gap: 2, fontSize: 10, color: '#aab4d6' }}>
+      {local.map((n, h) => (
+        <div
+          key={h}
+          title={`${String(h).padStart(2, '0')}:00 local · ${Math.round(n * 10) / 10}`}
+          style={{
+            height: 120,
+            display: 'flex',
+            alignItems: 'flex-end',
+            borderRadius: 3,
+            background: inWindow(h, windows?.day)
+              ? 'rgba(99,230,190,.10)'
+              : inWindow(h, windows?.night)
+                ? 'rgba(145,167,255,.12)'
+                : 'transparent',
+          }}
+        >
+          <div style={{ width: '100%', height: `${(100 * n) / max}%`, borderRadius: 3, background: '#91a7ff' }} />
+        </div>
+      ))}
+      {local.map((_, h) => (
+        <span key={h} style={{ textAlign: 'center' }}>
+          {h % 3 === 0 ? h : ''}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+// An address's inferred offset over time (watchlist runs, rolling windows): one dot per
+// point (size by confidence), failed or unplaced points as red ticks along the bottom,
+// alerts as amber rings
+const OffsetTimeline = ({ points, alerts = [], width = 260, height = 56 }) => {
+  const offsetOf = (p) => p.standard_offset_hours ?? p.utc_offset_hours;
+  const placed = points.filter((p) => !p.error && offsetOf(p) != null);
+  if (!points.length) return <span style={{ color: '#aab4d6' }}>no runs yet</span>;
+  const times = points.map((p) => Date.parse(p.at));
+  const t0 = Math.min(...times);
+  const t1 = Math.max(...times);
+  const offsets = placed.map(offsetOf);
+  const lo = Math.min(...offsets, 0) - 1;
+  const hi = Math.max(...offsets, 0) + 1;
+  const x = (p) => (t1 === t0 ? width / 2 : 6 + ((Date.parse(p.at) - t0) / (t1 - t0)) * (width - 12));
+  const y = (o) => height - 6 - ((o - lo) / (hi - lo)) * (height - 12);
+  const alertAt = new Set(alerts.map((a) => a.at));
+  return (
+    <svg width={width} height={height} style={{ display: 'block', background: 'rgba(255,255,255,.03)', borderRadius: 6 }}>
+      <line x1={0} x2={width} y1={y(0)} y2={y(0)} stroke="rgba(255,255,255,.12)" strokeDasharray="2 3" />
+      <polyline fill="none" stroke="#91a7ff" strokeWidth={1.2} points={placed.map((p) => `${x(p)},${y(offsetOf(p))}`).join(' ')} />
+      {points.map((p, i) =>
+        placed.includes(p) ? (
+          <circle
+            key={i}
+            cx={x(p)}
+            cy={y(offsetOf(p))}
+            r={2 + 3 * (p.confidence ?? 0)}
+            fill={p.fetch_status === 'partial' ? '#ffd43b' : '#63e6be'}
+            stroke={alertAt.has(p.at) ? '#ff922b' : 'none'}
+            strokeWidth={2}
+          >
+            <title>{`${p.at.slice(0, 16).replace('T', ' ')} · ${utcLabel(offsetOf(p))}${p.tzid ? ` ${p.tzid}` : ''} (${(p.confidence ?? 0).toFixed(2)})${p.fetch_status === 'partial' ? ' · partial data' : ''}`}</title>
+          </circle>
+        ) : (
+          <line key={i} x1={x(p)} x2={x(p)} y1={height - 4} y2={height} stroke="#ff6b6b" strokeWidth={2}>
+            <title>{`${p.at.slice(0, 16).replace('T', ' ')} · ${p.error || p.classification || 'no verdict'}`}</title>
+          </line>
+        )
+      )}
+    </svg>
+  );
+};
+
+// Members of a linked-wallet cluster with their own verdicts, the links between them and the
+// verdict over their pooled activity
+const ClusterPanel = ({ cluster, labels, selected, onSelect }) => {
+  const short = (a) => `${a.slice(0, 8)}…`;
+  return (
+    <>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, margin: '14px 0 8px', fontSize: 12, color: '#aab4d6' }}>
+        <span style={{ fontWeight: 700, color: '#c9d2ff' }}>Linked wallets</span>
+        <span>
+          {cluster.id} · {cluster.members.length} wallets · pooled {formatVerdict(cluster.verdict) || 'no verdict'} over{' '}
+          {cluster.verdict.weighted_events} weighted events
+        </span>
+      </div>
+      <div style={{ fontSize: 12 }}>
+        {cluster.members.map((m) => (
+          <div
+            key={m.address}
+            onClick={() => onSelect(m.address)}
+            style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              gap: 8,
+              padding: '3px 6px',
+              borderRadius: 6,
+              cursor: m.discovered ? 'default' : 'pointer',
+              background: m.address === selected ? 'rgba(255,255,255,.08)' : 'transparent',
+            }}
+          >
+            <span style={{ fontFamily: 'ui-monospace, monospace', color: '#b9c3e6' }}>
+              {m.address.slice(0, 12)}…{labels[m.address] && <span style={{ fontFamily: 'inherit', color: '#91a7ff' }}> {labels[m.address]}</span>}
+              {m.discovered && <span style={{ fontFamily: 'inherit', color: '#aab4d6' }}> discovered</span>}
+            </span>
+            <span style={{ color: '#63e6be' }}>{formatVerdict(m) || '—'}</span>
+          </div>
+        ))}
+        <div style={{ color: '#aab4d6', marginTop: 6 }}>
+          {cluster.links.map((l) => `${short(l.source)} – ${short(l.target)}: ${describeLink(l)}`).join(' · ')}
+        </div>
+      </div>
+    </>
+  );
+};
+
+// Rolling-window presets for the per-address timeline: "window/step" in days
+const TIMELINE_PRESETS = [
+  ['', 'No timeline'],
+  ['30/7', '30-day windows, weekly'],
+  ['90/30', '90-day windows, monthly'],
+  ['365/90', '1-year windows, quarterly'],
+];
+
+// Inference options for a date range (inclusive days, as the date inputs show them) and a
+// timeline preset
+function rangeOptions({ from, to }, preset) {
+  const [windowDays, stepDays] = preset ? preset.split('/').map(Number) : [];
   return {
-    rows: [{ ts, zone: zoneLabel, source: source || 'tzbb', address_count: addressCount || 0, sample: sample || '' }, ...prevRows],
-    toggledOff: false,
+    from: from || undefined,
+    to: to ? new Date(Date.parse(to) + 24 * 3600 * 1000).toISOString().slice(0, 10) : undefined, // API `to` is exclusive
+    timeline: preset ? { window_days: windowDays, step_days: stepDays } : undefined,
   };
-};
+}
+
+// "UTC+1 2023-01 → 2023-12 · UTC+8 2025-02 → 2025-10"
+const describeSegments = (segments) =>
+  segments.map((s) => `${s.utc_label} ${s.from.slice(0, 7)} → ${s.to.slice(0, 7)}`).join(' · ');
 
 // Built-in tiny polygon fallback
 const FALLBACK_FC = {
@@ -109,13 +392,56 @@ function currentOffsetLabel(tzid, when = new Date()) {
   }
 }
 
+// Live offset of an IANA tzid in hours (5.5 for Asia/Kolkata)
+function liveOffsetHours(tzid) {
+  const m = currentOffsetLabel(tzid).match(/UTC([+-])(\d{2}):(\d{2})/);
+  return m ? (m[1] === '-' ? -1 : 1) * (Number(m[2]) + Number(m[3]) / 60) : 0;
+}
+
+// Fill for the map modes: with a cohort weight map ({ offsetHours: weight }) every zone is
+// shaded by the weight at its live offset; with { values: { offsetHours: n }, scale } by the
+// scale's class for its offset
+const cohortShade = (cohortWeights) => (tzid) => {
+  const w = cohortWeights[Math.round(liveOffsetHours(tzid))] || 0;
+  return { fillColor: '#63e6be', fillOpacity: 0.75 * w };
+};
+const scaleShade = ({ values, scale }) => (tzid) => {
+  const fill = scale.color(values[liveOffsetHours(tzid)]);
+  return fill ? { fillColor: fill, fillOpacity: 0.75 } : null;
+};
+
+// Polygon style: selected zones in their pastel; with a `shade` (tzid -> fill or null) from
+// the active map mode, every zone filled by it
+const zoneStyle = (tzid, selected, shade) => {
+  const color = pastelFromLabel(tzid);
+  if (shade) {
+    return {
+      color: selected ? color : '#6072a6',
+      weight: selected ? 2 : 1,
+      fillColor: 'transparent',
+      fillOpacity: 0,
+      ...shade(tzid),
+    };
+  }
+  return {
+    color: selected ? color : '#6072a6',
+    weight: selected ? 2 : 1,
+    fillColor: selected ? color : 'transparent',
+    fillOpacity: selected ? 0.6 : 0,
+  };
+};
+
 // ---------- Component ----------
 export default function TimezoneMapUI() {
   const mapEl = useRef(null);
   const mapRef = useRef(null);
   const tzLayerRef = useRef(null);
+  const linkLayerRef = useRef(null); // linked-wallet clusters drawn over the zones
 
-  const [selectedZones, setSelectedZones] = useState([]); // labels (tzid)
+  // click log + zone selection (labels / tzids), with undo/redo
+  const [history, dispatchHistory] = useReducer(historyReducer, EMPTY_HISTORY);
+  const { rows, selectedZones } = history.present;
+  const record = (label, update) => dispatchHistory({ type: 'do', label, update });
   const selectedZonesRef = useRef(selectedZones);
   useEffect(() => {
     selectedZonesRef.current = selectedZones;
@@ -123,9 +449,19 @@ export default function TimezoneMapUI() {
 
   const [addresses, setAddresses] = useState([]);
   const [addressInput, setAddressInput] = useState('');
-  const [rows, setRows] = useState([]);
+  const [labels, setLabels] = useState({}); // address -> label/tag from the imported list
+  const [rejected, setRejected] = useState([]); // [{ line, text, reason }] from the last import
+  const [importFormat, setImportFormat] = useState('');
+  const [dragOver, setDragOver] = useState(false);
+  const [logFilter, setLogFilter] = useState(''); // text over zone, note, tags and addresses
+  const [originFilter, setOriginFilter] = useState('all'); // 'all' | 'manual' | 'api'
+  const [logSort, setLogSort] = useState({ key: 'ts', dir: -1 });
   const [status, setStatus] = useState('');
   const [loading, setLoading] = useState(false);
+  const [geoLod, setGeoLod] = useState('medium'); // level of detail of the bundled polygons
+  const [geoSource, setGeoSource] = useState(''); // 'tzbb' | 'ne' | 'fallback'
+  const geoSourceRef = useRef(geoSource);
+  geoSourceRef.current = geoSource;
   const [detecting, setDetecting] = useState(false);
   const [detectError, setDetectError] = useState('');
   const [zoneAddresses, setZoneAddresses] = useState({});
@@ -133,9 +469,111 @@ export default function TimezoneMapUI() {
   useEffect(() => {
     zoneAddressesRef.current = zoneAddresses;
   }, [zoneAddresses]);
+  const resultsByAddressRef = useRef({});
+  const [addressResults, setAddressResults] = useState({});
+  const [progress, setProgress] = useState(null); // { completed, total } of the running/last job
+  const [selectedAddress, setSelectedAddress] = useState(null);
+  const [cohort, setCohort] = useState(null); // /api/jobs/:id/cohort of the last job
+  const [shadeByCohort, setShadeByCohort] = useState(false);
+  // offset -> weight relative to the heaviest offset, for map shading
+  const cohortWeights =
+    shadeByCohort && cohort?.wallets
+      ? (() => {
+          const max = Math.max(...cohort.distribution.map((d) => d.weight)) || 1;
+          return Object.fromEntries(cohort.distribution.map((d) => [d.offset, d.weight / max]));
+        })()
+      : null;
+  // Map mode: 'selection' (pastel fill of selected zones, or cohort shading), 'choropleth'
+  // (detected wallets per offset), 'hourly' (share of activity per UTC hour, animated) or
+  // 'daynight' (wallets awake now, under the live terminator)
+  const [mapMode, setMapMode] = useState('selection');
+  const [scaleType, setScaleType] = useState('quantile');
+  const [hour, setHour] = useState(() => new Date().getUTCHours());
+  const [playing, setPlaying] = useState(false);
+  const [now, setNow] = useState(() => new Date());
+  const nightLayerRef = useRef(null);
+
+  // Sessions: restored from a share link or the last autosave; read-only for shared views
+  const shareParams = useRef(readShareParams(window.location)).current;
+  const localWorkspaces = useRef(createLocalWorkspaces(window.localStorage)).current;
+  const [readOnly, setReadOnly] = useState(shareParams.readOnly);
+  const readOnlyRef = useRef(readOnly);
+  readOnlyRef.current = readOnly;
+  const [sessionName, setSessionName] = useState('');
+  const [serverWorkspace, setServerWorkspace] = useState(null); // { id, name, share_id } once saved there
+  const [savedLocal, setSavedLocal] = useState(() => localWorkspaces.list());
+  const [savedServer, setSavedServer] = useState(null); // null until the server answers
+  const [sessionMsg, setSessionMsg] = useState('');
+  const [viewTick, setViewTick] = useState(0); // bumps on map moves so the viewport autosaves
+  const restoredRef = useRef(false);
+  const pendingViewportRef = useRef(null); // viewport to apply once the map exists
+  // API key for servers that require one, and what it has used today
+  const [apiKey, setApiKeyState] = useState(getApiKey);
+  const [usage, setUsage] = useState(null);
+  // Server watchlists (null until the server answers) and the one opened under the map
+  const [watchlists, setWatchlists] = useState(null);
+  const [watchInterval, setWatchInterval] = useState(24 * 60);
+  const [watchWebhook, setWatchWebhook] = useState('');
+  const [activeWatch, setActiveWatch] = useState(null);
+  const [watchMsg, setWatchMsg] = useState('');
+  const [dateRange, setDateRange] = useState({ from: '', to: '' }); // YYYY-MM-DD, both inclusive
+  const [timelinePreset, setTimelinePreset] = useState(''); // see TIMELINE_PRESETS
+  const [signal, setSignal] = useState('weighted'); // see SIGNAL_PRESETS
+  const [linkWallets, setLinkWallets] = useState(false); // cluster linked wallets (link_wallets)
+  // detected (human) wallets grouped by inferred offset
+  const offsetAddresses = {};
+  for (const r of Object.values(addressResults)) {
+    if (r.error || (r.classification && r.classification !== 'human') || r.utc_offset_hours == null) continue;
+    (offsetAddresses[r.utc_offset_hours] = offsetAddresses[r.utc_offset_hours] || []).push(r.address);
+  }
+  const hourly = mapMode === 'hourly' ? hourlyZoneActivity(offsetAddresses, addressResults) : null;
+  const awake =
+    mapMode === 'daynight'
+      ? Object.fromEntries(
+          Object.entries(offsetAddresses).map(([o, addrs]) => [o, addrs.filter((a) => isAwake(addressResults[a], now)).length])
+        )
+      : null;
+  const modeValues =
+    mapMode === 'choropleth'
+      ? Object.fromEntries(Object.entries(offsetAddresses).map(([o, addrs]) => [o, addrs.length]))
+      : mapMode === 'hourly'
+        ? hourly.hours[hour]
+        : awake;
+  // hourly frames share one scale so the animation compares like with like
+  const modeScale = modeValues
+    ? makeScale(mapMode === 'hourly' ? hourly.hours.flatMap(Object.values) : Object.values(modeValues), { scale: scaleType })
+    : null;
+  const shade = modeScale ? scaleShade({ values: modeValues, scale: modeScale }) : cohortWeights ? cohortShade(cohortWeights) : null;
+  const shadeRef = useRef(shade);
+  shadeRef.current = shade;
+  const [previewOffset, setPreviewOffset] = useState(0); // drill-down slider, starts at the inferred offset
+  useEffect(() => {
+    setPreviewOffset(resultsByAddressRef.current[selectedAddress]?.utc_offset_hours ?? 0);
+  }, [selectedAddress]);
+  // "2 bot · 1 exchange" for wallets left off the map
+  const flaggedSummary = Object.entries(
+    Object.values(addressResults).reduce((acc, r) => {
+      if (r.classification && r.classification !== 'human') acc[r.classification] = (acc[r.classification] || 0) + 1;
+      return acc;
+    }, {})
+  )
+    .map(([c, n]) => `${n} ${c}`)
+    .join(' · ');
+
+  // Zone name, live offset, address count and up to three per-address verdicts
+  const zoneTooltip = (tzid) => {
+    const addrs = zoneAddressesRef.current[tzid] || [];
+    const lines = addrs
+      .slice(0, 3)
+      .map((a) => {
+        const r = resultsByAddressRef.current[a];
+        return `${r?.label ? `${r.label} · ` : ''}${a.slice(0, 10)}… ${formatVerdict(r)}`;
+      });
+    if (addrs.length > 3) lines.push(`+${addrs.length - 3} more`);
+    return [`${tzid} · ${currentOffsetLabel(tzid)} · ${addrs.length}`, ...lines].join('<br/>');
+  };
 
-  // 1) Preferred: TzBB (IANA) GeoJSON you host
-  const TZBB_GEOJSON_URL = 'https://YOUR-HOST/path/timezones-now.geojson'; // <-- TODO: set me
+  // 1) Preferred: TzBB (IANA) TopoJSON bundled with the API server (GET /api/geo/timezones)
   // 2) Fallback: Natural Earth TopoJSON (older, offset-based)
   const NE_TOPO_URL =
     'https://gist.githubusercontent.com/tschaub/cc70281ce4df5358eac38b34409b9ef9/raw/d152ba9e83d7733d9fb5f37f52202c0fcead834a/timezones.json';
@@ -199,12 +637,22 @@ export default function TimezoneMapUI() {
         }).addTo(mapRef.current);
 
         // Load IANA polygons (TzBB). If it fails, fallback to Natural Earth.
-        await loadZonesPreferTzbb();
+        await loadZonesPreferTzbb(geoLod);
         renderZones();
 
         mapRef.current.on('click', (e) => {
-          if (!e.originalEvent.target.closest?.('.leaflet-interactive')) setSelectedZones([]);
+          if (!readOnlyRef.current && !e.originalEvent.target.closest?.('.leaflet-interactive'))
+            dispatchHistory({
+              type: 'do',
+              label: 'clear selection',
+              update: (p) => (p.selectedZones.length ? { ...p, selectedZones: [] } : p),
+            });
         });
+        mapRef.current.on('moveend', () => setViewTick((t) => t + 1));
+        if (pendingViewportRef.current) {
+          mapRef.current.setView(pendingViewportRef.current.center, pendingViewportRef.current.zoom);
+          pendingViewportRef.current = null;
+        }
       } catch (err) {
         console.error(err);
         setStatus(err.message || String(err));
@@ -227,21 +675,41 @@ export default function TimezoneMapUI() {
       tzLayerRef.current.eachLayer((layer) => {
         const feature = layer.feature || {};
         const tzid = getZoneName(feature.properties || {});
-        const selected = selectedZones.includes(tzid);
-        const color = pastelFromLabel(tzid);
-        layer.setStyle({
-          fillColor: selected ? color : 'transparent',
-          fillOpacity: selected ? 0.6 : 0,
-          color: selected ? color : '#6072a6',
-          weight: selected ? 2 : 1,
-        });
-        layer.bindTooltip(
-          `${tzid} · ${currentOffsetLabel(tzid)} · ${zoneAddressesRef.current[tzid]?.length || 0}`,
-          { sticky: true, direction: 'top' }
-        );
+        layer.setStyle(zoneStyle(tzid, selectedZones.includes(tzid), shade));
+        layer.bindTooltip(zoneTooltip(tzid), { sticky: true, direction: 'top' });
       });
     } catch {}
-  }, [selectedZones]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedZones, zoneAddresses, cohort, shadeByCohort, mapMode, scaleType, hour, now]);
+
+  // Hour-of-day animation: one UTC hour per step
+  useEffect(() => {
+    if (!playing || mapMode !== 'hourly') return;
+    const timer = setInterval(() => setHour((h) => (h + 1) % 24), 700);
+    return () => clearInterval(timer);
+  }, [playing, mapMode]);
+
+  // Day/night: redraw the terminator (and who is awake) every minute
+  useEffect(() => {
+    const L = window.L;
+    if (nightLayerRef.current) {
+      nightLayerRef.current.remove();
+      nightLayerRef.current = null;
+    }
+    if (mapMode !== 'daynight' || !L || !mapRef.current) return;
+    nightLayerRef.current = L.geoJSON(nightPolygon(now), {
+      interactive: false,
+      style: { stroke: false, fillColor: '#050814', fillOpacity: 0.45 },
+    }).addTo(mapRef.current);
+    const timer = setTimeout(() => setNow(new Date()), 60_000);
+    return () => clearTimeout(timer);
+  }, [mapMode, now]);
+
+  // Switch level of detail once the map is up (the initial load happens with the map)
+  useEffect(() => {
+    if (mapRef.current) loadZonesPreferTzbb(geoLod);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [geoLod]);
 
   // Re-render layer when data changes
   useEffect(() => {
@@ -249,22 +717,63 @@ export default function TimezoneMapUI() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [geoData]);
 
-  // Load zones: try TzBB, else NE
-  async function loadZonesPreferTzbb() {
+  // Linked-wallet clusters: a line per link between members (dashed for shared funders) and a
+  // dot per member (hollow for wallets discovered outside the list)
+  useEffect(() => {
+    const L = window.L;
+    if (linkLayerRef.current) {
+      linkLayerRef.current.remove();
+      linkLayerRef.current = null;
+    }
+    const clusters = [
+      ...new Map(
+        Object.values(addressResults)
+          .filter((r) => r.cluster)
+          .map((r) => [r.cluster.id, r.cluster])
+      ).values(),
+    ];
+    if (!L || !mapRef.current || !clusters.length) return;
+    const zoneLayers = {};
+    tzLayerRef.current?.eachLayer((layer) => {
+      zoneLayers[getZoneName(layer.feature?.properties || {})] = layer;
+    });
+    const group = L.layerGroup();
+    for (const c of clusters) {
+      const color = pastelFromLabel(c.id);
+      const active = c.members.some((m) => m.address === selectedAddress);
+      const points = Object.fromEntries(c.members.map((m) => [linkKey(m.address), clusterPoint(m, zoneLayers)]));
+      for (const link of c.links) {
+        const [a, b] = [points[link.source], points[link.target]];
+        if (!a || !b) continue;
+        L.polyline([a, b], { color, weight: active ? 3 : 1.5, opacity: 0.9, dashArray: link.kind === 'funder' ? '4 4' : null })
+          .bindTooltip(`${c.id} · ${describeLink(link)}`, { sticky: true })
+          .addTo(group);
+      }
+      for (const m of c.members) {
+        const p = points[linkKey(m.address)];
+        if (!p) continue;
+        const name = `${labels[m.address] ? `${labels[m.address]} · ` : ''}${m.address.slice(0, 10)}…${m.discovered ? ' (discovered)' : ''}`;
+        L.circleMarker(p, { radius: active ? 6 : 4, color, weight: 2, fillColor: color, fillOpacity: m.discovered ? 0 : 0.9 })
+          .bindTooltip(`${name} ${formatVerdict(m)}<br/>${c.id} · ${c.members.length} wallets · pooled ${formatVerdict(c.verdict) || 'no verdict'}`)
+          .on('click', () => !m.discovered && setSelectedAddress(m.address))
+          .addTo(group);
+      }
+    }
+    linkLayerRef.current = group.addTo(mapRef.current);
+  }, [addressResults, geoData, selectedAddress, labels]);
+
+  // Load zones: try the bundled TzBB polygons, else NE
+  async function loadZonesPreferTzbb(lod) {
     setLoading(true);
     try {
-      // Try TzBB (already GeoJSON)
-      if (TZBB_GEOJSON_URL && !TZBB_GEOJSON_URL.includes('YOUR-HOST')) {
-        const r = await fetch(TZBB_GEOJSON_URL, { cache: 'reload' });
-        if (!r.ok) throw new Error(`TzBB GeoJSON HTTP ${r.status}`);
-        const fc = await r.json();
-        const sanitized = sanitizeFeatureCollection(fc);
-        if (!sanitized) throw new Error('TzBB data invalid FeatureCollection');
-        setGeoData(sanitized);
-        setStatus(`Loaded ${sanitized.features?.length ?? 0} IANA zones (live offsets).`);
-        return;
-      }
-      throw new Error('TzBB URL not set');
+      await loadScript('https://unpkg.com/topojson-client@3.1.0/dist/topojson-client.min.js');
+      const { topo, version } = await fetchTimezoneGeometry(lod);
+      if (!topo?.objects?.timezones) throw new Error('TzBB TopoJSON: no "timezones" object');
+      const sanitized = sanitizeFeatureCollection(window.topojson.feature(topo, topo.objects.timezones));
+      if (!sanitized) throw new Error('TzBB data invalid FeatureCollection');
+      setGeoData(sanitized);
+      setGeoSource('tzbb');
+      setStatus(`Loaded ${sanitized.features?.length ?? 0} IANA zones (live offsets) · ${version} · ${lod} detail`);
     } catch (tzErr) {
       console.warn('TzBB load failed → fallback to Natural Earth', tzErr);
       try {
@@ -280,10 +789,12 @@ export default function TimezoneMapUI() {
         const sanitized = sanitizeFeatureCollection(fc);
         if (!sanitized) throw new Error('Converted NE data invalid FeatureCollection');
         setGeoData(sanitized);
+        setGeoSource('ne');
         setStatus(`Loaded ${sanitized.features?.length ?? 0} (Natural Earth fallback). Offsets may be approximate.`);
       } catch (neErr) {
         console.error(neErr);
         setGeoData(FALLBACK_FC);
+        setGeoSource('fallback');
         setStatus(`All data loads failed — showing tiny fallback polygon.`);
       }
     } finally {
@@ -304,35 +815,25 @@ export default function TimezoneMapUI() {
 
     const style = (feature) => {
       const tzid = getZoneName(feature?.properties || {});
-      const selected = selectedZonesRef.current.includes(tzid);
-      const color = pastelFromLabel(tzid);
-      return {
-        color: selected ? color : '#6072a6',
-        weight: selected ? 2 : 1,
-        fillColor: selected ? color : 'transparent',
-        fillOpacity: selected ? 0.6 : 0,
-      };
+      return zoneStyle(tzid, selectedZonesRef.current.includes(tzid), shadeRef.current);
     };
 
     const onEachFeature = (feature, layer) => {
       const tzid = getZoneName(feature?.properties || {});
-      layer.bindTooltip(
-        `${tzid} · ${currentOffsetLabel(tzid)} · ${zoneAddressesRef.current[tzid]?.length || 0}`,
-        { sticky: true, direction: 'top' }
-      );
+      layer.bindTooltip(zoneTooltip(tzid), { sticky: true, direction: 'top' });
       layer.on('click', () => {
-        setSelectedZones((prev) => {
-          const already = prev.includes(tzid);
-          setRows((prevRows) =>
-            toggleRowsLifo(prevRows, tzid, {
-              addressCount: zoneAddressesRef.current[tzid]?.length || 0,
-              sample: (zoneAddressesRef.current[tzid] || []).join(' | '),
-              source:
-                TZBB_GEOJSON_URL && !TZBB_GEOJSON_URL.includes('YOUR-HOST') ? 'tzbb' : 'ne',
-            }).rows
-          );
-          return already ? prev.filter((z) => z !== tzid) : [tzid, ...prev];
-        });
+        // shared read-only views can look around but not change the selection or log
+        if (!readOnlyRef.current)
+          dispatchHistory({
+            type: 'do',
+            label: `${selectedZonesRef.current.includes(tzid) ? 'deselect' : 'select'} ${tzid}`,
+            update: (p) =>
+              toggleZone(p, tzid, {
+                addressCount: zoneAddressesRef.current[tzid]?.length || 0,
+                sample: (zoneAddressesRef.current[tzid] || []).join(' | '),
+                source: geoSourceRef.current,
+              }),
+          });
         try {
           if (layer.getBounds) mapRef.current.fitBounds(layer.getBounds(), { padding: [20, 20] });
         } catch {}
@@ -342,44 +843,498 @@ export default function TimezoneMapUI() {
     tzLayerRef.current = L.geoJSON(geoData, { style, onEachFeature }).addTo(mapRef.current);
   }
 
+  // Runs a batch job and fills in the map and log as each address comes back
   async function handleDetect(addrList = addresses) {
     if (!addrList.length) return;
     setDetecting(true);
     setDetectError('');
-    try {
-      const res = await detectTimezones(addrList);
-      const zoneMap = {};
-      for (const r of Array.isArray(res) ? res : []) {
-        const z = r.utc_label || r.tzid || r.zone || r.utc_zone;
-        if (!z) continue;
-        (zoneMap[z] = zoneMap[z] || []).push(r.address);
-      }
+    setProgress({ completed: 0, total: addrList.length });
+    setAddressResults({});
+    setSelectedAddress(null);
+    setCohort(null);
+    const zoneMap = {};
+    const byAddress = {};
+    let jobId = null;
+
+    // one undoable step for the whole run; results stream into it. Manual rows and earlier
+    // runs' rows stay in the log; this job's rows are kept up to date (notes and tags survive).
+    record(`run ${addrList.length} address${addrList.length === 1 ? '' : 'es'}`, (p) => ({ ...p }));
+    const publish = (completed, total) => {
       const zones = Object.keys(zoneMap);
-      if (!zones.length) throw new Error('No timezone returned');
-      setZoneAddresses(zoneMap);
-      setSelectedZones(zones);
-      setRows(() => {
-        let rows = [];
-        for (const z of zones) {
-          rows = toggleRowsLifo(rows, z, {
-            addressCount: zoneMap[z].length,
-            sample: zoneMap[z].join(' | '),
-            source: 'api',
-          }).rows;
-        }
-        return rows;
+      resultsByAddressRef.current = { ...byAddress };
+      setAddressResults({ ...byAddress });
+      setProgress({ completed, total });
+      setZoneAddresses(Object.fromEntries(zones.map((z) => [z, [...zoneMap[z]]])));
+      dispatchHistory({
+        type: 'live',
+        update: (p) => {
+          const jobRows = zones.map((z) => {
+            const fields = { address_count: zoneMap[z].length, sample: zoneMap[z].join(' | ') };
+            const prior = p.rows.find((r) => r.job_id === jobId && r.zone === z);
+            return prior ? { ...prior, ...fields } : logRow(z, { origin: 'api', jobId, addressCount: fields.address_count, sample: fields.sample });
+          });
+          return { selectedZones: zones, rows: [...jobRows, ...p.rows.filter((r) => r.job_id !== jobId)] };
+        },
+      });
+    };
+    const apply = (r) => {
+      if (labels[r.address]) r = { ...r, label: labels[r.address] };
+      byAddress[r.address] = r;
+      const z = zoneOfResult(r);
+      if (z) (zoneMap[z] = zoneMap[z] || []).push(r.address);
+    };
+
+    try {
+      const job = await createJob(addrList, {
+        ...rangeOptions(dateRange, timelinePreset),
+        ...SIGNAL_PRESETS[signal].options,
+        linkWallets: linkWallets || undefined,
+      });
+      jobId = job.id;
+      await new Promise((resolve, reject) => {
+        streamJob(job.id, {
+          onSnapshot: (snap) => {
+            snap.results.forEach(apply);
+            publish(snap.completed, snap.total);
+          },
+          onResult: ({ result, completed, total }) => {
+            apply(result);
+            publish(completed, total);
+          },
+          onDone: (final) => (final.status === 'failed' ? reject(new Error(final.error || 'Job failed')) : resolve()),
+          onError: reject,
+        });
       });
+      if (linkWallets) {
+        // clusters are added to the results once the whole job is in
+        const final = await getJob(job.id);
+        for (const r of final.results) if (byAddress[r.address]) byAddress[r.address] = { ...byAddress[r.address], cluster: r.cluster };
+        publish(final.completed, final.total);
+      }
+      setCohort((await getJobCohort(job.id)).cohort);
+      const all = Object.values(byAddress);
+      if (!Object.keys(zoneMap).length) {
+        const flagged = all.some((r) => r.classification && r.classification !== 'human');
+        if (all.length && all.every((r) => r.fetch_status === 'failed')) throw new Error(`Activity fetch failed for every address (${all[0].error})`);
+        throw new Error(flagged ? 'No attributable wallets (all flagged)' : 'No timezone returned');
+      }
+      const failed = all.filter((r) => r.fetch_status === 'failed').length;
+      const partial = all.filter((r) => r.fetch_status === 'partial').length;
+      if (failed || partial) {
+        setDetectError(
+          [failed && `${failed} address${failed === 1 ? '' : 'es'} could not be fetched`, partial && `${partial} with partial data`]
+            .filter(Boolean)
+            .join('; ') + '. Hover a result for the chains that failed.'
+        );
+      }
     } catch (err) {
       console.error(err);
       setDetectError(err.message || 'Timezone detection failed');
     } finally {
       setDetecting(false);
+      refreshUsage();
+    }
+  }
+
+  function refreshUsage() {
+    if (!getApiKey()) return setUsage(null);
+    getUsage()
+      .then(setUsage)
+      .catch(() => setUsage(null));
+  }
+
+  function changeApiKey(key) {
+    setApiKeyState(key);
+    setApiKey(key);
+  }
+
+  // List server workspaces and the key's usage, again whenever the key changes (once typing pauses)
+  useEffect(() => {
+    const t = setTimeout(() => {
+      refreshUsage();
+      refreshWatchlists();
+      workspaceApi
+        .list()
+        .then(setSavedServer)
+        .catch(() => setSavedServer(null));
+    }, 600);
+    return () => clearTimeout(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [apiKey]);
+
+  // ---------- watchlists ----------
+  function refreshWatchlists() {
+    return watchlistApi
+      .list()
+      .then(setWatchlists)
+      .catch(() => setWatchlists(null));
+  }
+
+  async function openWatchlist(id) {
+    try {
+      setActiveWatch(await watchlistApi.get(id));
+    } catch (err) {
+      setWatchMsg(`Could not open the watchlist: ${err.message}`);
+    }
+  }
+
+  // Watch the current address list under the session name
+  async function createWatchlist() {
+    const name = sessionName.trim() || `Watchlist ${new Date().toISOString().slice(0, 10)}`;
+    try {
+      const wl = await watchlistApi.create({
+        name,
+        addresses,
+        labels,
+        interval_minutes: watchInterval,
+        webhook_url: watchWebhook.trim() || null,
+      });
+      setWatchMsg(`Watching ${wl.address_count} address${wl.address_count === 1 ? '' : 'es'} as "${wl.name}".`);
+      await refreshWatchlists();
+      await openWatchlist(wl.id);
+    } catch (err) {
+      setWatchMsg(`Not created: ${err.message}`);
+    }
+  }
+
+  async function runWatchlistNow(id) {
+    try {
+      await watchlistApi.run(id);
+      await openWatchlist(id);
+    } catch (err) {
+      setWatchMsg(`Could not start a run: ${err.message}`);
     }
   }
 
-  const handleParse = () => {
-    const parsed = parseAddresses(addressInput);
-    setAddresses(parsed);
+  async function deleteWatchlist(id, name) {
+    if (!window.confirm(`Stop watching "${name}" and delete its history?`)) return;
+    try {
+      await watchlistApi.remove(id);
+      if (activeWatch?.id === id) setActiveWatch(null);
+      await refreshWatchlists();
+    } catch (err) {
+      setWatchMsg(`Not deleted: ${err.message}`);
+    }
+  }
+
+  // Follow a run until it finishes
+  useEffect(() => {
+    if (!activeWatch?.running) return undefined;
+    const t = setTimeout(() => {
+      openWatchlist(activeWatch.id);
+      refreshWatchlists();
+    }, 3000);
+    return () => clearTimeout(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeWatch]);
+
+  // Parse pasted text or a dropped CSV/JSON/Etherscan/Dune export; ENS names go to the API
+  async function importList(text, filename = '') {
+    const { format, entries, rejected: bad } = parseAddressList(text, { filename });
+    const names = entries.filter((e) => e.kind === 'ens');
+    let resolved = {};
+    if (names.length) {
+      try {
+        resolved = await resolveEns(names.map((e) => e.address));
+      } catch (err) {
+        bad.push(...names.map((e) => ({ line: e.line, text: e.address, reason: err.message })));
+      }
+    }
+    const list = [];
+    const nextLabels = {};
+    for (const e of entries) {
+      const address = e.kind === 'ens' ? resolved[e.address] : e.address;
+      if (e.kind === 'ens' && !(e.address in resolved)) continue; // already rejected above
+      if (!address) {
+        bad.push({ line: e.line, text: e.address, reason: 'ENS name did not resolve' });
+        continue;
+      }
+      if (list.some((a) => a.toLowerCase() === address.toLowerCase())) {
+        bad.push({ line: e.line, text: e.address, reason: `duplicate of ${address}` });
+        continue;
+      }
+      list.push(address);
+      if (e.label || e.kind === 'ens') nextLabels[address] = e.label || e.address;
+    }
+    setAddresses(list);
+    setLabels(nextLabels);
+    setRejected(bad.sort((a, b) => a.line - b.line));
+    setImportFormat(format);
+  }
+
+  const handleParse = () => importList(addressInput);
+
+  // Full-detail exports of the last run; GeoJSON polygons get the addresses whose inferred
+  // tzid is that polygon, plus any logged under its name
+  const exportResults = (format) => {
+    const results = Object.values(addressResults);
+    const name = `timezones-${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'csv') return downloadText(`${name}.csv`, resultsToCsv(results), 'text/csv');
+    if (format === 'json') return downloadText(`${name}.json`, resultsToJson(results, { cohort }), 'application/json');
+    const geo = zonesToGeoJson(
+      geoData,
+      (feature) => {
+        const tzid = getZoneName(feature.properties || {});
+        const addrs = new Set([
+          ...results.filter((r) => r.tzid === tzid).map((r) => r.address),
+          ...(zoneAddresses[tzid] || []),
+        ]);
+        return { zone: tzid, addresses: [...addrs] };
+      },
+      { results }
+    );
+    downloadText(`${name}.geojson`, geo, 'application/geo+json');
+  };
+
+  // ---------- Click log ----------
+  const updateRow = (id, patch, label) =>
+    record(label, (p) => ({ ...p, rows: p.rows.map((r) => (r.id === id ? { ...r, ...patch } : r)) }));
+  const removeRow = (row) => record(`remove ${row.zone} row`, (p) => ({ ...p, rows: p.rows.filter((r) => r.id !== row.id) }));
+  const parseTags = (text) => [...new Set(text.split(',').map((t) => t.trim()).filter(Boolean))];
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (outside text fields)
+  useEffect(() => {
+    const onKey = (e) => {
+      if (readOnlyRef.current || !(e.ctrlKey || e.metaKey) || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        e.preventDefault();
+        dispatchHistory({ type: key === 'y' || e.shiftKey ? 'redo' : 'undo' });
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
+
+  const logQuery = logFilter.trim().toLowerCase();
+  const visibleRows = rows
+    .filter((r) => originFilter === 'all' || rowOrigin(r) === originFilter)
+    .filter(
+      (r) =>
+        !logQuery ||
+        [r.zone, r.note, r.sample, ...(r.tags || [])].some((v) => String(v || '').toLowerCase().includes(logQuery))
+    )
+    .sort((a, b) => {
+      const va = logSort.key === 'origin' ? rowOrigin(a) : a[logSort.key];
+      const vb = logSort.key === 'origin' ? rowOrigin(b) : b[logSort.key];
+      return (typeof va === 'number' ? va - vb : String(va ?? '').localeCompare(String(vb ?? ''))) * logSort.dir;
+    });
+  const sortBy = (key) => setLogSort((s) => ({ key, dir: s.key === key ? -s.dir : key === 'ts' ? -1 : 1 }));
+  const sortMark = (key) => (logSort.key === key ? (logSort.dir > 0 ? ' ▲' : ' ▼') : '');
+
+  // ---------- Sessions ----------
+  const currentSession = () => {
+    const center = mapRef.current?.getCenter();
+    return createSession({
+      name: sessionName,
+      addresses,
+      labels,
+      selected_zones: selectedZones,
+      rows,
+      results: Object.values(addressResults),
+      cohort,
+      options: { mapMode, scaleType, geoLod, shadeByCohort, dateRange, timelinePreset, signal, linkWallets },
+      viewport: center ? { center: [center.lat, center.lng], zoom: mapRef.current.getZoom() } : null,
+    });
+  };
+
+  // Put a saved session back on screen exactly as it was
+  function applySession(session) {
+    const byAddress = {};
+    const zoneMap = {};
+    for (const r of session.results) {
+      byAddress[r.address] = r;
+      const z = zoneOfResult(r);
+      if (z && (!r.classification || r.classification === 'human')) (zoneMap[z] = zoneMap[z] || []).push(r.address);
+    }
+    setSessionName(session.name);
+    setAddresses(session.addresses);
+    setLabels(session.labels);
+    setAddressInput(session.addresses.map((a) => (session.labels[a] ? `${a},${session.labels[a]}` : a)).join('\n'));
+    setRejected([]);
+    setImportFormat('');
+    resultsByAddressRef.current = byAddress;
+    setAddressResults(byAddress);
+    setZoneAddresses(zoneMap);
+    dispatchHistory({ type: 'reset', present: { rows: session.rows.map(upgradeRow), selectedZones: session.selected_zones } });
+    setCohort(session.cohort);
+    setProgress(session.results.length ? { completed: session.results.length, total: session.addresses.length } : null);
+    setSelectedAddress(null);
+    const {
+      mapMode: mode,
+      scaleType: scale,
+      geoLod: lod,
+      shadeByCohort: shadeCohort,
+      dateRange: range,
+      timelinePreset: preset,
+      signal: savedSignal,
+      linkWallets: savedLinkWallets,
+    } = session.options;
+    if (mode) setMapMode(mode);
+    if (scale) setScaleType(scale);
+    if (lod) setGeoLod(lod);
+    setShadeByCohort(!!shadeCohort);
+    setDateRange(range || { from: '', to: '' });
+    setTimelinePreset(preset || '');
+    setSignal(SIGNAL_PRESETS[savedSignal] ? savedSignal : 'weighted');
+    setLinkWallets(!!savedLinkWallets);
+    if (session.viewport) {
+      if (mapRef.current) mapRef.current.setView(session.viewport.center, session.viewport.zoom);
+      else pendingViewportRef.current = session.viewport;
+    }
+  }
+
+  // On load: a share link wins, else the last autosaved session
+  useEffect(() => {
+    (async () => {
+      try {
+        if (shareParams.share) {
+          const { name, session } = await workspaceApi.shared(shareParams.share);
+          applySession({ ...normalizeSession(session), name });
+        } else if (shareParams.workspace) {
+          const ws = await workspaceApi.get(shareParams.workspace);
+          setServerWorkspace({ id: ws.id, name: ws.name, share_id: ws.share_id });
+          applySession({ ...normalizeSession(ws.session), name: ws.name });
+        } else if (shareParams.session) {
+          const session = await decodeSession(shareParams.session);
+          if (!session) throw new Error('the link is damaged or from another version');
+          applySession(session);
+        } else {
+          const session = normalizeSession(JSON.parse(localStorage.getItem(AUTOSAVE_KEY) || 'null'));
+          if (session) applySession(session);
+        }
+      } catch (err) {
+        console.error(err);
+        setSessionMsg(`Could not open the shared session: ${err.message}`);
+      } finally {
+        restoredRef.current = true;
+      }
+    })();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Autosave to this browser so a reload comes back to the same view (not for shared views)
+  useEffect(() => {
+    if (readOnly || !restoredRef.current || detecting) return;
+    const timer = setTimeout(() => {
+      try {
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(currentSession()));
+      } catch (err) {
+        console.warn('session autosave failed', err);
+      }
+    }, 800);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [addresses, labels, selectedZones, rows, addressResults, cohort, mapMode, scaleType, geoLod, shadeByCohort, dateRange, timelinePreset, signal, linkWallets, viewTick, readOnly, detecting]);
+
+  // Save under a name in this browser and, when the API is reachable, on the server
+  async function saveWorkspace() {
+    const name = sessionName.trim();
+    if (!name) return setSessionMsg('Name the workspace first.');
+    const session = { ...currentSession(), name };
+    try {
+      localWorkspaces.save(name, session);
+      setSavedLocal(localWorkspaces.list());
+    } catch (err) {
+      setSessionMsg(`Not saved in this browser: ${err.message}`);
+    }
+    try {
+      let ws;
+      if (serverWorkspace?.name === name) ws = await workspaceApi.update(serverWorkspace.id, { session });
+      else {
+        try {
+          ws = await workspaceApi.create(name, session);
+        } catch (err) {
+          if (err.status !== 409 || !err.data.id || !window.confirm(`Replace the server workspace "${name}"?`)) throw err;
+          ws = await workspaceApi.update(err.data.id, { session });
+        }
+      }
+      setServerWorkspace({ id: ws.id, name: ws.name, share_id: ws.share_id });
+      setSavedServer(await workspaceApi.list());
+      setSessionMsg(`Saved "${name}" here and on the server.`);
+    } catch (err) {
+      setSessionMsg(`Saved "${name}" in this browser only (server: ${err.message}).`);
+    }
+  }
+
+  async function openWorkspace(where, key) {
+    try {
+      if (where === 'local') {
+        const session = localWorkspaces.get(key);
+        if (!session) throw new Error('not found');
+        setServerWorkspace(null);
+        applySession(session);
+      } else if (where === 'shared') {
+        // listed without an id (created without this API key): read-only
+        const { name, session } = await workspaceApi.shared(key);
+        setServerWorkspace(null);
+        applySession({ ...normalizeSession(session), name });
+        setReadOnly(true);
+        return setSessionMsg('');
+      } else {
+        const ws = await workspaceApi.get(key);
+        setServerWorkspace({ id: ws.id, name: ws.name, share_id: ws.share_id });
+        applySession({ ...normalizeSession(ws.session), name: ws.name });
+      }
+      setReadOnly(false);
+      setSessionMsg('');
+    } catch (err) {
+      setSessionMsg(`Could not open the workspace: ${err.message}`);
+    }
+  }
+
+  async function deleteWorkspace(where, key, name) {
+    if (!window.confirm(`Delete the workspace "${name}"?`)) return;
+    try {
+      if (where === 'local') {
+        localWorkspaces.remove(key);
+        setSavedLocal(localWorkspaces.list());
+      } else {
+        await workspaceApi.remove(key);
+        if (serverWorkspace?.id === key) setServerWorkspace(null);
+        setSavedServer(await workspaceApi.list());
+      }
+    } catch (err) {
+      setSessionMsg(`Could not delete the workspace: ${err.message}`);
+    }
+  }
+
+  // Server workspaces share by reference (read-only links use the share id); anything else
+  // is encoded into the link itself
+  async function copyShareLink(asReadOnly) {
+    let url;
+    if (serverWorkspace) {
+      url = asReadOnly
+        ? shareUrl(window.location, { share: serverWorkspace.share_id })
+        : shareUrl(window.location, { workspace: serverWorkspace.id });
+    } else {
+      url = shareUrl(window.location, { session: await encodeSession(currentSession()), readOnly: asReadOnly });
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      setSessionMsg(`${asReadOnly ? 'Read-only link' : 'Link'} copied${serverWorkspace ? '' : ` (${Math.round(url.length / 1024)} KB, self-contained)`}.`);
+    } catch {
+      window.prompt('Copy this link', url);
+    }
+  }
+
+  // Leave a shared view: keep what is on screen as an ordinary, editable session
+  function makeEditableCopy() {
+    setReadOnly(false);
+    setServerWorkspace(null);
+    setSessionName((n) => (n ? `${n} (copy)` : ''));
+    window.history.replaceState(null, '', `${window.location.origin}${window.location.pathname}`);
+  }
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    if (readOnly) return;
+    const file = e.dataTransfer.files?.[0];
+    if (!file) return;
+    const text = await file.text();
+    setAddressInput(text);
+    await importList(text, file.name);
   };
 
   // ---------- UI ----------
@@ -452,12 +1407,81 @@ export default function TimezoneMapUI() {
             }}
           >
             <span>Map</span>
-            <span style={{ fontSize: 12, color: '#9fb0ff' }}>{loading ? 'Loading timezones…' : status}</span>
+            <span style={{ fontSize: 12, color: '#9fb0ff' }}>
+              {loading ? 'Loading timezones…' : status}
+              {geoSource === 'tzbb' && (
+                <select
+                  value={geoLod}
+                  onChange={(e) => setGeoLod(e.target.value)}
+                  disabled={loading}
+                  title="Polygon level of detail"
+                  style={{ marginLeft: 8, fontSize: 12 }}
+                >
+                  <option value="low">low detail</option>
+                  <option value="medium">medium detail</option>
+                  <option value="high">high detail</option>
+                </select>
+              )}
+              {flaggedSummary && <span style={{ color: '#ffd43b', marginLeft: 8 }}>not mapped: {flaggedSummary}</span>}
+            </span>
           </div>
           <div
             ref={mapEl}
             style={{ height: 560, borderRadius: 12, overflow: 'hidden', boxShadow: 'inset 0 0 0 1px rgba(255,255,255,.06)' }}
           />
+          <div style={{ marginTop: 10, display: 'flex', flexWrap: 'wrap', gap: 10, alignItems: 'center', fontSize: 12, color: '#aab4d6' }}>
+            <select value={mapMode} onChange={(e) => setMapMode(e.target.value)} title="Map mode">
+              <option value="selection">Selection</option>
+              <option value="choropleth">Choropleth: wallets per zone</option>
+              <option value="hourly">Activity by UTC hour</option>
+              <option value="daynight">Day / night: awake now</option>
+            </select>
+            {mapMode !== 'selection' && (
+              <select value={scaleType} onChange={(e) => setScaleType(e.target.value)} title="Color scale">
+                {SCALES.map((sc) => (
+                  <option key={sc} value={sc}>
+                    {sc} scale
+                  </option>
+                ))}
+              </select>
+            )}
+            {mapMode === 'hourly' && (
+              <>
+                <button className="btn" onClick={() => setPlaying((p) => !p)}>
+                  {playing ? 'Pause' : 'Play'}
+                </button>
+                <input
+                  type="range"
+                  min={0}
+                  max={23}
+                  value={hour}
+                  onChange={(e) => {
+                    setPlaying(false);
+                    setHour(Number(e.target.value));
+                  }}
+                />
+                <span style={{ minWidth: 72 }}>{String(hour).padStart(2, '0')}:00 UTC</span>
+              </>
+            )}
+            {mapMode === 'daynight' && awake && (
+              <span>
+                {Object.values(awake).reduce((a, b) => a + b, 0)} of{' '}
+                {Object.values(offsetAddresses).reduce((a, addrs) => a + addrs.length, 0)} wallets awake (
+                {AWAKE_HOURS[0]}:00–{AWAKE_HOURS[1]}:00 local) at {now.toISOString().slice(11, 16)} UTC
+              </span>
+            )}
+            {modeScale?.legend.map((c) => (
+              <span key={`${c.from}-${c.to}`} style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+                <span style={{ width: 14, height: 10, borderRadius: 2, background: c.color }} />
+                {mapMode === 'hourly'
+                  ? `${c.from.toFixed(2)}–${c.to.toFixed(2)}`
+                  : c.from === c.to
+                    ? c.from
+                    : `${Math.round(c.from * 10) / 10}–${Math.round(c.to * 10) / 10}`}
+              </span>
+            ))}
+            {modeScale && !modeScale.legend.length && <span>no detected wallets to shade</span>}
+          </div>
           {selectedZones.length > 0 && (
             <div style={{ marginTop: 10, display: 'flex', flexWrap: 'wrap', gap: 8 }}>
               {selectedZones.map((z) => (
@@ -475,8 +1499,7 @@ export default function TimezoneMapUI() {
                   <button
                     title="Remove"
                     onClick={() => {
-                      setSelectedZones((prev) => prev.filter((p) => p !== z));
-                      setRows((prev) => toggleRowsLifo(prev, z, { addressCount: 0, sample: '', source: 'tzbb' }).rows);
+                      if (!readOnly) record(`deselect ${z}`, (p) => toggleZone(p, z));
                     }}
                   >
                     ×
@@ -494,23 +1517,33 @@ export default function TimezoneMapUI() {
             className="textarea"
             value={addressInput}
             onChange={(e) => setAddressInput(e.target.value)}
-            placeholder="Paste crypto addresses (EVM 0x..., Solana base58). One per line or separated by spaces/commas."
+            readOnly={readOnly}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDragOver(true);
+            }}
+            onDragLeave={() => setDragOver(false)}
+            onDrop={handleDrop}
+            style={dragOver ? { borderColor: '#91a7ff', boxShadow: '0 0 0 2px rgba(145,167,255,.35)' } : undefined}
+            placeholder="Paste or drop addresses (EVM 0x..., Solana base58, ENS .eth): plain lists, CSV with a label column, JSON, Etherscan or Dune exports."
           />
           <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 8 }}>
-            <button className="btn btn-primary" onClick={handleParse} disabled={detecting}>
+            <button className="btn btn-primary" onClick={handleParse} disabled={detecting || readOnly}>
               Parse
             </button>
             <button
               className="btn btn-primary"
               onClick={() => handleDetect()}
-              disabled={!addresses.length || detecting}
+              disabled={!addresses.length || detecting || readOnly}
             >
               Run
             </button>
             <span style={{ fontSize: 12, color: '#b9c3e6' }}>
               {detecting
-                ? 'Detecting timezones…'
-                : `${addresses.length} valid address${addresses.length === 1 ? '' : 'es'}`}
+                ? `Detecting timezones… ${progress ? `${progress.completed}/${progress.total}` : ''}`
+                : `${addresses.length} valid address${addresses.length === 1 ? '' : 'es'}${
+                    importFormat ? ` (${importFormat})` : ''
+                  }`}
             </span>
             {detectError && (
               <span style={{ fontSize: 12, color: '#ff6b6b' }}>{detectError}</span>
@@ -539,44 +1572,551 @@ export default function TimezoneMapUI() {
               Run Tests
             </button>
           </div>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 8, fontSize: 12, color: '#b9c3e6' }}>
+            From
+            <input
+              type="date"
+              style={{ background: '#081225', color: '#e8ecff', border: '1px solid rgba(255,255,255,.12)', borderRadius: 8, padding: '4px 8px' }}
+              value={dateRange.from}
+              max={dateRange.to || undefined}
+              onChange={(e) => setDateRange((r) => ({ ...r, from: e.target.value }))}
+              disabled={detecting || readOnly}
+            />
+            to
+            <input
+              type="date"
+              style={{ background: '#081225', color: '#e8ecff', border: '1px solid rgba(255,255,255,.12)', borderRadius: 8, padding: '4px 8px' }}
+              value={dateRange.to}
+              min={dateRange.from || undefined}
+              onChange={(e) => setDateRange((r) => ({ ...r, to: e.target.value }))}
+              disabled={detecting || readOnly}
+            />
+            <select
+              value={timelinePreset}
+              onChange={(e) => setTimelinePreset(e.target.value)}
+              disabled={detecting || readOnly}
+              title="Rolling verdicts per address over the range"
+            >
+              {TIMELINE_PRESETS.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={signal}
+              onChange={(e) => setSignal(e.target.value)}
+              disabled={detecting || readOnly}
+              title="Which activity counts towards the histogram"
+            >
+              {Object.entries(SIGNAL_PRESETS).map(([value, { label }]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <label title="Cluster wallets that transfer to each other or share a funder, and score each cluster's pooled activity">
+              <input type="checkbox" checked={linkWallets} onChange={(e) => setLinkWallets(e.target.checked)} disabled={detecting || readOnly} />{' '}
+              Link wallets
+            </label>
+            {(dateRange.from || dateRange.to) && (
+              <button
+                className="btn btn-plain"
+                style={{ padding: '4px 10px' }}
+                onClick={() => setDateRange({ from: '', to: '' })}
+                disabled={detecting || readOnly}
+              >
+                All history
+              </button>
+            )}
+          </div>
+          {Object.keys(addressResults).length > 0 && !detecting && (
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 8, fontSize: 12, color: '#b9c3e6' }}>
+              Export
+              {['csv', 'json', 'geojson'].map((f) => (
+                <button key={f} className="btn btn-plain" style={{ padding: '4px 10px' }} onClick={() => exportResults(f)}>
+                  {f.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          )}
+          {rejected.length > 0 && (
+            <details style={{ marginTop: 8, fontSize: 12, color: '#ffd43b' }}>
+              <summary style={{ cursor: 'pointer' }}>
+                {rejected.length} rejected line{rejected.length === 1 ? '' : 's'}
+              </summary>
+              <div style={{ maxHeight: 120, overflowY: 'auto', color: '#aab4d6' }}>
+                {rejected.map((r, i) => (
+                  <div key={i}>
+                    line {r.line}: <span style={{ fontFamily: 'monospace' }}>{r.text.slice(0, 48)}</span> — {r.reason}
+                  </div>
+                ))}
+              </div>
+            </details>
+          )}
+          {progress && (
+            <div style={{ marginTop: 10, maxHeight: 180, overflowY: 'auto', fontSize: 12 }}>
+              {addresses.map((a) => (
+                <div
+                  key={a}
+                  onClick={() => addressResults[a] && !addressResults[a].error && setSelectedAddress(a)}
+                  style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    gap: 8,
+                    padding: '3px 6px',
+                    borderRadius: 6,
+                    cursor: addressResults[a] ? 'pointer' : 'default',
+                    background: selectedAddress === a ? 'rgba(255,255,255,.08)' : 'transparent',
+                  }}
+                >
+                  <span style={{ fontFamily: 'ui-monospace, monospace', color: '#b9c3e6' }}>
+                    {a.slice(0, 12)}…{labels[a] && <span style={{ fontFamily: 'inherit', color: '#91a7ff' }}> {labels[a]}</span>}
+                  </span>
+                  <span
+                    title={[describeEventTypes(addressResults[a]?.event_types), chainFailures(addressResults[a])].filter(Boolean).join('\n') || undefined}
+                    style={{
+                      color: addressResults[a]?.error
+                        ? '#ff6b6b'
+                        : addressResults[a]?.fetch_status === 'partial' ||
+                            (addressResults[a]?.classification && addressResults[a].classification !== 'human')
+                          ? '#ffd43b'
+                          : addressResults[a]
+                            ? '#63e6be'
+                            : '#aab4d6',
+                    }}
+                  >
+                    {addressResults[a]?.error || formatVerdict(addressResults[a]) || (detecting ? 'pending' : '—')}
+                    {addressResults[a]?.timeline_segments?.length > 1 && ' · moved'}
+                    {addressResults[a]?.cluster && ` · ${addressResults[a].cluster.id}`}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       </div>
 
+      {/* Workspaces */}
+      <div className="card" style={{ marginTop: 18, padding: 12 }}>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center', fontSize: 12, color: '#aab4d6' }}>
+          <span style={{ fontWeight: 700, fontSize: 14, color: '#c9d2ff', marginRight: 6 }}>Workspace</span>
+          {readOnly ? (
+            <>
+              <span style={{ color: '#ffd43b' }}>Read-only view{sessionName ? ` of "${sessionName}"` : ''}</span>
+              <button className="btn btn-plain" style={{ padding: '4px 10px' }} onClick={makeEditableCopy}>
+                Make an editable copy
+              </button>
+            </>
+          ) : (
+            <>
+              <input
+                value={sessionName}
+                onChange={(e) => setSessionName(e.target.value)}
+                placeholder="Workspace name"
+                style={{ background: '#081225', color: '#e8ecff', border: '1px solid rgba(255,255,255,.12)', borderRadius: 8, padding: '5px 8px' }}
+              />
+              <button className="btn btn-plain" style={{ padding: '4px 10px' }} onClick={saveWorkspace}>
+                Save
+              </button>
+            </>
+          )}
+          <button className="btn btn-plain" style={{ padding: '4px 10px' }} onClick={() => copyShareLink(false)} disabled={readOnly}>
+            Copy link
+          </button>
+          <button className="btn btn-plain" style={{ padding: '4px 10px' }} onClick={() => copyShareLink(true)}>
+            Copy read-only link
+          </button>
+          {sessionMsg && <span>{sessionMsg}</span>}
+          <span style={{ marginLeft: 'auto' }}>
+            {usage &&
+              `${usage.name}: ${usage.today.addresses}${usage.daily_addresses_effective ? ` / ${usage.daily_addresses_effective}` : ''} addresses today · `}
+            <input
+              type="password"
+              value={apiKey}
+              onChange={(e) => changeApiKey(e.target.value)}
+              placeholder="API key"
+              title="Sent with every API request; needed when the server requires keys"
+              style={{ width: 140, background: '#081225', color: '#e8ecff', border: '1px solid rgba(255,255,255,.12)', borderRadius: 8, padding: '5px 8px' }}
+            />
+          </span>
+        </div>
+        {(savedLocal.length > 0 || savedServer?.length > 0) && (
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, marginTop: 10 }}>
+            {[
+              ...savedLocal.map((w) => ({ where: 'local', key: w.name, ...w })),
+              ...(savedServer || []).map((w) => ({
+                where: w.id ? 'server' : 'shared',
+                key: w.id || w.share_id,
+                saved_at: w.updated_at,
+                ...w,
+              })),
+            ].map((w) => (
+              <span key={`${w.where}:${w.key}`} className="pill" title={`${w.address_count} addresses · saved ${w.saved_at || '?'}`}>
+                <button onClick={() => openWorkspace(w.where, w.key)}>{w.name}</button>
+                <span style={{ opacity: 0.6 }}>{{ local: 'this browser', server: 'server', shared: 'server, read-only' }[w.where]}</span>
+                {w.where !== 'shared' && (
+                  <button title="Delete" onClick={() => deleteWorkspace(w.where, w.key, w.name)}>
+                    ×
+                  </button>
+                )}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Watchlists */}
+      {watchlists && (
+        <div className="card" style={{ marginTop: 18, padding: 12 }}>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center', fontSize: 12, color: '#aab4d6' }}>
+            <span style={{ fontWeight: 700, fontSize: 14, color: '#c9d2ff', marginRight: 6 }}>Watchlists</span>
+            {!readOnly && (
+              <>
+                <select
+                  value={watchInterval}
+                  onChange={(e) => setWatchInterval(Number(e.target.value))}
+                  style={{ background: '#081225', color: '#e8ecff', border: '1px solid rgba(255,255,255,.12)', borderRadius: 8, padding: '5px 8px' }}
+                >
+                  <option value={60}>hourly</option>
+                  <option value={6 * 60}>every 6 hours</option>
+                  <option value={24 * 60}>daily</option>
+                  <option value={7 * 24 * 60}>weekly</option>
+                </select>
+                <input
+                  value={watchWebhook}
+                  onChange={(e) => setWatchWebhook(e.target.value)}
+                  placeholder="Alert webhook URL (optional)"
+                  style={{ width: 220, background: '#081225', color: '#e8ecff', border: '1px solid rgba(255,255,255,.12)', borderRadius: 8, padding: '5px 8px' }}
+                />
+                <button className="btn btn-plain" style={{ padding: '4px 10px' }} onClick={createWatchlist} disabled={!addresses.length}>
+                  Watch {addresses.length} address{addresses.length === 1 ? '' : 'es'}
+                </button>
+              </>
+            )}
+            {watchMsg && <span>{watchMsg}</span>}
+          </div>
+          {watchlists.length > 0 && (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, marginTop: 10 }}>
+              {watchlists.map((w) => (
+                <span
+                  key={w.id}
+                  className="pill"
+                  style={activeWatch?.id === w.id ? { outline: '1px solid #91a7ff' } : undefined}
+                  title={`${w.address_count} addresses · every ${w.interval_minutes} min over ${w.window_days || 'all'} days · last run ${w.last_run_at || 'pending'}`}
+                >
+                  <button onClick={() => openWatchlist(w.id)}>{w.name}</button>
+                  {w.alert_count > 0 && <span style={{ color: '#ff922b' }}>{w.alert_count} alert{w.alert_count === 1 ? '' : 's'}</span>}
+                  {w.last_error && <span style={{ color: '#ff6b6b' }} title={w.last_error}>!</span>}
+                  <button title="Delete" onClick={() => deleteWatchlist(w.id, w.name)}>
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+          {activeWatch && (
+            <div style={{ marginTop: 12, fontSize: 12, color: '#aab4d6' }}>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: 10, alignItems: 'center', marginBottom: 8 }}>
+                <span style={{ color: '#c9d2ff', fontWeight: 600 }}>{activeWatch.name}</span>
+                <span>
+                  {activeWatch.running
+                    ? 'running…'
+                    : `last run ${activeWatch.last_run_at ? activeWatch.last_run_at.slice(0, 16).replace('T', ' ') : 'pending'} · next ${activeWatch.next_run_at.slice(0, 16).replace('T', ' ')} UTC`}
+                </span>
+                <span>
+                  alerts at ±{activeWatch.thresholds.offset_hours}h or ±{activeWatch.thresholds.confidence} confidence
+                </span>
+                {activeWatch.last_error && <span style={{ color: '#ff6b6b' }}>{activeWatch.last_error}</span>}
+                <button className="btn btn-plain" style={{ padding: '4px 10px' }} onClick={() => runWatchlistNow(activeWatch.id)} disabled={activeWatch.running}>
+                  Run now
+                </button>
+              </div>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <tbody>
+                  {activeWatch.addresses.map((a) => {
+                    const points = activeWatch.series[a] || [];
+                    const last = points[points.length - 1];
+                    const alerts = activeWatch.alerts.filter((al) => al.address === a);
+                    return (
+                      <tr key={a} style={{ borderTop: '1px solid rgba(255,255,255,.06)' }}>
+                        <td style={{ fontFamily: 'ui-monospace, monospace', padding: '4px 6px', whiteSpace: 'nowrap' }}>
+                          {a.slice(0, 12)}…{activeWatch.labels[a] && <span style={{ color: '#91a7ff' }}> {activeWatch.labels[a]}</span>}
+                        </td>
+                        <td style={{ padding: '4px 6px', whiteSpace: 'nowrap' }}>
+                          {!last
+                            ? '—'
+                            : last.error || (last.classification && last.classification !== 'human')
+                              ? last.error || last.classification
+                              : `${utcLabel(last.standard_offset_hours ?? last.utc_offset_hours)} (${(last.confidence ?? 0).toFixed(2)})`}
+                        </td>
+                        <td style={{ padding: '4px 6px' }}>
+                          <OffsetTimeline points={points} alerts={alerts} />
+                        </td>
+                        <td style={{ padding: '4px 6px', color: alerts.length ? '#ff922b' : undefined }}>
+                          {alerts.length ? `${alerts.length} alert${alerts.length === 1 ? '' : 's'}` : ''}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {activeWatch.alerts.length > 0 && (
+                <details style={{ marginTop: 8 }}>
+                  <summary style={{ cursor: 'pointer' }}>Alerts ({activeWatch.alerts.length})</summary>
+                  {[...activeWatch.alerts].reverse().slice(0, 50).map((al) => (
+                    <div key={al.id} style={{ padding: '2px 0' }}>
+                      {al.at.slice(0, 16).replace('T', ' ')} · <span style={{ fontFamily: 'ui-monospace, monospace' }}>{al.label || `${al.address.slice(0, 12)}…`}</span>{' '}
+                      {al.message}
+                    </div>
+                  ))}
+                </details>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {selectedAddress && addressResults[selectedAddress]?.week_matrix && (
+        <div className="card" style={{ marginTop: 18, padding: 12 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+            <span style={{ fontWeight: 700, color: '#c9d2ff' }}>Weekly activity</span>
+            <span style={{ fontSize: 12, color: '#aab4d6' }}>
+              {selectedAddress} · {addressResults[selectedAddress].week_matrix.tz} · weekend{' '}
+              {Math.round((addressResults[selectedAddress].weekend_share || 0) * 100)}%
+              {describeEventTypes(addressResults[selectedAddress]?.event_types) && ` · ${describeEventTypes(addressResults[selectedAddress]?.event_types)}`}
+              <button className="btn btn-plain" style={{ marginLeft: 10, padding: '4px 8px' }} onClick={() => setSelectedAddress(null)}>
+                ×
+              </button>
+            </span>
+          </div>
+          <WeekHeatmap matrix={addressResults[selectedAddress].week_matrix} />
+          {addressResults[selectedAddress].utc_histogram && (
+            <>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 10, margin: '14px 0 8px', fontSize: 12, color: '#aab4d6' }}>
+                <span style={{ fontWeight: 700, color: '#c9d2ff' }}>Hourly activity</span>
+                <span>
+                  local time at {utcLabel(previewOffset)}
+                  {previewOffset !== addressResults[selectedAddress].utc_offset_hours &&
+                    addressResults[selectedAddress].utc_offset_hours != null &&
+                    ` (inferred ${addressResults[selectedAddress].utc_label})`}
+                </span>
+                <input
+                  type="range"
+                  min={-12}
+                  max={14}
+                  step={0.25}
+                  value={previewOffset}
+                  onChange={(e) => setPreviewOffset(Number(e.target.value))}
+                  style={{ flex: 1 }}
+                />
+              </div>
+              <HourHistogram
+                counts={addressResults[selectedAddress].utc_histogram}
+                offset={previewOffset}
+                windows={addressResults[selectedAddress].score_windows}
+              />
+            </>
+          )}
+          {addressResults[selectedAddress].timeline?.length > 0 && (
+            <>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 10, margin: '14px 0 8px', fontSize: 12, color: '#aab4d6' }}>
+                <span style={{ fontWeight: 700, color: '#c9d2ff' }}>Offset timeline</span>
+                <span>{describeSegments(addressResults[selectedAddress].timeline_segments) || 'no window with enough activity'}</span>
+              </div>
+              {/* one point per rolling window, placed at its midpoint */}
+              <OffsetTimeline
+                width={560}
+                height={80}
+                points={addressResults[selectedAddress].timeline.map((w) => ({
+                  ...w,
+                  at: new Date((Date.parse(w.from) + Date.parse(w.to)) / 2).toISOString(),
+                  error: w.classification !== 'human' ? `${w.classification} (${w.events} events)` : null,
+                }))}
+              />
+            </>
+          )}
+          {addressResults[selectedAddress].cluster && (
+            <ClusterPanel
+              cluster={addressResults[selectedAddress].cluster}
+              labels={labels}
+              selected={selectedAddress}
+              onSelect={(a) => addressResults[a] && !addressResults[a].error && setSelectedAddress(a)}
+            />
+          )}
+        </div>
+      )}
+
+      {cohort?.wallets > 0 && (
+        <div className="card" style={{ marginTop: 18, padding: 12 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+            <span style={{ fontWeight: 700, color: '#c9d2ff' }}>Cohort</span>
+            <label style={{ fontSize: 12, color: '#aab4d6', display: 'flex', alignItems: 'center', gap: 6 }}>
+              <input type="checkbox" checked={shadeByCohort} onChange={(e) => setShadeByCohort(e.target.checked)} />
+              Shade map by cohort distribution
+            </label>
+          </div>
+          <div style={{ fontSize: 13, color: '#c7d0ff', marginBottom: 10 }}>
+            {cohort.wallets} wallet{cohort.wallets === 1 ? '' : 's'}
+            {cohort.skipped ? ` (${cohort.skipped} skipped)` : ''} · dominant{' '}
+            <b>{cohort.dominant.utc_label}</b> ({cohort.dominant.wallets}, {Math.round(cohort.dominant.share * 100)}%)
+            {cohort.secondary && (
+              <>
+                {' '}
+                · secondary <b>{cohort.secondary.utc_label}</b> ({cohort.secondary.wallets},{' '}
+                {Math.round(cohort.secondary.share * 100)}%)
+              </>
+            )}
+            {cohort.combined && ` · combined curve peaks at ${cohort.combined.utc_label}`}
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, marginBottom: 12 }}>
+            {cohort.clusters.map((c) => (
+              <span key={c.offsets.join(':')} className="pill" title={c.addresses.join('\n')}>
+                {c.offsets[0] === c.offsets[1]
+                  ? c.utc_label
+                  : `${utcLabel(c.offsets[0])} … ${utcLabel(c.offsets[1])}`}{' '}
+                · {c.addresses.length}
+              </span>
+            ))}
+          </div>
+          <div style={{ fontSize: 12, color: '#aab4d6', marginBottom: 6 }}>
+            Combined 24h activity, local time at {cohort.dominant.utc_label}
+          </div>
+          <HourHistogram
+            counts={cohort.combined_histogram}
+            offset={cohort.dominant.utc_offset_hours}
+            windows={cohort.combined?.score_windows}
+          />
+        </div>
+      )}
+
       {/* Table under the map */}
       <div className="card" style={{ marginTop: 18, padding: 12 }}>
-        <div style={{ fontWeight: 700, marginBottom: 8, color: '#c9d2ff' }}>Clicks</div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center', marginBottom: 8, fontSize: 12, color: '#aab4d6' }}>
+          <span style={{ fontWeight: 700, fontSize: 14, color: '#c9d2ff', marginRight: 6 }}>Clicks</span>
+          <button
+            className="btn btn-plain"
+            style={{ padding: '4px 10px' }}
+            disabled={readOnly || !history.past.length}
+            title={history.past.length ? `Undo ${history.past[history.past.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+            onClick={() => dispatchHistory({ type: 'undo' })}
+          >
+            Undo
+          </button>
+          <button
+            className="btn btn-plain"
+            style={{ padding: '4px 10px' }}
+            disabled={readOnly || !history.future.length}
+            title={history.future.length ? `Redo ${history.future[0].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+            onClick={() => dispatchHistory({ type: 'redo' })}
+          >
+            Redo
+          </button>
+          <input
+            value={logFilter}
+            onChange={(e) => setLogFilter(e.target.value)}
+            placeholder="Filter zone, note, tag, address"
+            style={{ background: '#081225', color: '#e8ecff', border: '1px solid rgba(255,255,255,.12)', borderRadius: 8, padding: '5px 8px' }}
+          />
+          <select value={originFilter} onChange={(e) => setOriginFilter(e.target.value)} title="Origin">
+            <option value="all">all origins</option>
+            <option value="manual">manual clicks</option>
+            <option value="api">API results</option>
+          </select>
+          <span>
+            {visibleRows.length} of {rows.length} rows · {rows.filter((r) => rowOrigin(r) === 'manual').length} manual,{' '}
+            {rows.filter((r) => rowOrigin(r) === 'api').length} from the API
+          </span>
+        </div>
         <div style={{ overflowX: 'auto' }}>
           <table className="table">
             <thead>
               <tr className="thead">
-                <th className="th">Timestamp</th>
-                <th className="th">Timezone</th>
-                <th className="th">Source</th>
-                <th className="th">Address Count</th>
+                {[
+                  ['ts', 'Timestamp'],
+                  ['zone', 'Timezone'],
+                  ['origin', 'Origin'],
+                  ['address_count', 'Address Count'],
+                ].map(([key, title]) => (
+                  <th key={key} className="th" style={{ cursor: 'pointer' }} onClick={() => sortBy(key)}>
+                    {title}
+                    {sortMark(key)}
+                  </th>
+                ))}
                 <th className="th">Addresses</th>
+                <th className="th">Note</th>
+                <th className="th">Tags</th>
+                <th className="th" />
               </tr>
             </thead>
             <tbody>
-              {rows.length === 0 ? (
+              {visibleRows.length === 0 ? (
                 <tr>
-                  <td colSpan={5} style={{ padding: 12, opacity: 0.7 }}>
-                    No clicks yet. Paste addresses, then click a timezone.
+                  <td colSpan={8} style={{ padding: 12, opacity: 0.7 }}>
+                    {rows.length ? 'No rows match the filter.' : 'No clicks yet. Paste addresses, then click a timezone.'}
                   </td>
                 </tr>
               ) : (
-                rows.map((row, idx) => (
-                  <tr key={row.ts + idx} style={{ borderBottom: '1px solid rgba(255,255,255,.06)' }}>
+                visibleRows.map((row, idx) => (
+                  <tr key={row.id || row.ts + idx} style={{ borderBottom: '1px solid rgba(255,255,255,.06)' }}>
                     <td className="td">{row.ts}</td>
                     <td className="td">{row.zone}</td>
-                    <td className="td">{row.source}</td>
+                    <td className="td" title={row.job_id ? `job ${row.job_id}` : `clicked on ${row.source} polygons`}>
+                      {rowOrigin(row) === 'api' ? `api${row.job_id ? ` · job ${row.job_id.slice(0, 8)}` : ''}` : `manual · ${row.source}`}
+                    </td>
                     <td className="td">{row.address_count}</td>
                     <td className="td">{row.sample}</td>
+                    <td className="td">
+                      {/* keyed by value so undo/redo shows the restored text */}
+                      <input
+                        key={`${row.id}:${row.note || ''}`}
+                        defaultValue={row.note || ''}
+                        readOnly={readOnly}
+                        placeholder="note"
+                        onBlur={(e) => e.target.value !== (row.note || '') && updateRow(row.id, { note: e.target.value }, `note on ${row.zone}`)}
+                        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                        style={{ width: 140, background: 'transparent', color: 'inherit', border: '1px solid rgba(255,255,255,.08)', borderRadius: 6, padding: '3px 6px' }}
+                      />
+                    </td>
+                    <td className="td">
+                      <input
+                        key={`${row.id}:${(row.tags || []).join(',')}`}
+                        defaultValue={(row.tags || []).join(', ')}
+                        readOnly={readOnly}
+                        placeholder="tag, tag"
+                        onBlur={(e) => {
+                          const tags = parseTags(e.target.value);
+                          if (tags.join(',') !== (row.tags || []).join(',')) updateRow(row.id, { tags }, `tags on ${row.zone}`);
+                        }}
+                        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                        style={{ width: 120, background: 'transparent', color: 'inherit', border: '1px solid rgba(255,255,255,.08)', borderRadius: 6, padding: '3px 6px' }}
+                      />
+                    </td>
+                    <td className="td">
+                      {!readOnly && (
+                        <button className="btn btn-plain" style={{ padding: '2px 8px' }} title="Remove row" onClick={() => removeRow(row)}>
+                          ×
+                        </button>
+                      )}
+                    </td>
                   </tr>
                 ))
               )}
             </tbody>
           </table>
         </div>
+        {history.past.length > 0 && (
+          <details style={{ marginTop: 8, fontSize: 12, color: '#aab4d6' }}>
+            <summary style={{ cursor: 'pointer' }}>History ({history.past.length})</summary>
+            <ol reversed style={{ margin: '6px 0 0', paddingLeft: 22, maxHeight: 160, overflow: 'auto' }}>
+              {[...history.past].reverse().map((e, i) => (
+                <li key={history.past.length - i}>
+                  {e.at.slice(11, 19)} · {e.label}
+                </li>
+              ))}
+            </ol>
+          </details>
+        )}
       </div>
 
       <div style={{ marginTop: 8, fontSize: 12, color: '#aab4d6' }}>
@@ -1,14 +1,150 @@
+import { API_KEY_KEY, createWorkspaceClient } from '../shared/session';
+
 const API_BASE =
   (location.hostname === 'localhost' || location.hostname === '127.0.0.1')
     ? 'http://localhost:3001'
     : '';
 
-export async function detectTimezones(addresses = []) {
+// API key for servers that require one (REQUIRE_API_KEY), kept in this browser
+export const getApiKey = () => localStorage.getItem(API_KEY_KEY) || '';
+export function setApiKey(key) {
+  if (key) localStorage.setItem(API_KEY_KEY, key.trim());
+  else localStorage.removeItem(API_KEY_KEY);
+}
+const authHeaders = () => (getApiKey() ? { 'X-API-Key': getApiKey() } : {});
+
+// The server's own message (bad key, quota exceeded, …) where it sent one
+const apiError = async (r) => new Error((await r.json().catch(() => ({}))).error || `API HTTP ${r.status}`);
+
+// `from`/`to` are ISO dates (`to` exclusive); `timeline` is true or { window_days, step_days };
+// `eventTypes` lists the activity types that count, `typeWeights` maps types to weights;
+// `linkWallets` is true or { min_transfers, via, max_discovered } (clusters of linked wallets)
+const inferenceBody = (addresses, { strategy, top, maxEvents, windowDays, inference, from, to, timeline, eventTypes, typeWeights, linkWallets } = {}) =>
+  JSON.stringify({
+    addresses,
+    strategy,
+    top,
+    max_events: maxEvents,
+    window_days: windowDays,
+    inference,
+    from: from || undefined,
+    to: to || undefined,
+    timeline,
+    event_types: eventTypes,
+    type_weights: typeWeights,
+    link_wallets: linkWallets || undefined,
+  });
+
+export async function detectTimezones(addresses = [], options = {}) {
   const r = await fetch(`${API_BASE}/api/timezone`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ addresses }),
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: inferenceBody(addresses, options),
+  });
+  if (!r.ok) throw await apiError(r);
+  return r.json();
+}
+
+// Start a batch job; resolves to { id, status, total }
+export async function createJob(addresses = [], options = {}) {
+  const r = await fetch(`${API_BASE}/api/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: inferenceBody(addresses, options),
   });
-  if (!r.ok) throw new Error(`API HTTP ${r.status}`);
+  if (!r.ok) throw await apiError(r);
+  return r.json();
+}
+
+export async function getJob(id) {
+  const r = await fetch(`${API_BASE}/api/jobs/${encodeURIComponent(id)}`, { headers: authHeaders() });
+  if (!r.ok) throw await apiError(r);
   return r.json();
 }
+
+// Resolve .eth names; resolves to { name: address | null }
+export async function resolveEns(names = []) {
+  const r = await fetch(`${API_BASE}/api/ens`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ names }),
+  });
+  if (!r.ok) throw await apiError(r);
+  return (await r.json()).resolved;
+}
+
+// Cohort footprint (dominant/secondary zones, clusters, combined curve) of a job's results
+export async function getJobCohort(id) {
+  const r = await fetch(`${API_BASE}/api/jobs/${encodeURIComponent(id)}/cohort`, { headers: authHeaders() });
+  if (!r.ok) throw await apiError(r);
+  return r.json();
+}
+
+// The current key's limits and usage today ({ name, today: { addresses, … },
+// daily_addresses_effective, … })
+export async function getUsage() {
+  const r = await fetch(`${API_BASE}/api/usage`, { headers: authHeaders() });
+  if (!r.ok) throw await apiError(r);
+  return r.json();
+}
+
+// Bundled TzBB polygons at a level of detail (low | medium | high); resolves to
+// { topo, version, lod } where topo is TopoJSON with a "timezones" object
+export async function fetchTimezoneGeometry(lod = 'medium') {
+  const r = await fetch(`${API_BASE}/api/geo/timezones?lod=${encodeURIComponent(lod)}`);
+  if (!r.ok) throw await apiError(r);
+  return { topo: await r.json(), version: r.headers.get('X-Geo-Version') || '', lod };
+}
+
+// Follow a job over SSE. onSnapshot gets the job as it stands when the stream opens,
+// onResult each later { result, completed, total }, onDone the final job summary.
+// Returns a function that closes the stream.
+export function streamJob(id, { onSnapshot, onResult, onDone, onError } = {}) {
+  // EventSource cannot send headers, so the key goes in the query string
+  const key = getApiKey();
+  const es = new EventSource(`${API_BASE}/api/jobs/${encodeURIComponent(id)}/events${key ? `?api_key=${encodeURIComponent(key)}` : ''}`);
+  const parse = (e) => JSON.parse(e.data);
+  es.addEventListener('snapshot', (e) => {
+    const job = parse(e);
+    onSnapshot?.(job);
+    if (job.status !== 'running') {
+      es.close();
+      onDone?.(job);
+    }
+  });
+  es.addEventListener('result', (e) => onResult?.(parse(e)));
+  es.addEventListener('done', (e) => {
+    es.close();
+    onDone?.(parse(e));
+  });
+  es.onerror = () => {
+    if (es.readyState === EventSource.CLOSED) return;
+    es.close();
+    onError?.(new Error('Job stream disconnected'));
+  };
+  return () => es.close();
+}
+
+async function call(method, path, body) {
+  const r = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: { ...authHeaders(), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!r.ok) throw await apiError(r);
+  return r.status === 204 ? null : r.json();
+}
+
+// Watchlists re-inferred on a schedule: settings, per-address verdict series and drift alerts
+const wl = (id) => `/api/watchlists/${encodeURIComponent(id)}`;
+export const watchlistApi = {
+  list: async () => (await call('GET', '/api/watchlists')).watchlists,
+  get: (id) => call('GET', wl(id)),
+  create: (fields) => call('POST', '/api/watchlists', fields),
+  update: (id, fields) => call('PUT', wl(id), fields),
+  remove: (id) => call('DELETE', wl(id)),
+  run: (id) => call('POST', `${wl(id)}/run`),
+};
+
+// Named workspaces and read-only shared sessions on the server
+export const workspaceApi = createWorkspaceClient(API_BASE, { headers: authHeaders });
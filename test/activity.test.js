@@ -0,0 +1,255 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createActivityFetcher, chainFamilyOf, normalizeAddress, parseBlockTime } = require('../server/activity');
+const { createSimProvider } = require('../server/providers/sim');
+const { createFixtureProvider } = require('../server/providers/fixture');
+
+const EVM = '0xAbCdEf0123456789abcdef0123456789ABCDEF01';
+const SOL = 'DRpbCBMxVnDK7maPM5tGv6MvB3v1sRMC86PZ8okm21hy';
+const PEER = '0x' + '2'.repeat(40);
+const START = Date.UTC(2024, 4, 1);
+
+// `n` events an hour apart, newest first
+const times = (n) => Array.from({ length: n }, (_, i) => START + (n - 1 - i) * 3600e3);
+
+// SIM stand-in: /evm/activity/:address and /beta/svm/transactions/:address over fixed
+// histories, paged with an opaque next_offset cursor. Every request is recorded.
+function startMockSim(histories) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://mock');
+    requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams) });
+    const evm = url.pathname.match(/^\/evm\/activity\/([^/]+)$/);
+    const svm = url.pathname.match(/^\/beta\/svm\/transactions\/([^/]+)$/);
+    const key = evm ? `${decodeURIComponent(evm[1])}:${url.searchParams.get('chain_ids')}` : svm ? `${decodeURIComponent(svm[1])}:solana` : null;
+    const all = histories[key];
+    if (!all) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'not found' }));
+    }
+    const start = url.searchParams.has('offset') ? Number(url.searchParams.get('offset').slice(1)) : 0;
+    const limit = Number(url.searchParams.get('limit'));
+    const page = all.slice(start, start + limit);
+    const next = start + limit < all.length ? `o${start + limit}` : null;
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ [evm ? 'activity' : 'transactions']: page, ...(next && { next_offset: next }) }));
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => {
+    resolve({ url: `http://127.0.0.1:${server.address().port}`, requests, close: () => new Promise((r) => server.close(r)) });
+  }));
+}
+
+function evmHistory(address, n) {
+  return times(n).map((t, i) => ({
+    block_time: new Date(t).toISOString(),
+    wallet_address: address,
+    type: i % 2 ? 'receive' : 'send',
+    from: i % 2 ? PEER : address,
+    to: i % 2 ? address : PEER,
+  }));
+}
+
+function svmHistory(address, n) {
+  return times(n).map((t, i) => ({
+    block_time: t * 1000, // epoch microseconds
+    raw_transaction: { transaction: { message: { accountKeys: [{ pubkey: i % 3 ? address : PEER }] } } },
+  }));
+}
+
+function fetcherFor(sim, overrides = {}) {
+  return createActivityFetcher({
+    providers: [createSimProvider({ simProxyUrl: sim.url, chainIds: ['1', '8453'] })],
+    pageSize: 100,
+    maxEvents: 10_000,
+    windowDays: 0,
+    workers: 2,
+    upstream: { retries: 0 },
+    ...overrides,
+  });
+}
+
+const total = (typed) => Object.values(typed).reduce((a, slots) => a + Object.values(slots).reduce((b, n) => b + n, 0), 0);
+
+test('chain families and address normalization', () => {
+  assert.equal(chainFamilyOf(EVM), 'evm');
+  assert.equal(chainFamilyOf(SOL), 'svm');
+  assert.equal(chainFamilyOf('not-an-address'), null);
+  assert.equal(normalizeAddress(EVM), EVM.toLowerCase());
+  assert.equal(normalizeAddress(` ${SOL} `), SOL);
+});
+
+test('EVM addresses page /evm/activity per chain and follow next_offset', async (t) => {
+  const lower = EVM.toLowerCase();
+  const sim = await startMockSim({ [`${lower}:1`]: evmHistory(lower, 250), [`${lower}:8453`]: evmHistory(lower, 40) });
+  t.after(() => sim.close());
+
+  const r = await fetcherFor(sim).fetchAddressHistogram(EVM);
+  assert.equal(r.chain_family, 'evm');
+  assert.equal(r.fetch_status, 'ok');
+  assert.equal(r.events_scanned, 290);
+  assert.equal(r.chains['1'].pages, 3);
+  assert.equal(r.chains['1'].complete, true);
+  assert.equal(r.chains['8453'].events_scanned, 40);
+  assert.equal(total(r.types), 290);
+  assert.equal(total({ send: r.types.send }), 145);
+  assert.deepEqual(r.counterparties[PEER], { sent: 145, received: 145, first_received: START });
+
+  const chain1 = sim.requests.filter((q) => q.query.chain_ids === '1');
+  assert.ok(sim.requests.every((q) => q.path === `/evm/activity/${lower}`));
+  assert.deepEqual(chain1.map((q) => q.query.offset), [undefined, 'o100', 'o200']);
+  assert.ok(chain1.every((q) => q.query.limit === '100' && q.query.sort_order === 'desc'));
+});
+
+test('Solana addresses go to /beta/svm/transactions with their case preserved', async (t) => {
+  const sim = await startMockSim({ [`${SOL}:solana`]: svmHistory(SOL, 150) });
+  t.after(() => sim.close());
+
+  const r = await fetcherFor(sim).fetchAddressHistogram(SOL);
+  assert.equal(r.chain_family, 'svm');
+  assert.deepEqual(Object.keys(r.chains), ['solana']);
+  assert.equal(r.events_scanned, 150);
+  assert.equal(r.chains.solana.pages, 2);
+  assert.equal(total({ send: r.types.send }), 100);
+  assert.equal(total({ receive: r.types.receive }), 50);
+  assert.deepEqual(sim.requests.map((q) => [q.path, q.query.offset]), [
+    [`/beta/svm/transactions/${SOL}`, undefined],
+    [`/beta/svm/transactions/${SOL}`, 'o100'],
+  ]);
+  assert.ok(!sim.requests.some((q) => q.path.startsWith('/evm/')));
+});
+
+test('max_events stops paging', async (t) => {
+  const lower = EVM.toLowerCase();
+  const sim = await startMockSim({ [`${lower}:1`]: evmHistory(lower, 250) });
+  t.after(() => sim.close());
+
+  const r = await fetcherFor(sim, { providers: [createSimProvider({ simProxyUrl: sim.url, chainIds: ['1'] })] })
+    .fetchAddressHistogram(EVM, { maxEvents: 150 });
+  assert.equal(r.events_scanned, 150);
+  assert.equal(r.chains['1'].complete, false);
+  assert.deepEqual(sim.requests.map((q) => q.query.limit), ['100', '50']);
+});
+
+test('unrecognized input reports a null chain family without calling upstream', async (t) => {
+  const sim = await startMockSim({});
+  t.after(() => sim.close());
+
+  const r = await fetcherFor(sim).fetchAddressHistogram('hello');
+  assert.equal(r.chain_family, null);
+  assert.equal(r.events_scanned, 0);
+  assert.equal(sim.requests.length, 0);
+});
+
+test('a failing chain is reported without sinking the others', async (t) => {
+  const lower = EVM.toLowerCase();
+  const sim = await startMockSim({ [`${lower}:1`]: evmHistory(lower, 20) });
+  t.after(() => sim.close());
+
+  const r = await fetcherFor(sim).fetchAddressHistogram(EVM);
+  assert.equal(r.fetch_status, 'partial');
+  assert.equal(r.chains['1'].status, 'ok');
+  assert.equal(r.chains['8453'].status, 'failed');
+  assert.equal(r.events_scanned, 20);
+});
+
+// In-memory stand-in for server/histogramStore
+function memoryStore() {
+  const records = new Map();
+  return {
+    get: (address, chain) => records.get(`${address}:${chain}`) || null,
+    put: (address, chain, record) => records.set(`${address}:${chain}`, record),
+  };
+}
+
+test('stored histories are backfilled when more is asked for and trimmed when less is', async (t) => {
+  const lower = EVM.toLowerCase();
+  const sim = await startMockSim({ [`${lower}:1`]: evmHistory(lower, 3000) });
+  t.after(() => sim.close());
+  const store = memoryStore();
+  const fetcher = fetcherFor(sim, { providers: [createSimProvider({ simProxyUrl: sim.url, chainIds: ['1'] })], pageSize: 500, store });
+
+  const first = await fetcher.fetchAddressHistogram(EVM, { maxEvents: 500 });
+  assert.equal(first.events_scanned, 500);
+  assert.equal(first.chains['1'].complete, false);
+  assert.equal(store.get(lower, '1').next_cursor, 'o500');
+
+  sim.requests.length = 0;
+  const more = await fetcher.fetchAddressHistogram(EVM, { maxEvents: 3000 });
+  assert.equal(more.events_scanned, 3000);
+  assert.equal(more.chains['1'].complete, true);
+  assert.equal(more.chains['1'].events_new, 0);
+  assert.equal(more.chains['1'].events_backfilled, 2500);
+  assert.equal(total(more.types), 3000);
+  // one page to find nothing new, then on from where the first walk stopped
+  assert.deepEqual(sim.requests.map((q) => q.query.offset), [undefined, 'o500', 'o1000', 'o1500', 'o2000', 'o2500']);
+  assert.equal(store.get(lower, '1').events_scanned, 3000);
+
+  const fewer = await fetcher.fetchAddressHistogram(EVM, { maxEvents: 100 });
+  assert.equal(fewer.events_scanned, 100);
+  assert.equal(fewer.chains['1'].complete, false);
+  assert.equal(total(fewer.types), 100);
+  // the newest 100 hours of history
+  const newest = Math.max(...Object.values(fewer.types).flatMap((slots) => Object.keys(slots).map(Number)));
+  const oldest = Math.min(...Object.values(fewer.types).flatMap((slots) => Object.keys(slots).map(Number)));
+  assert.equal(newest - oldest, 99 * 4);
+  assert.equal(store.get(lower, '1').events_scanned, 3000);
+});
+
+test('a capped record without a resume point is refetched when more is asked for', async (t) => {
+  const lower = EVM.toLowerCase();
+  const sim = await startMockSim({ [`${lower}:1`]: evmHistory(lower, 300) });
+  t.after(() => sim.close());
+  const store = memoryStore();
+  store.put(lower, '1', { types: { send: { 1: 1 } }, counterparties: {}, last_block_time: START + 299 * 3600e3, events_scanned: 1, complete: false });
+  const fetcher = fetcherFor(sim, { providers: [createSimProvider({ simProxyUrl: sim.url, chainIds: ['1'] })], store });
+
+  const r = await fetcher.fetchAddressHistogram(EVM, { maxEvents: 1000 });
+  assert.equal(r.events_scanned, 300);
+  assert.equal(r.chains['1'].complete, true);
+  assert.equal(r.chains['1'].cached, false);
+});
+
+function fixtureFile(t, data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'activity.json');
+  if (data) fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+test('a failed chain falls through to the next provider that covers it', async (t) => {
+  const lower = EVM.toLowerCase();
+  const sim = await startMockSim({ [`${lower}:1`]: evmHistory(lower, 20) });
+  t.after(() => sim.close());
+  const fixturePath = fixtureFile(t, { [lower]: { 8453: times(7).map((ts) => new Date(ts).toISOString()) } });
+  const fetcher = fetcherFor(sim, {
+    providers: [createSimProvider({ simProxyUrl: sim.url, chainIds: ['1', '8453'] }), createFixtureProvider({ fixturePath, parseBlockTime })],
+  });
+
+  const r = await fetcher.fetchAddressHistogram(EVM);
+  assert.equal(r.fetch_status, 'ok');
+  assert.equal(r.chains['1'].provider, 'sim');
+  assert.equal(r.chains['1'].fallbacks, undefined);
+  assert.equal(r.chains['8453'].provider, 'fixture');
+  assert.equal(r.chains['8453'].events_scanned, 7);
+  assert.deepEqual(r.chains['8453'].fallbacks.map((f) => [f.provider, f.status]), [['sim', 'failed']]);
+  assert.equal(r.events_scanned, 27);
+});
+
+test('a missing fixture file fails its chain, not the request', async (t) => {
+  const fetcher = createActivityFetcher({
+    providers: [createFixtureProvider({ fixturePath: fixtureFile(t, null), parseBlockTime })],
+    pageSize: 100,
+    maxEvents: 10_000,
+    windowDays: 0,
+    workers: 1,
+  });
+  const r = await fetcher.fetchAddressHistogram(EVM);
+  assert.equal(r.fetch_status, 'failed');
+  assert.equal(r.chains.fixture.status, 'failed');
+  assert.match(r.chains.fixture.error, /ENOENT/);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAddressList } = require('../shared/addressImport.js');
+
+const A = '0x' + 'a'.repeat(40);
+const B = '0x' + 'b'.repeat(40);
+const C = '0x' + 'c'.repeat(40);
+// Mixed-case (EIP-55 checksummed) address
+const CHECKSUM = '0x52908400098527886E0F7030069857D2E4169EE7';
+const SOL = 'So11111111111111111111111111111111111111112';
+
+const brief = ({ entries }) => entries.map((e) => [e.address, e.label, e.line]);
+
+test('CSV with a header picks the address and label columns', () => {
+  const csv = ['Wallet Address,Name Tag,Balance', `${A},Treasury,10`, `"${B}","Ops, hot wallet",2`, ',,0', 'nope,x,1'].join('\n');
+  const r = parseAddressList(csv, { filename: 'holders.csv' });
+  assert.equal(r.format, 'csv');
+  assert.deepEqual(brief(r), [
+    [A, 'Treasury', 2],
+    [B, 'Ops, hot wallet', 3],
+  ]);
+  assert.deepEqual(r.rejected, [
+    { line: 4, text: ',,0', reason: 'empty address column' },
+    { line: 5, text: 'nope', reason: 'not an EVM, Solana or ENS address' },
+  ]);
+
+  const tsv = parseAddressList(`address\tlabel\n${A}\tTreasury`);
+  assert.equal(tsv.format, 'tsv');
+  assert.deepEqual(brief(tsv), [[A, 'Treasury', 2]]);
+});
+
+test('CSV without a header reads each line, keeping other text as the label', () => {
+  const r = parseAddressList([`${A},Treasury`, `${B}`, '# comment', '', `${C} ${SOL}`, 'vitalik.ETH'].join('\n'));
+  assert.equal(r.format, 'text');
+  assert.deepEqual(
+    r.entries.map((e) => [e.address, e.kind, e.label, e.line]),
+    [
+      [A, 'evm', 'Treasury', 1],
+      [B, 'evm', '', 2],
+      [C, 'evm', '', 5],
+      [SOL, 'svm', '', 5],
+      ['vitalik.eth', 'ens', '', 6],
+    ]
+  );
+  assert.deepEqual(r.rejected, []);
+});
+
+test('JSON arrays and objects', () => {
+  assert.deepEqual(brief(parseAddressList(JSON.stringify([A, B]))), [
+    [A, '', 1],
+    [B, '', 2],
+  ]);
+  assert.deepEqual(brief(parseAddressList(JSON.stringify([{ Address: A, label: 'Treasury' }, { owner: B, note: 'Ops' }]))), [
+    [A, 'Treasury', 1],
+    [B, 'Ops', 2],
+  ]);
+  assert.deepEqual(brief(parseAddressList(JSON.stringify({ addresses: [A] }))), [[A, '', 1]]);
+  assert.deepEqual(brief(parseAddressList(JSON.stringify({ [A]: 'Treasury', [B]: { x: 1 } }))), [
+    [A, 'Treasury', 1],
+    [B, '', 2],
+  ]);
+
+  const bad = parseAddressList(JSON.stringify([A, 42, { balance: 1 }]));
+  assert.deepEqual(bad.rejected, [
+    { line: 2, text: '42', reason: 'not an address or object' },
+    { line: 3, text: '{"balance":1}', reason: 'no address field' },
+  ]);
+  assert.equal(parseAddressList('[oops', { filename: 'list.json' }).rejected[0].reason.startsWith('invalid JSON'), true);
+});
+
+test('Dune exports: API rows and \\x varbinary cells', () => {
+  const api = { execution_id: 'x', result: { rows: [{ address: `\\x${A.slice(2)}`, entity: 'Treasury' }, { address: B }] } };
+  const r = parseAddressList(JSON.stringify(api));
+  assert.equal(r.format, 'json');
+  assert.deepEqual(brief(r), [
+    [A, 'Treasury', 1],
+    [B, '', 2],
+  ]);
+
+  const csv = parseAddressList(`address,label\n\\x${C.slice(2)},Bridge`, { filename: 'dune.csv' });
+  assert.deepEqual(brief(csv), [[C, 'Bridge', 2]]);
+});
+
+test('duplicates are dropped case-insensitively and keep the first spelling', () => {
+  const r = parseAddressList([CHECKSUM, `${CHECKSUM.toLowerCase()},Exchange`, CHECKSUM.toUpperCase().replace('0X', '0x')].join('\n'));
+  assert.deepEqual(brief(r), [[CHECKSUM, 'Exchange', 1]]);
+  assert.deepEqual(
+    r.rejected.map((x) => [x.line, x.reason]),
+    [
+      [2, 'duplicate of line 1'],
+      [3, 'duplicate of line 1'],
+    ]
+  );
+  // Solana addresses are case-sensitive, so differently-cased ones are distinct
+  assert.equal(parseAddressList(`${SOL}\n${SOL.toLowerCase()}`).entries.length, 2);
+});
+
+test('rejected rows say why', () => {
+  const r = parseAddressList(['0x1234', '\\xzz', 'foo..eth', 'hello world', `${A} ${B} 0xabc`].join('\n'));
+  assert.deepEqual(brief(r), [
+    [A, '', 5],
+    [B, '', 5],
+  ]);
+  assert.deepEqual(r.rejected, [
+    { line: 1, text: '0x1234', reason: 'malformed EVM address (expected 0x + 40 hex characters)' },
+    { line: 2, text: '\\xzz', reason: 'malformed EVM address (expected 0x + 40 hex characters)' },
+    { line: 3, text: 'foo..eth', reason: 'malformed ENS name' },
+    { line: 4, text: 'hello world', reason: 'not an EVM, Solana or ENS address' },
+    { line: 5, text: '0xabc', reason: 'malformed EVM address (expected 0x + 40 hex characters)' },
+  ]);
+});
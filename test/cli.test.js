@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'timezone-analytics.js');
+const HOUR = 3600e3;
+const wallet = (n) => '0x' + String(n).repeat(40);
+
+// A fortnight of activity per wallet, in the fixture provider's format
+function fixture(addresses) {
+  const start = Date.UTC(2024, 0, 1);
+  const events = [];
+  for (let d = 0; d < 14; d++) for (let h = 1; h < 10; h++) events.push(new Date(start + d * 24 * HOUR + h * HOUR).toISOString());
+  return Object.fromEntries(addresses.map((a) => [a, { 1: events }]));
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+fs.writeFileSync(path.join(dir, 'fixture.json'), JSON.stringify(fixture([1, 2, 3, 4].map(wallet))));
+
+// Runs `infer` on `addresses` against the fixture, from the temp directory (no .env)
+function infer(addresses, checkpoint) {
+  const list = path.join(dir, 'list.txt');
+  fs.writeFileSync(list, addresses.join('\n'));
+  const args = [CLI, 'infer', list, '--providers', 'fixture', '--fixture', path.join(dir, 'fixture.json')];
+  args.push('--window-days', '0', '--store', 'off', '--workers', '1', '--checkpoint', checkpoint);
+  const r = spawnSync(process.execPath, args, { cwd: dir, encoding: 'utf8', timeout: 60_000 });
+  const rows = r.stdout.split('\n').filter(Boolean).map((l) => JSON.parse(l));
+  return { status: r.status, stderr: r.stderr, rows };
+}
+
+const readRows = (file) => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map((l) => JSON.parse(l));
+
+test('a run writes one checkpoint row per address', () => {
+  const checkpoint = path.join(dir, 'fresh.jsonl');
+  const r = infer([wallet(1), wallet(2)], checkpoint);
+  assert.equal(r.status, 0, r.stderr);
+  assert.deepEqual(r.rows.map((x) => x.address), [wallet(1), wallet(2)]);
+  assert.deepEqual(readRows(checkpoint).map((x) => x.address).sort(), [wallet(1), wallet(2)]);
+});
+
+test('a resumed run keeps finished rows and redoes the rest', () => {
+  const checkpoint = path.join(dir, 'resume.jsonl');
+  const full = infer([wallet(1), wallet(2), wallet(3)], path.join(dir, 'full.jsonl')).rows;
+  const [one, two] = full;
+  // wallet 1 finished (marked so a refetch would show), wallet 2 only partly, and the run
+  // died halfway through writing wallet 3
+  fs.writeFileSync(
+    checkpoint,
+    [
+      JSON.stringify({ ...one, label: 'from checkpoint' }),
+      JSON.stringify({ ...two, fetch_status: 'partial' }),
+      JSON.stringify(full[2]).slice(0, 40),
+    ].join('\n') + '\n'
+  );
+
+  const r = infer([wallet(1), wallet(2), wallet(3)], checkpoint);
+  assert.equal(r.status, 0, r.stderr);
+  assert.match(r.stderr, /resuming: 1 of 3 already in/);
+  assert.deepEqual(r.rows.map((x) => x.address), [wallet(1), wallet(2), wallet(3)]);
+  assert.equal(r.rows[0].label, 'from checkpoint');
+  assert.equal(r.rows[1].fetch_status, 'ok');
+
+  // the checkpoint now completes the run: resuming again does nothing
+  const again = infer([wallet(1), wallet(2), wallet(3)], checkpoint);
+  assert.match(again.stderr, /resuming: 3 of 3 already in/);
+  assert.doesNotMatch(again.stderr, /\[\d+\/\d+\]/);
+  assert.deepEqual(again.rows, r.rows);
+});
+
+test('a checkpoint from a different address list is started over', () => {
+  const checkpoint = path.join(dir, 'other.jsonl');
+  infer([wallet(1), wallet(2)], checkpoint);
+
+  const r = infer([wallet(2), wallet(3)], checkpoint);
+  assert.equal(r.status, 0, r.stderr);
+  assert.match(r.stderr, /ignoring .*other\.jsonl: 1 of its addresses are not in this input/);
+  assert.doesNotMatch(r.stderr, /resuming/);
+  assert.deepEqual(r.rows.map((x) => x.address), [wallet(2), wallet(3)]);
+  assert.deepEqual(readRows(checkpoint).map((x) => x.address).sort(), [wallet(2), wallet(3)]);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createActivityFetcher } = require('../server/activity');
+const { createEtherscanProvider } = require('../server/providers/etherscan');
+
+const ADDRESS = '0x' + 'a'.repeat(40);
+const PEER = '0x' + 'b'.repeat(40);
+const START = Date.UTC(2024, 4, 1) / 1000;
+
+// Etherscan stand-in: `n` receives an hour apart on chain 1, newest first, paged by
+// page/offset like account/txlist. Every request is recorded.
+function startMockEtherscan(n) {
+  const txs = Array.from({ length: n }, (_, i) => ({ timeStamp: String(START + (n - 1 - i) * 3600), from: PEER, to: ADDRESS, input: '0x' }));
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const q = Object.fromEntries(new URL(req.url, 'http://mock').searchParams);
+    requests.push([Number(q.page), Number(q.offset)]);
+    const offset = Number(q.offset);
+    const result = txs.slice((Number(q.page) - 1) * offset, Number(q.page) * offset);
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(result.length ? { status: '1', message: 'OK', result } : { status: '0', message: 'No transactions found', result: [] }));
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => {
+    resolve({ url: `http://127.0.0.1:${server.address().port}/api`, requests, close: () => new Promise((r) => server.close(r)) });
+  }));
+}
+
+function fetcherFor(api, overrides = {}) {
+  return createActivityFetcher({
+    providers: [createEtherscanProvider({ apiUrl: api.url, chainIds: ['1'] })],
+    pageSize: 1000,
+    maxEvents: 10_000,
+    windowDays: 0,
+    workers: 1,
+    upstream: { retries: 0 },
+    ...overrides,
+  });
+}
+
+// Every event is an hour apart, so a slot holding more than one was read twice
+const slotsOf = (r) => Object.values(r.types).flatMap((slots) => Object.values(slots));
+
+test('a cap that is not a multiple of the page size reads every row once', async (t) => {
+  const api = await startMockEtherscan(3000);
+  t.after(() => api.close());
+
+  const r = await fetcherFor(api).fetchAddressHistogram(ADDRESS, { maxEvents: 2500 });
+  assert.equal(r.events_scanned, 2500);
+  assert.equal(slotsOf(r).length, 2500);
+  assert.ok(slotsOf(r).every((n) => n === 1));
+  assert.deepEqual(api.requests, [[1, 1000], [2, 1000], [3, 1000]]);
+});
+
+// In-memory stand-in for server/histogramStore
+function memoryStore() {
+  const records = new Map();
+  return {
+    get: (address, chain) => records.get(`${address}:${chain}`) || null,
+    put: (address, chain, record) => records.set(`${address}:${chain}`, record),
+  };
+}
+
+test('backfill resumes at the row where the stored walk stopped', async (t) => {
+  const api = await startMockEtherscan(2900);
+  t.after(() => api.close());
+  const store = memoryStore();
+  const fetcher = fetcherFor(api, { store });
+
+  const first = await fetcher.fetchAddressHistogram(ADDRESS, { maxEvents: 1500 });
+  assert.equal(first.events_scanned, 1500);
+  assert.deepEqual(store.get(ADDRESS, 'etherscan:1').next_cursor, { row: 1500 });
+
+  api.requests.length = 0;
+  const more = await fetcher.fetchAddressHistogram(ADDRESS, { maxEvents: 5000 });
+  assert.equal(more.events_scanned, 2900);
+  assert.equal(more.chains['1'].events_backfilled, 1400);
+  assert.equal(more.chains['1'].complete, true);
+  assert.equal(slotsOf(more).length, 2900);
+  assert.ok(slotsOf(more).every((n) => n === 1));
+  // one page to find nothing new, then from the middle of page 2 on
+  assert.deepEqual(api.requests, [[1, 1000], [2, 1000], [3, 1000]]);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resultsToCsv } = require('../shared/exporters.js');
+
+test('last_activity is the newest block time across chains, as ISO', () => {
+  // 9e11 sorts after 1.7e12 as text
+  const chains = { 1: { last_block_time: 1714555920000 }, 10: { last_block_time: 900000000000 }, 8453: { last_block_time: null } };
+  const [header, row] = resultsToCsv([{ address: '0xabc', chains }]).split('\n');
+  const column = header.split(',').indexOf('last_activity');
+  assert.equal(row.split(',')[column], '2024-05-01T09:32:00.000Z');
+
+  const [, empty] = resultsToCsv([{ address: '0xabc', chains: {} }]).split('\n');
+  assert.equal(empty.split(',')[column], '');
+});
+
+test('text that a spreadsheet would run as a formula is escaped', () => {
+  const result = { address: '0xabc', label: '=HYPERLINK("http://evil.example")', error: '@SUM(1+1)', utc_offset_hours: -5, scores: [{ offset: -12, probability: 1 }] };
+  const [header, row] = resultsToCsv([result]).split('\n');
+  const cell = (name) => row.split(',')[header.split(',').indexOf(name)];
+  assert.equal(cell('label'), `"'=HYPERLINK(""http://evil.example"")"`);
+  assert.equal(cell('error'), "'@SUM(1+1)");
+  assert.equal(cell('scores'), "'-12:1");
+  // numbers stay numbers
+  assert.equal(cell('utc_offset_hours'), '-5');
+
+  const labelCell = (label) => resultsToCsv([{ address: '0xabc', label }]).split('\n')[1].split(',')[1];
+  for (const label of ['+1 555 0100', '-short', '\tTab']) assert.equal(labelCell(label), `'${label}`);
+  assert.equal(labelCell('Treasury - hot'), 'Treasury - hot');
+});
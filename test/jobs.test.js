@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobStore } = require('../server/jobs');
+
+// A `run` that reports results only when the test says so
+function manualRun() {
+  const calls = [];
+  const run = (addresses, options, onResult) =>
+    new Promise((resolve, reject) => calls.push({ addresses, options, onResult, resolve, reject }));
+  return { run, calls };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('a job runs, reports results in completion order and keeps a snapshot when done', async () => {
+  const { run, calls } = manualRun();
+  const jobs = createJobStore({ run });
+  const created = jobs.create(['0xa', '0xb', '0xc'], { strategy: 'daytime' });
+  assert.deepEqual([created.status, created.total, created.completed, created.finished_at], ['running', 3, 0, null]);
+  assert.deepEqual(calls[0].addresses, ['0xa', '0xb', '0xc']);
+  assert.deepEqual(calls[0].options, { strategy: 'daytime' });
+
+  const seen = [];
+  let final = null;
+  jobs.subscribe(created.id, { onResult: (p) => seen.push(p), onDone: (s) => (final = s) });
+  for (const address of ['0xc', '0xa', '0xb']) calls[0].onResult({ address });
+  assert.deepEqual(
+    seen.map((p) => [p.result.address, p.completed, p.total]),
+    [
+      ['0xc', 1, 3],
+      ['0xa', 2, 3],
+      ['0xb', 3, 3],
+    ]
+  );
+  assert.equal(jobs.get(created.id).status, 'running');
+
+  calls[0].resolve();
+  await tick();
+  assert.equal(final.status, 'done');
+  const done = jobs.get(created.id);
+  assert.deepEqual(done, final);
+  assert.equal(done.completed, 3);
+  assert.deepEqual(done.results.map((r) => r.address), ['0xc', '0xa', '0xb']);
+  assert.ok(done.finished_at >= done.created_at);
+  assert.equal(done.error, null);
+});
+
+test('a run that throws fails the job with its message', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { run, calls } = manualRun();
+  const jobs = createJobStore({ run });
+  const { id } = jobs.create(['0xa'], {});
+  calls[0].onResult({ address: '0xa' });
+  calls[0].reject(new Error('provider down'));
+  await tick();
+  const job = jobs.get(id);
+  assert.deepEqual([job.status, job.error, job.completed], ['failed', 'provider down', 1]);
+});
+
+test('unsubscribing stops delivery; unknown jobs cannot be subscribed to', async () => {
+  const { run, calls } = manualRun();
+  const jobs = createJobStore({ run });
+  const { id } = jobs.create(['0xa', '0xb'], {});
+  const kept = [];
+  const dropped = [];
+  jobs.subscribe(id, { onResult: (p) => kept.push(p), onDone: () => {} });
+  const unsubscribe = jobs.subscribe(id, { onResult: (p) => dropped.push(p), onDone: () => dropped.push('done') });
+  calls[0].onResult({ address: '0xa' });
+  unsubscribe();
+  calls[0].onResult({ address: '0xb' });
+  calls[0].resolve();
+  await tick();
+  assert.equal(kept.length, 2);
+  assert.deepEqual(dropped.map((p) => p.result.address), ['0xa']);
+
+  assert.equal(jobs.subscribe('nope', { onResult() {}, onDone() {} }), null);
+  assert.equal(jobs.get('nope'), null);
+});
+
+test('finished jobs are forgotten after the TTL', async () => {
+  const jobs = createJobStore({ run: async () => {}, ttlMs: 5 });
+  const { id } = jobs.create([], {});
+  await tick();
+  assert.equal(jobs.get(id).status, 'done');
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(jobs.get(id), null);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createRpcProvider } = require('../server/providers/rpc');
+
+const ADDRESS = '0x' + 'a'.repeat(40);
+const PEER = '0x' + 'b'.repeat(40);
+const TOPIC = (address) => `0x${address.slice(2).padStart(64, '0')}`;
+const hex = (n) => `0x${n.toString(16)}`;
+
+// JSON-RPC node stand-in: head block 100, `perBlock` incoming transfers in each of blocks
+// 91..100, block n timed at n seconds. Every call is recorded.
+function startMockNode(perBlock) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (d) => (body += d));
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      calls.push(method);
+      let result = null;
+      if (method === 'eth_blockNumber') result = hex(100);
+      if (method === 'eth_getBlockByNumber') result = { timestamp: params[0] };
+      if (method === 'eth_getLogs') {
+        const [{ fromBlock, toBlock, topics }] = params;
+        result = [];
+        // only receives: the address is the `to` topic
+        if (topics[2]) {
+          for (let b = Math.max(91, parseInt(fromBlock, 16)); b <= parseInt(toBlock, 16); b++) {
+            for (let i = 0; i < perBlock; i++) {
+              result.push({ blockNumber: hex(b), transactionIndex: hex(i), transactionHash: `0x${b}-${i}`, topics: ['0x', TOPIC(PEER), TOPIC(ADDRESS)] });
+            }
+          }
+        }
+      }
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => {
+    resolve({ url: `http://127.0.0.1:${server.address().port}`, calls, close: () => new Promise((r) => server.close(r)) });
+  }));
+}
+
+test('a block range with more events than the page limit is split across pages', async (t) => {
+  const node = await startMockNode(3);
+  t.after(() => node.close());
+  const [source] = createRpcProvider({ rpcUrls: { 1: node.url }, blockSpan: 100, maxBlocksBack: 100 }).sources(ADDRESS, 'evm');
+
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = await source.fetchPage(4, cursor);
+    pages.push(page.events);
+    cursor = page.next;
+  } while (cursor);
+
+  assert.ok(pages.every((events) => events.length <= 4));
+  const times = pages.flat().map((e) => e.block_time);
+  assert.equal(times.length, 30);
+  // newest first, each block's three transfers exactly once
+  assert.deepEqual(times, [...times].sort((a, b) => b - a));
+  for (let b = 91; b <= 100; b++) assert.equal(times.filter((ms) => ms === b * 1000).length, 3);
+  assert.ok(pages.flat().every((e) => e.type === 'receive' && e.counterparty === PEER));
+});
+
+test('block times are cached up to blockTimeCache entries', async (t) => {
+  const node = await startMockNode(1);
+  t.after(() => node.close());
+  const [source] = createRpcProvider({ rpcUrls: { 1: node.url }, blockSpan: 100, maxBlocksBack: 100, blockTimeCache: 5 }).sources(ADDRESS, 'evm');
+  const blockCalls = () => node.calls.filter((m) => m === 'eth_getBlockByNumber').length;
+
+  await source.fetchPage(100, null);
+  assert.equal(blockCalls(), 10);
+  // ten blocks do not fit in five entries, so each pass times them all again
+  await source.fetchPage(100, null);
+  assert.equal(blockCalls(), 20);
+
+  const small = createRpcProvider({ rpcUrls: { 1: node.url }, blockSpan: 3, maxBlocksBack: 100, blockTimeCache: 5 }).sources(ADDRESS, 'evm')[0];
+  const before = blockCalls();
+  await small.fetchPage(100, null);
+  await small.fetchPage(100, null);
+  assert.equal(blockCalls() - before, 3);
+});
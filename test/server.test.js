@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const ADMIN_TOKEN = 'admin-secret';
+const HOUR = 3600e3;
+const wallet = (n) => '0x' + String(n).repeat(40);
+
+// A fortnight of office-hours activity at UTC+8 per wallet, in the fixture provider's format
+function fixture(addresses) {
+  const start = Date.UTC(2024, 0, 1);
+  const events = [];
+  for (let d = 0; d < 14; d++) for (let h = 1; h < 10; h++) events.push(new Date(start + d * 24 * HOUR + h * HOUR).toISOString());
+  return Object.fromEntries(addresses.map((a) => [a, { 1: events }]));
+}
+
+// The API server in this process, on stores in a temp directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+fs.writeFileSync(path.join(dir, 'fixture.json'), JSON.stringify(fixture([wallet(1), wallet(2), wallet(3)])));
+Object.assign(process.env, {
+  ADMIN_TOKEN,
+  FIXTURE_PATH: path.join(dir, 'fixture.json'),
+  ACTIVITY_PROVIDERS: 'fixture',
+  SIM_WINDOW_DAYS: '0',
+  HISTOGRAM_STORE_PATH: 'off',
+  ALERT_LOG_PATH: 'off',
+  API_KEY_STORE_PATH: path.join(dir, 'api-keys.json'),
+  WORKSPACE_STORE_PATH: path.join(dir, 'workspaces.json'),
+  WATCHLIST_STORE_PATH: path.join(dir, 'watchlists.json'),
+  RATE_LIMIT: '1000',
+  KEY_DAILY_ADDRESSES: '0',
+});
+const app = require('../server/index');
+
+let base;
+let server;
+test.before(() => new Promise((resolve) => {
+  server = app.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function call(method, url, { key, admin, body } = {}) {
+  const headers = { 'content-type': 'application/json' };
+  if (key) headers['x-api-key'] = key;
+  if (admin) headers.authorization = `Bearer ${admin}`;
+  const r = await fetch(base + url, { method, headers, body: body && JSON.stringify(body) });
+  return { status: r.status, body: await r.json().catch(() => null) };
+}
+
+const issueKey = async (limits = {}) => (await call('POST', '/api/admin/keys', { admin: ADMIN_TOKEN, body: { name: 'test', ...limits } })).body;
+
+test('admin routes need the admin token', async () => {
+  assert.equal((await call('GET', '/api/admin/keys')).status, 401);
+  assert.equal((await call('GET', '/api/admin/keys', { admin: 'wrong' })).status, 401);
+  const issued = await issueKey();
+  assert.match(issued.key, /^tza_/);
+  assert.equal((await call('GET', '/api/admin/keys', { key: issued.key })).status, 401, 'an API key is not an admin token');
+  assert.equal((await call('GET', `/api/admin/keys/${issued.id}`, { admin: ADMIN_TOKEN })).body.name, 'test');
+});
+
+test('with ADMIN_TOKEN set, inference needs a valid key', async () => {
+  const body = { addresses: [wallet(1)] };
+  assert.equal((await call('POST', '/api/timezone', { body })).status, 401);
+  assert.equal((await call('POST', '/api/timezone', { key: 'tza_nope', body })).status, 401);
+  assert.equal((await call('GET', '/api/strategies')).status, 200, 'public routes stay open');
+});
+
+test('revoked keys stop working at once', async () => {
+  const { key, id } = await issueKey();
+  assert.equal((await call('GET', '/api/usage', { key })).status, 200);
+  const revoked = await call('DELETE', `/api/admin/keys/${id}`, { admin: ADMIN_TOKEN });
+  assert.ok(revoked.body.revoked_at);
+  assert.deepEqual(await call('GET', '/api/usage', { key }), { status: 401, body: { error: 'invalid or revoked API key' } });
+});
+
+test('addresses are charged to the daily quota, and a request over it is refused', async () => {
+  const { key } = await issueKey({ daily_addresses: 3 });
+  const first = await call('POST', '/api/timezone', { key, body: { addresses: [wallet(1), wallet(2)] } });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.length, 2);
+  assert.equal((await call('GET', '/api/usage', { key })).body.today.addresses, 2);
+
+  const over = await call('POST', '/api/timezone', { key, body: { addresses: [wallet(2), wallet(3)] } });
+  assert.equal(over.status, 429);
+  assert.deepEqual([over.body.used, over.body.quota], [2, 3]);
+  assert.equal((await call('GET', '/api/usage', { key })).body.today.addresses, 2, 'a refused request is not charged');
+  assert.equal((await call('POST', '/api/timezone', { key, body: { addresses: [wallet(3)] } })).status, 200);
+});
+
+test('each key has its own rate limit', async () => {
+  const slow = await issueKey({ rate_limit: 2 });
+  const other = await issueKey();
+  assert.equal((await call('GET', '/api/usage', { key: slow.key })).status, 200);
+  assert.equal((await call('GET', '/api/usage', { key: slow.key })).status, 200);
+  assert.equal((await call('GET', '/api/usage', { key: slow.key })).status, 429);
+  assert.equal((await call('GET', '/api/usage', { key: other.key })).status, 200);
+  assert.equal((await call('GET', `/api/admin/keys/${slow.id}`, { admin: ADMIN_TOKEN })).body.rate_limit_effective, 2);
+});
+
+test('a key in the URL is only accepted by the job event stream', async () => {
+  const { key } = await issueKey();
+  const inUrl = await call('GET', `/api/usage?api_key=${key}`);
+  assert.equal(inUrl.status, 400);
+  assert.match(inUrl.body.error, /only accepted by \/api\/jobs\/:id\/events/);
+
+  const job = await call('POST', '/api/jobs', { key, body: { addresses: [wallet(1)] } });
+  assert.equal(job.status, 202);
+  const r = await fetch(`${base}/api/jobs/${job.body.id}/events?api_key=${key}`);
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get('content-type'), /text\/event-stream/);
+  await r.text();
+  assert.equal((await fetch(`${base}/api/jobs/${job.body.id}/events?api_key=tza_nope`)).status, 401);
+});
+
+// Server-Sent Events of a job stream as [{ event, data }], read to the end
+async function readEvents(url) {
+  const text = await (await fetch(base + url)).text();
+  return text
+    .split('\n\n')
+    .filter(Boolean)
+    .map((block) => {
+      const [, event] = block.match(/^event: (.*)$/m);
+      const [, data] = block.match(/^data: (.*)$/m);
+      return { event, data: JSON.parse(data) };
+    });
+}
+
+test('a job streams a snapshot, its results in order and a final done', async () => {
+  const { key } = await issueKey();
+  const addresses = [wallet(1), wallet(2), wallet(3)];
+  const { body: created } = await call('POST', '/api/jobs', { key, body: { addresses } });
+  const events = await readEvents(`/api/jobs/${created.id}/events?api_key=${key}`);
+
+  const [snapshot, ...rest] = events;
+  assert.equal(snapshot.event, 'snapshot');
+  // the job may already be over when the stream opens; either way nothing is lost or repeated
+  const streamed = rest.filter((e) => e.event === 'result').map((e) => e.data);
+  assert.deepEqual(streamed.map((p) => p.completed), streamed.map((_, i) => snapshot.data.completed + i + 1));
+  if (snapshot.data.status === 'running') {
+    assert.equal(rest[rest.length - 1].event, 'done');
+    assert.equal(rest[rest.length - 1].data.status, 'done');
+    assert.equal(rest[rest.length - 1].data.results, undefined);
+  } else {
+    assert.deepEqual(rest, []);
+  }
+
+  const job = await call('GET', `/api/jobs/${created.id}`, { key });
+  assert.equal(job.body.status, 'done');
+  assert.deepEqual(
+    job.body.results.map((r) => r.address),
+    [...snapshot.data.results, ...streamed.map((p) => p.result)].map((r) => r.address)
+  );
+  assert.deepEqual(job.body.results.map((r) => r.address).sort(), addresses);
+  assert.ok(job.body.results.every((r) => !r.error && r.fetch_status === 'ok'));
+
+  // once done, the stream is the final snapshot and closes
+  const after = await readEvents(`/api/jobs/${created.id}/events?api_key=${key}`);
+  assert.deepEqual(after.map((e) => e.event), ['snapshot']);
+  assert.deepEqual(after[0].data, job.body);
+});
+
+test('a client leaving the stream early does not disturb the job', async () => {
+  const { key } = await issueKey();
+  const { body: created } = await call('POST', '/api/jobs', { key, body: { addresses: [wallet(1), wallet(2)] } });
+  const abort = new AbortController();
+  const r = await fetch(`${base}/api/jobs/${created.id}/events?api_key=${key}`, { signal: abort.signal });
+  await r.body.getReader().read();
+  abort.abort();
+
+  let job;
+  for (let i = 0; i < 100 && job?.status !== 'done'; i++) {
+    job = (await call('GET', `/api/jobs/${created.id}`, { key })).body;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.equal(job.status, 'done');
+  assert.equal(job.completed, 2);
+  assert.equal((await call('GET', '/api/jobs/nope/events', { key })).status, 404);
+});
@@ -0,0 +1,370 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tz = require('../shared/timezoneInference.js');
+
+const HOUR = 3600e3;
+const DAY = 24 * HOUR;
+
+// Office-hours profile in local time: busy 08:00–18:00, a trickle overnight
+const PROFILE = [1, 1, 1, 1, 1, 1, 1, 2, 6, 9, 10, 10, 8, 10, 10, 9, 8, 6, 2, 2, 1, 1, 1, 1];
+
+// Slots for `days` days of PROFILE lived in `zone` (an IANA id or a fixed offset in hours),
+// four events per count spread over the hour, weekends at a quarter of the volume
+function profileSlots(zone, { start = Date.UTC(2024, 0, 1), days = 56 } = {}) {
+  const slots = {};
+  for (let d = 0; d < days; d++) {
+    const midnight = start + d * DAY;
+    const offsetMinutes = typeof zone === 'number' ? zone * 60 : tz.zoneOffsetMinutes(zone, midnight + 12 * HOUR);
+    const dow = new Date(midnight).getUTCDay();
+    const weekend = dow === 0 || dow === 6;
+    PROFILE.forEach((n, h) => {
+      const count = weekend ? Math.ceil(n / 4) : n;
+      for (const m of [5, 20, 35, 50]) tz.addSlot(slots, midnight + h * HOUR + m * 60e3 - offsetMinutes * 60e3, count);
+    });
+  }
+  return slots;
+}
+
+// Deterministic pseudo-random numbers in [0, 1)
+function lcg(seed) {
+  let s = seed;
+  return () => (s = (s * 1103515245 + 12345) % 2147483648) / 2147483648;
+}
+
+const STRATEGIES = ['daytime', 'daytime-weekend', 'sql-median-ratio'];
+const SUMMER = Date.UTC(2024, 6, 1);
+const WINTER = Date.UTC(2024, 0, 15);
+
+test('registers the built-in strategies', () => {
+  assert.deepEqual(tz.listStrategies(), STRATEGIES);
+  assert.equal(tz.DEFAULT_STRATEGY, 'daytime');
+  assert.throws(() => tz.inferTimezone([], { strategy: 'nope' }), /unknown strategy/);
+});
+
+test('utcLabel formats whole, :30 and :45 offsets', () => {
+  assert.equal(tz.utcLabel(8), 'UTC+8');
+  assert.equal(tz.utcLabel(-5), 'UTC-5');
+  assert.equal(tz.utcLabel(5.5), 'UTC+5:30');
+  assert.equal(tz.utcLabel(5.75), 'UTC+5:45');
+  assert.equal(tz.utcLabel(-3.5), 'UTC-3:30');
+});
+
+test('inferTimezone finds a fixed UTC+8 offset with every strategy', () => {
+  const counts = tz.countsFromSlots(profileSlots(8));
+  for (const strategy of STRATEGIES) {
+    const r = tz.inferTimezone(counts, { strategy });
+    assert.equal(r.strategy, strategy);
+    assert.equal(r.utc_offset_hours, 8, strategy);
+    assert.equal(r.utc_label, 'UTC+8');
+    assert.equal(r.iana_tz_example, tz.exampleTz(8));
+    assert.equal(r.passes_rule, true, strategy);
+    assert.equal(r.scores.length, tz.OFFSETS.length);
+  }
+});
+
+test('inferTimezone confidence and alternatives', () => {
+  const counts = tz.countsFromSlots(profileSlots(8));
+
+  const daytime = tz.inferTimezone(counts, { strategy: 'daytime' });
+  assert.equal(daytime.confidence, 1);
+  assert.equal(daytime.alternatives.length, 3);
+  assert.deepEqual(daytime.alternatives.map((a) => a.utc_label), ['UTC+7', 'UTC+9', 'UTC+10']);
+  for (const a of daytime.alternatives) {
+    assert.equal(a.probability, 0);
+    assert.equal(a.margin, 1);
+  }
+
+  // The median ratio ties UTC+8 and UTC+9; the earlier offset wins and the runner-up
+  // carries the same probability
+  const sql = tz.inferTimezone(counts, { strategy: 'sql-median-ratio', top: 1 });
+  assert.equal(sql.confidence, 0.1293);
+  assert.deepEqual(sql.alternatives, [{ utc_offset_hours: 9, utc_label: 'UTC+9', probability: 0.1293, margin: 0 }]);
+  assert.equal(sql.ratio, 8);
+  assert.equal(sql.bars_high_over_mult, 6);
+
+  const probabilities = daytime.scores.reduce((a, s) => a + s.probability, 0);
+  assert.ok(Math.abs(probabilities - 1) < 1e-3);
+  assert.equal(tz.inferTimezone(counts, { top: 0 }).alternatives.length, 0);
+});
+
+test('inferTimezone spreads confidence evenly without evidence', () => {
+  const r = tz.inferTimezone(new Array(24).fill(0));
+  assert.equal(r.confidence, Number((1 / tz.OFFSETS.length).toFixed(4)));
+});
+
+test('inferZone follows DST: a year in New York beats every fixed-offset zone', () => {
+  const slots = profileSlots('America/New_York', { days: 365 });
+  for (const strategy of STRATEGIES) {
+    const r = tz.inferZone(slots, { strategy, now: SUMMER });
+    assert.equal(r.tzid, 'America/New_York', strategy);
+    assert.equal(r.iana_tz_example, 'America/New_York');
+    assert.equal(r.utc_offset_hours, -4);
+    assert.equal(r.utc_label, 'UTC-4');
+    assert.equal(r.standard_offset_hours, -5);
+    assert.equal(r.zone_scores.length, tz.CANDIDATE_ZONES.length);
+  }
+  const winter = tz.inferZone(slots, { now: WINTER });
+  assert.equal(winter.utc_label, 'UTC-5');
+  assert.equal(winter.confidence, 1);
+});
+
+test('inferZone cannot tell a DST zone from its fixed neighbour within one season', () => {
+  const r = tz.inferZone(profileSlots('America/New_York'), { now: WINTER });
+  assert.equal(r.tzid, 'America/New_York');
+  assert.equal(r.confidence, 0.5);
+  assert.deepEqual(r.alternatives[0], {
+    tzid: 'America/Bogota',
+    utc_offset_hours: -5,
+    utc_label: 'UTC-5',
+    standard_offset_hours: -5,
+    probability: 0.5,
+    margin: 0,
+  });
+});
+
+test('inferZone resolves :30 and :45 zones', () => {
+  const cases = [
+    [5.5, 'Asia/Kolkata', 'UTC+5:30'],
+    [5.75, 'Asia/Kathmandu', 'UTC+5:45'],
+  ];
+  for (const [offset, tzid, label] of cases) {
+    for (const strategy of STRATEGIES) {
+      const r = tz.inferZone(profileSlots(offset), { strategy, now: SUMMER });
+      assert.equal(r.tzid, tzid, strategy);
+      assert.equal(r.utc_label, label);
+      assert.equal(r.standard_offset_hours, offset);
+      assert.ok(r.confidence >= r.alternatives[0].probability);
+    }
+  }
+
+  const kolkata = tz.inferZone(profileSlots(5.5), { strategy: 'daytime', now: SUMMER });
+  assert.equal(kolkata.confidence, 0.9939);
+  assert.deepEqual(kolkata.alternatives.map((a) => [a.tzid, a.probability]), [
+    ['Asia/Kathmandu', 0.006],
+    ['Asia/Karachi', 0],
+    ['Asia/Dhaka', 0],
+  ]);
+
+  const kathmandu = tz.inferZone(profileSlots(5.75), { strategy: 'daytime-weekend', now: SUMMER });
+  assert.equal(kathmandu.confidence, 0.9961);
+  assert.equal(kathmandu.weekday_weekend_contrast > 0, true);
+});
+
+test('a fixed offset cannot express a :30 zone', () => {
+  const r = tz.inferTimezone(tz.countsFromSlots(profileSlots(5.5)));
+  assert.ok(Number.isInteger(r.utc_offset_hours));
+  assert.ok(r.confidence < 0.9);
+});
+
+test('classifyActivity: office hours are human', () => {
+  const rand = lcg(7);
+  const slots = {};
+  for (let d = 0; d < 60; d++) {
+    const midnight = Date.UTC(2024, 0, 1) + d * DAY;
+    const n = Math.floor(rand() * 4);
+    for (let i = 0; i < n; i++) tz.addSlot(slots, midnight + (9 + rand() * 9) * HOUR);
+  }
+  const r = tz.classifyActivity(slots);
+  assert.equal(r.classification, 'human');
+  assert.deepEqual(r.classification_reasons, []);
+  assert.equal(r.activity_metrics.quiet_share, 0);
+  assert.ok(r.activity_metrics.gap_cv >= 0.25);
+});
+
+// One event every `everyMinutes` for `days` days
+function roundTheClock(everyMinutes, days, perSlot = 1) {
+  const slots = {};
+  for (let t = 0; t < days * DAY; t += everyMinutes * 60e3) tz.addSlot(slots, Date.UTC(2024, 0, 1) + t, perSlot);
+  return slots;
+}
+
+test('classifyActivity: always-on low volume is a bot, high volume an exchange', () => {
+  const bot = tz.classifyActivity(roundTheClock(60, 10));
+  assert.equal(bot.classification, 'bot');
+  assert.deepEqual(bot.classification_reasons, ['flat_entropy', 'no_quiet_window', 'regular_cadence']);
+  assert.equal(bot.activity_metrics.events_per_active_day, 24);
+  assert.equal(bot.activity_metrics.entropy, 1);
+
+  const exchange = tz.classifyActivity(roundTheClock(15, 10, 3));
+  assert.equal(exchange.classification, 'exchange');
+  assert.equal(exchange.activity_metrics.events_per_active_day, 288);
+
+  const lowered = tz.classifyActivity(roundTheClock(60, 10), { exchangePerDay: 20 });
+  assert.equal(lowered.classification, 'exchange');
+});
+
+test('classifyActivity: contract code and thin histories', () => {
+  const contract = tz.classifyActivity(profileSlots(8, { days: 7 }), { isContract: true });
+  assert.equal(contract.classification, 'bot');
+  assert.deepEqual(contract.classification_reasons, ['contract_code']);
+  assert.equal(contract.activity_metrics.is_contract, true);
+
+  const thin = tz.classifyActivity(roundTheClock(60, 0.5));
+  assert.equal(thin.classification, 'insufficient_data');
+  assert.deepEqual(thin.classification_reasons, ['too_few_events']);
+
+  const empty = tz.classifyActivity({});
+  assert.equal(empty.classification, 'insufficient_data');
+  assert.equal(empty.activity_metrics.events, 0);
+});
+
+test('unattributed blanks the zone fields', () => {
+  const r = tz.unattributed({ ...tz.inferZone(profileSlots(8)), classification: 'exchange' });
+  assert.equal(r.classification, 'exchange');
+  assert.equal(r.tzid, null);
+  assert.equal(r.confidence, null);
+  assert.deepEqual(r.alternatives, []);
+});
+
+test('weighTypedSlots scores on weights but keeps real counts for classification', () => {
+  const typed = {
+    send: profileSlots(8, { days: 7 }),
+    receive: roundTheClock(60, 7),
+    mint: { 1: 5 },
+  };
+  const { slots, unweighted, event_types } = tz.weighTypedSlots(typed, { ...tz.DEFAULT_TYPE_WEIGHTS, mint: 0 });
+  const sum = (s) => Object.values(s).reduce((a, b) => a + b, 0);
+  const sends = sum(typed.send);
+  assert.equal(sum(unweighted), sends + 168);
+  assert.ok(Math.abs(sum(slots) - (sends + 16.8)) < 1e-9);
+  assert.deepEqual(event_types.mint, { events: 5, weight: 0, share: 0 });
+
+  // timeline windows count and classify real events
+  const [window] = tz.inferTimeline(slots, { windowDays: 30, stepDays: 30, unweighted });
+  assert.equal(window.events, sends + 168);
+});
+
+// Office hours (08:00–18:00 local) at a fixed `offset`, zero to three events a day
+function officeHours(offset, { start, days, seed = 1 }) {
+  const rand = lcg(seed);
+  const slots = {};
+  for (let d = 0; d < days; d++) {
+    const n = Math.floor(rand() * 4);
+    for (let i = 0; i < n; i++) tz.addSlot(slots, start + d * DAY + (8 + rand() * 10 - offset) * HOUR);
+  }
+  return slots;
+}
+
+test('rollingWindows steps back from the end and keeps whole windows', () => {
+  const at = (days) => days * DAY;
+  assert.deepEqual(tz.rollingWindows({ from: 0, to: at(100), windowDays: 30, stepDays: 30 }), [
+    { from: at(10), to: at(40) },
+    { from: at(40), to: at(70) },
+    { from: at(70), to: at(100) },
+  ]);
+  // a window may start exactly at `from`
+  assert.equal(tz.rollingWindows({ from: 0, to: at(90), windowDays: 30, stepDays: 30 })[0].from, 0);
+  // overlapping windows, only the latest maxWindows
+  const latest = tz.rollingWindows({ from: 0, to: at(100), windowDays: 30, stepDays: 10, maxWindows: 3 });
+  assert.deepEqual(latest.map((w) => w.to / DAY), [80, 90, 100]);
+  // shorter than one window: a single window over the range; an empty range: none
+  assert.deepEqual(tz.rollingWindows({ from: at(5), to: at(20), windowDays: 30 }), [{ from: at(5), to: at(20) }]);
+  assert.deepEqual(tz.rollingWindows({ from: at(5), to: at(5) }), []);
+});
+
+test('inferTimeline gives each window its own verdict and leaves empty windows unzoned', () => {
+  const start = Date.UTC(2024, 0, 1);
+  // 60 days at UTC+8, a 30-day gap, then 60 days at UTC+3
+  const slots = { ...officeHours(8, { start, days: 60 }), ...officeHours(3, { start: start + 90 * DAY, days: 60, seed: 2 }) };
+  const timeline = tz.inferTimeline(slots, { from: start, to: start + 150 * DAY, windowDays: 30, stepDays: 30, inference: 'fixed' });
+  assert.deepEqual(
+    timeline.map((p) => [p.from.slice(0, 10), p.classification, p.standard_offset_hours]),
+    [
+      ['2024-01-01', 'human', 8],
+      ['2024-01-31', 'human', 8],
+      ['2024-03-01', 'insufficient_data', null],
+      ['2024-03-31', 'human', 3],
+      ['2024-04-30', 'human', 3],
+    ]
+  );
+  const gap = timeline[2];
+  assert.equal(gap.events, 0);
+  assert.equal(gap.utc_label, null);
+  assert.equal(gap.confidence, null);
+
+  // no activity in range: no windows at all
+  assert.deepEqual(tz.inferTimeline(slots, { from: start + 60 * DAY, to: start + 90 * DAY }), []);
+  assert.deepEqual(tz.inferTimeline({}), []);
+});
+
+test('timelineSegments merges runs on one offset across unzoned windows', () => {
+  const point = (from, to, standard_offset_hours, tzid = null) => ({ from, to, standard_offset_hours, tzid });
+  const segments = tz.timelineSegments([
+    point('2024-01', '2024-02', null),
+    point('2024-01', '2024-03', 8, 'Asia/Shanghai'),
+    point('2024-02', '2024-04', 8, 'Asia/Singapore'),
+    point('2024-03', '2024-05', null),
+    point('2024-04', '2024-06', 8, 'Asia/Shanghai'),
+    point('2024-05', '2024-07', 3),
+    point('2024-06', '2024-08', 8),
+  ]);
+  assert.deepEqual(segments, [
+    { from: '2024-01', to: '2024-06', standard_offset_hours: 8, utc_label: 'UTC+8', windows: 3, tzids: { 'Asia/Shanghai': 2, 'Asia/Singapore': 1 } },
+    { from: '2024-05', to: '2024-07', standard_offset_hours: 3, utc_label: 'UTC+3', windows: 1, tzids: {} },
+    { from: '2024-06', to: '2024-08', standard_offset_hours: 8, utc_label: 'UTC+8', windows: 1, tzids: {} },
+  ]);
+  assert.deepEqual(tz.timelineSegments([point('2024-01', '2024-02', null)]), []);
+  assert.deepEqual(tz.timelineSegments(undefined), []);
+});
+
+// A wallet result whose UTC histogram is PROFILE lived at a fixed `offset`
+const cohortWallet = (address, offset, extra = {}) => ({
+  address,
+  classification: 'human',
+  utc_histogram: PROFILE.map((_, h) => PROFILE[(h + offset + 24) % 24]),
+  ...extra,
+});
+
+test('aggregateCohort clusters wallets by offset and skips non-human and failed rows', () => {
+  const wallets = [
+    cohortWallet('0xa1', 8),
+    cohortWallet('0xa2', 8),
+    cohortWallet('0xa3', 9),
+    cohortWallet('0xb1', -5),
+    cohortWallet('0xb2', -5),
+  ];
+  const r = tz.aggregateCohort([
+    ...wallets,
+    cohortWallet('0xc1', 3, { classification: 'insufficient_data' }),
+    cohortWallet('0xc2', 3, { classification: 'bot' }),
+    { address: '0xc3', error: 'upstream failed' },
+  ]);
+  assert.equal(r.wallets, 5);
+  assert.equal(r.skipped, 3);
+  // UTC+8 and UTC+9 are within gapHours, so they form one cluster peaking at +8
+  assert.deepEqual(
+    r.clusters.map((c) => [c.utc_label, c.offsets, c.addresses]),
+    [
+      ['UTC+8', [8, 9], ['0xa1', '0xa2', '0xa3']],
+      ['UTC-5', [-5, -5], ['0xb1', '0xb2']],
+    ]
+  );
+  assert.equal(r.dominant.wallets, 3);
+  assert.equal(r.secondary.utc_offset_hours, -5);
+  assert.ok(r.dominant.share > r.secondary.share);
+  assert.equal(r.combined.utc_offset_hours, 8);
+
+  // the distribution is a mean of per-wallet probabilities, none from the skipped rows
+  const weight = (o) => r.distribution.find((d) => d.offset === o).weight;
+  assert.ok(Math.abs(r.distribution.reduce((a, d) => a + d.weight, 0) - 1) < 1e-3);
+  assert.ok(weight(3) < 1e-3);
+  // every wallet adds one unit of probability however busy it is: the two western wallets
+  // hold two fifths of the distribution even when one of them has 50 times the events
+  const busy = wallets.map((w) => (w.address === '0xb1' ? { ...w, utc_histogram: w.utc_histogram.map((n) => n * 50) } : w));
+  for (const { distribution } of [r, tz.aggregateCohort(busy)]) {
+    const west = distribution.filter((d) => d.offset < 0).reduce((a, d) => a + d.weight, 0);
+    assert.ok(Math.abs(west - 0.4) < 0.01, String(west));
+  }
+});
+
+test('aggregateCohort of an empty cohort', () => {
+  for (const results of [[], undefined, [{ address: '0xc1', classification: 'insufficient_data', utc_histogram: PROFILE }]]) {
+    const r = tz.aggregateCohort(results);
+    assert.equal(r.wallets, 0);
+    assert.equal(r.dominant, null);
+    assert.equal(r.secondary, null);
+    assert.equal(r.combined, null);
+    assert.deepEqual(r.clusters, []);
+    assert.ok(r.distribution.every((d) => d.weight === 0));
+  }
+});
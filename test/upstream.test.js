@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRetryAfter, isRetryable, backoffDelay, createLimiter, createCircuitBreaker, createUpstream } = require('../shared/upstream.js');
+
+const httpError = (status, retryAfter) => Object.assign(new Error(`HTTP ${status}`), { status, ...(retryAfter !== undefined && { retryAfter }) });
+
+// An upstream whose waits are recorded instead of slept, on a clock the test moves
+function fakeUpstream(options = {}) {
+  const clock = { t: 1_000_000 };
+  const waits = [];
+  const upstream = createUpstream({ retries: 3, sleep: async (ms) => waits.push(ms), now: () => clock.t, ...options });
+  return { upstream, waits, clock };
+}
+
+// A task that fails with the given errors in turn, then resolves to 'ok'
+function flaky(...errors) {
+  const calls = { n: 0 };
+  const task = async () => {
+    const err = errors[calls.n++];
+    if (err) throw err;
+    return 'ok';
+  };
+  return { task, calls };
+}
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  const now = Date.UTC(2024, 0, 1);
+  assert.equal(parseRetryAfter('3', now), 3000);
+  assert.equal(parseRetryAfter(new Date(now + 5000).toUTCString(), now), 5000);
+  assert.equal(parseRetryAfter(new Date(now - 5000).toUTCString(), now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(undefined, now), null);
+});
+
+test('isRetryable: rate limits, 5xx and network errors, not other 4xx', () => {
+  assert.equal(isRetryable(httpError(429)), true);
+  assert.equal(isRetryable(httpError(503)), true);
+  assert.equal(isRetryable(new Error('socket hang up')), true);
+  assert.equal(isRetryable(httpError(404)), false);
+  assert.equal(isRetryable(Object.assign(httpError(503), { retryable: false })), false);
+  assert.equal(isRetryable({ response: { status: 408 } }), true);
+});
+
+test('backoffDelay doubles per attempt within half and the whole step, up to maxDelayMs', () => {
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const step = Math.min(10_000, 500 * 2 ** attempt);
+    const d = backoffDelay(attempt);
+    assert.ok(d >= step / 2 && d <= step, `attempt ${attempt}: ${d}`);
+  }
+});
+
+test('request retries with backoff and resolves once the task succeeds', async () => {
+  const { upstream, waits } = fakeUpstream();
+  const { task, calls } = flaky(httpError(503), httpError(502));
+  const retries = [];
+  assert.equal(await upstream.request('sim', task, { onRetry: (r) => retries.push(r.attempt) }), 'ok');
+  assert.equal(calls.n, 3);
+  assert.deepEqual(retries, [1, 2]);
+  assert.ok(waits[0] >= 250 && waits[0] <= 500);
+  assert.ok(waits[1] >= 500 && waits[1] <= 1000);
+});
+
+test('request gives up after `retries` and annotates the last error', async () => {
+  const { upstream, waits } = fakeUpstream({ retries: 2 });
+  const { task, calls } = flaky(httpError(500), httpError(500), httpError(503), httpError(503));
+  await assert.rejects(upstream.request('sim', task), { upstream: 'sim', attempts: 3, status: 503, code: 'http_503' });
+  assert.equal(calls.n, 3);
+  assert.equal(waits.length, 2);
+});
+
+test('request does not retry a plain 4xx', async () => {
+  const { upstream, waits } = fakeUpstream();
+  const { task, calls } = flaky(httpError(404));
+  await assert.rejects(upstream.request('sim', task), { attempts: 1, code: 'http_404' });
+  assert.equal(calls.n, 1);
+  assert.deepEqual(waits, []);
+});
+
+test('Retry-After sets the wait, and one beyond maxRetryAfterMs fails at once', async () => {
+  const { upstream, waits } = fakeUpstream({ maxRetryAfterMs: 5000 });
+  assert.equal(await upstream.request('sim', flaky(httpError(429, '2')).task), 'ok');
+  assert.deepEqual(waits, [2000]);
+
+  const { task, calls } = flaky(httpError(429, '30'));
+  await assert.rejects(upstream.request('sim', task), { status: 429, attempts: 1 });
+  assert.equal(calls.n, 1);
+  assert.deepEqual(waits, [2000]);
+});
+
+test('the limiter runs at most `concurrency` tasks at once, in order', async () => {
+  const limiter = createLimiter(2);
+  const started = [];
+  const release = [];
+  const runs = [1, 2, 3, 4].map((i) =>
+    limiter.run(() => {
+      started.push(i);
+      return new Promise((resolve) => release.push(() => resolve(i)));
+    })
+  );
+  await new Promise(setImmediate);
+  assert.deepEqual(started, [1, 2]);
+  assert.equal(limiter.active(), 2);
+  assert.equal(limiter.pending(), 2);
+
+  release.shift()();
+  await new Promise(setImmediate);
+  assert.deepEqual(started, [1, 2, 3]);
+
+  while (release.length || started.length < 4) {
+    release.shift()?.();
+    await new Promise(setImmediate);
+  }
+  assert.deepEqual(await Promise.all(runs), [1, 2, 3, 4]);
+  assert.equal(limiter.active(), 0);
+});
+
+test('the limiter keeps going after a task rejects', async () => {
+  const limiter = createLimiter(1);
+  await assert.rejects(limiter.run(async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await limiter.run(async () => 'next'), 'next');
+});
+
+test('the circuit breaker opens, lets one trial through half-open, then closes or reopens', () => {
+  const clock = { t: 0 };
+  const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 1000, now: () => clock.t });
+  assert.equal(breaker.state(), 'closed');
+  breaker.failure();
+  assert.equal(breaker.state(), 'closed');
+  breaker.failure();
+  assert.equal(breaker.state(), 'open');
+  assert.equal(breaker.allow(), false);
+
+  clock.t = 1000;
+  assert.equal(breaker.state(), 'half-open');
+  assert.equal(breaker.allow(), true);
+  assert.equal(breaker.allow(), false, 'one trial at a time');
+  breaker.failure();
+  assert.equal(breaker.state(), 'open', 'a failed trial reopens');
+
+  clock.t = 2000;
+  assert.equal(breaker.allow(), true);
+  breaker.success();
+  assert.equal(breaker.state(), 'closed');
+  assert.equal(breaker.status().failures, 0);
+});
+
+test('an open circuit fails requests without calling the upstream, per upstream name', async () => {
+  const { upstream, clock } = fakeUpstream({ retries: 0, breakerThreshold: 2, breakerCooldownMs: 30_000 });
+  for (let i = 0; i < 2; i++) await assert.rejects(upstream.request('sim', flaky(httpError(503)).task));
+  assert.equal(upstream.status().sim.state, 'open');
+
+  const { task, calls } = flaky();
+  await assert.rejects(upstream.request('sim', task), { code: 'circuit_open', retryable: false });
+  assert.equal(calls.n, 0);
+  assert.equal(await upstream.request('etherscan', task), 'ok');
+
+  clock.t += 30_000;
+  assert.equal(upstream.status().sim.state, 'half-open');
+  assert.equal(await upstream.request('sim', task), 'ok');
+  assert.equal(upstream.status().sim.state, 'closed');
+});
+
+test('plain 4xx answers do not count towards opening the circuit', async () => {
+  const { upstream } = fakeUpstream({ retries: 0, breakerThreshold: 2 });
+  for (let i = 0; i < 3; i++) await assert.rejects(upstream.request('sim', flaky(httpError(404)).task));
+  assert.equal(upstream.status().sim.state, 'closed');
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addCounterparty, findLinks, sharedFunders, recipientCount } = require('../shared/walletLinks.js');
+
+const FUNDER = '0x' + 'f'.repeat(40);
+// Wallets each first funded by `funder`, with no transfers between them
+function fundedWallets(count, funder = FUNDER) {
+  const profiles = {};
+  for (let i = 1; i <= count; i++) {
+    profiles['0x' + funder.slice(2, 4) + String(i).padStart(38, '0')] = { counterparties: addCounterparty({}, funder, 'received', 1000 + i) };
+  }
+  return profiles;
+}
+
+test('sharedFunders lists outside funders of two or more wallets, most shared first', () => {
+  const profiles = { ...fundedWallets(3), ...fundedWallets(2, '0xaa') };
+  profiles['0xbb'] = { counterparties: addCounterparty({}, '0xcc', 'received', 1) };
+  assert.deepEqual(sharedFunders(profiles), [FUNDER, '0xaa']);
+});
+
+test('recipientCount counts wallets sent to', () => {
+  const parties = addCounterparty(addCounterparty(addCounterparty({}, '0x1', 'sent'), '0x2', 'sent'), '0x3', 'received', 1);
+  assert.equal(recipientCount(parties), 2);
+  assert.equal(recipientCount(null), 0);
+});
+
+test('a shared funder links only when it passes funderOk and funded few wallets', () => {
+  const profiles = fundedWallets(3);
+  assert.equal(findLinks(profiles).length, 3);
+  assert.ok(findLinks(profiles).every((l) => l.kind === 'funder' && l.funder === FUNDER));
+  assert.deepEqual(findLinks(profiles, { funderOk: () => false }), []);
+  assert.deepEqual(findLinks(profiles, { maxFunded: 2 }), []);
+
+  // a hub that funded more than maxFunded of the wallets links none of them
+  assert.deepEqual(findLinks(fundedWallets(11)), []);
+});
+
+test('direct funding and transfers still link whatever the funder check says', () => {
+  const [a, b] = ['0x' + 'a'.repeat(40), '0x' + 'b'.repeat(40)];
+  const profiles = {
+    [a]: { counterparties: addCounterparty({}, FUNDER, 'received', 1) },
+    [b]: { counterparties: addCounterparty({}, a, 'received', 2) },
+  };
+  assert.deepEqual(findLinks(profiles, { funderOk: () => false }), [{ source: a, target: b, kind: 'funder', funder: a }]);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { detectDrift, createAlertSink } = require('../server/watcher');
+
+const THRESHOLDS = { offset_hours: 2, confidence: 0.3 };
+const point = (offset, confidence = 0.8, extra = {}) => ({
+  at: '2024-01-01T00:00:00.000Z',
+  utc_offset_hours: offset,
+  standard_offset_hours: offset,
+  tzid: null,
+  confidence,
+  classification: 'human',
+  fetch_status: 'ok',
+  error: null,
+  ...extra,
+});
+
+test('detectDrift alerts on offset moves at or over the threshold', () => {
+  const [alert] = detectDrift(point(1), point(8), THRESHOLDS);
+  assert.equal(alert.kind, 'offset');
+  assert.equal(alert.delta, 7);
+  assert.equal(alert.message, 'moved from UTC+1 to UTC+8');
+  assert.deepEqual([alert.from, alert.to], [point(1), point(8)]);
+
+  assert.deepEqual(detectDrift(point(8), point(6), THRESHOLDS).map((a) => [a.kind, a.delta]), [['offset', -2]]);
+  assert.deepEqual(detectDrift(point(8), point(9), THRESHOLDS), [], 'under the threshold');
+});
+
+test('detectDrift alerts on confidence changes', () => {
+  const alerts = detectDrift(point(8, 0.9), point(8, 0.5, { tzid: 'Asia/Shanghai' }), THRESHOLDS);
+  assert.deepEqual(alerts.map((a) => [a.kind, a.delta, a.message]), [
+    ['confidence', -0.4, 'confidence fell from 0.90 to 0.50 in UTC+8 (Asia/Shanghai)'],
+  ]);
+  assert.equal(detectDrift(point(1, 0.2), point(8, 0.9), THRESHOLDS).length, 2);
+});
+
+test('detectDrift stays quiet without a change or a comparable earlier verdict', () => {
+  assert.deepEqual(detectDrift(point(8), point(8), THRESHOLDS), []);
+  // the first verdict has nothing to drift from
+  assert.deepEqual(detectDrift(undefined, point(8), THRESHOLDS), []);
+  // DST moves the UTC offset, not the standard one
+  assert.deepEqual(detectDrift(point(-5, 0.8, { utc_offset_hours: -4 }), point(-5), THRESHOLDS), []);
+  // partial fetches, thin histories and failures neither raise nor anchor an alert
+  for (const odd of [
+    point(1, 0.8, { fetch_status: 'partial' }),
+    point(null, null, { classification: 'insufficient_data' }),
+    point(null, null, { error: 'upstream failed' }),
+  ]) {
+    assert.deepEqual(detectDrift(odd, point(8), THRESHOLDS), []);
+    assert.deepEqual(detectDrift(point(8), odd, THRESHOLDS), []);
+  }
+});
+
+test('a failing webhook host opens only its own circuit', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const posts = [];
+  t.mock.method(axios, 'post', async (url) => {
+    posts.push(new URL(url).host);
+    if (url.startsWith('https://down.example.com/')) throw Object.assign(new Error('unavailable'), { response: { status: 503 } });
+    return { status: 200 };
+  });
+  const sink = createAlertSink({ logPath: 'off', upstream: { retries: 2, breakerThreshold: 3, sleep: async () => {} } });
+  const alert = { address: '0xabc', message: 'moved from UTC+1 to UTC+8' };
+  const down = { name: 'down', webhook_url: 'https://down.example.com/hook' };
+  const up = { name: 'up', webhook_url: 'https://up.example.com/hook' };
+
+  await sink.notify(alert, down); // three failed attempts open the circuit for down.example.com
+  await sink.notify(alert, down);
+  await sink.notify(alert, up);
+  assert.deepEqual(posts, ['down.example.com', 'down.example.com', 'down.example.com', 'up.example.com']);
+  assert.match(console.error.mock.calls.at(-1)?.arguments[0] ?? '', /down\.example\.com.*circuit open/);
+});
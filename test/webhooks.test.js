@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const axios = require('axios');
+const { isPublicAddress, checkWebhookUrl, publicLookup } = require('../server/webhooks');
+
+test('non-public addresses are recognized', () => {
+  for (const ip of ['127.0.0.1', '10.0.0.8', '172.20.1.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1']) {
+    assert.equal(isPublicAddress(ip), false, ip);
+  }
+  for (const ip of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111']) assert.equal(isPublicAddress(ip), true, ip);
+  assert.equal(isPublicAddress('example.com'), false);
+});
+
+test('webhook URLs must be http(s) on a public host', () => {
+  assert.equal(checkWebhookUrl('https://hooks.example.com/T000/B000'), null);
+  assert.equal(checkWebhookUrl('http://8.8.8.8:8080/hook'), null);
+  for (const url of ['http://localhost:3000/', 'http://127.0.0.1/', 'http://[::1]/', 'http://169.254.169.254/latest/meta-data', 'http://[::ffff:192.168.0.1]/', 'http://metadata.google.internal/']) {
+    assert.equal(checkWebhookUrl(url), 'webhook_url must point to a public host', url);
+  }
+  assert.equal(checkWebhookUrl('ftp://example.com/'), 'webhook_url must be an http(s) URL or null');
+  assert.equal(checkWebhookUrl('not a url'), 'webhook_url must be an http(s) URL or null');
+});
+
+test('requests through publicLookup never reach a host resolving to loopback', async (t) => {
+  let hits = 0;
+  const server = http.createServer((req, res) => res.end(String(++hits)));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  const url = `http://localhost:${server.address().port}/`;
+  await assert.rejects(axios.post(url, {}, { lookup: publicLookup, maxRedirects: 0, timeout: 5000 }), /resolves to non-public/);
+  assert.equal(hits, 0);
+});
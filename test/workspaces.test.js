@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createWorkspaceStore } = require('../server/workspaces');
+
+const session = { version: 1, addresses: ['0x' + '1'.repeat(40)] };
+
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspaces-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createWorkspaceStore(path.join(dir, 'workspaces.json'));
+}
+
+test('the edit id comes back on create and only to the creating key', (t) => {
+  const store = tempStore(t);
+  const { workspace } = store.create('Desk', session, { keyId: 'key-a' });
+  assert.ok(workspace.id);
+
+  assert.deepEqual(store.list('key-a').map((w) => [w.name, w.id, w.address_count]), [['Desk', workspace.id, 1]]);
+  assert.deepEqual(store.list('key-b'), []);
+  assert.deepEqual(store.list(), []);
+});
+
+test('anonymous workspaces are listed without ids', (t) => {
+  const store = tempStore(t);
+  const { workspace } = store.create('Open', session);
+  const [listed] = store.list();
+  assert.equal(listed.id, undefined);
+  assert.equal(listed.share_id, workspace.share_id);
+  assert.equal(listed.session, undefined);
+  assert.equal(store.getShared(listed.share_id).id, workspace.id);
+});
+
+test('a taken name reveals the id to its owner only', (t) => {
+  const store = tempStore(t);
+  const { workspace } = store.create('Desk', session, { keyId: 'key-a' });
+  assert.deepEqual(store.create('desk', session, { keyId: 'key-a' }), { status: 409, error: 'a workspace named "Desk" exists', id: workspace.id });
+  assert.deepEqual(store.create('desk', session, { keyId: 'key-b' }), { status: 409, error: 'a workspace named "Desk" exists' });
+  assert.deepEqual(store.create('desk', session), { status: 409, error: 'a workspace named "Desk" exists' });
+
+  const other = store.create('Other', session, { keyId: 'key-b' }).workspace;
+  assert.equal(store.update(other.id, { name: 'Desk' }, { keyId: 'key-b' }).id, undefined);
+});